@@ -0,0 +1,277 @@
+import * as path from 'node:path';
+import { parseArgs } from 'node:util';
+import { LockedError } from './errors.js';
+import { createLockOwner } from './fs-lock.js';
+import { PersistentComputationContextOptions } from './persistent-computation-context.js';
+import { migrateRecoveryData } from './migrations.js';
+import { sortRuns } from './runs.js';
+
+const USAGE = `Usage: persistent-computations <command> [arguments] [--file <path>] [--run <id>]
+
+Inspects and edits a recovery file (.recovery in the current directory by default).
+The commands except \`runs\` apply to the most recently started run, unless --run is given.
+
+Commands:
+  runs                          list the stored runs
+  deps                          print the recorded dependencies
+  list                          list computations and their steps
+  show <computation> <step>     print the value of a step (by index or name) as JSON
+  error                         print the stored error with its stack
+  delete <computation> [step]   delete a computation or a single step,
+                                so the next run recomputes just that
+
+Options:
+  -f, --file <path>             path to the recovery file
+  -r, --run <id>                id of the run to inspect or edit
+  -h, --help                    print this message
+`;
+
+class UsageError extends Error {}
+
+/**
+ * Entry point of the `persistent-computations` bin
+ * @param {string[]} args command line arguments without the node executable and the script path
+ * @param {{ stdout: { write(text: string): void }, stderr: { write(text: string): void } }} [io]
+ * @return {Promise<number>} exit code
+ */
+export async function main(args, io = process) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        file: { type: 'string', short: 'f', default: '.recovery' },
+        run: { type: 'string', short: 'r' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    io.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...commandArgs] = positionals;
+  if (values.help || !command) {
+    io.stdout.write(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const handler = commands[command];
+  if (!handler) {
+    io.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const file = path.resolve(process.cwd(), values.file);
+  try {
+    const { transport } = PersistentComputationContextOptions.defaultOptions;
+    if (!(await transport.exists(file))) {
+      throw new Error(`Recovery file ${file} does not exist`);
+    }
+
+    const store = await readRecoveryData(file);
+    const data = values.run === undefined ? sortRuns(store)[0] : store.runs[values.run];
+    if (!data && command !== 'runs') {
+      throw new Error(
+        values.run === undefined ? `No runs in ${file}` : `No run ${values.run} in ${file}`,
+      );
+    }
+
+    await handler({ file, args: commandArgs, io, store, data });
+
+    return 0;
+  } catch (error) {
+    io.stderr.write(`${error.message}\n`);
+    if (error instanceof UsageError) {
+      io.stderr.write(`\n${USAGE}`);
+      return 2;
+    }
+
+    return 1;
+  }
+}
+
+const commands = {
+  runs({ io, store }) {
+    const runs = sortRuns(store);
+    if (runs.length === 0) {
+      io.stdout.write('No runs recorded\n');
+      return;
+    }
+
+    for (const { id, status, startedAt, endedAt, error } of runs) {
+      const times = [startedAt, endedAt].filter(Boolean).map((time) => time.toISOString());
+      const message = error ? `  ${error.message ?? error}` : '';
+      io.stdout.write(`${id}  ${status}  ${times.join(' - ')}${message}\n`);
+    }
+  },
+
+  deps({ io, data }) {
+    io.stdout.write(`${toJSON(data.dependencies ?? {})}\n`);
+  },
+
+  list({ io, data }) {
+    const computations = Object.entries(data.computations ?? {});
+    if (computations.length === 0) {
+      io.stdout.write('No computations recorded\n');
+      return;
+    }
+
+    for (const [id, steps] of computations) {
+      const indexes = Object.keys(steps);
+      const completed = data.results?.[id]?.completed ? ', completed' : '';
+      io.stdout.write(`${id}: ${indexes.length} step(s)${completed}\n`);
+      for (const index of indexes) {
+        const name = data.steps?.[id]?.[index]?.name;
+        io.stdout.write(`  ${index}${name === undefined ? '' : `  ${name}`}\n`);
+      }
+    }
+  },
+
+  show({ io, data, args: [id, step] }) {
+    if (id === undefined || step === undefined) {
+      throw new UsageError('`show` expects a computation and a step');
+    }
+
+    const steps = getComputationSteps(data, id);
+    const index = getStepIndex(data, id, step);
+    io.stdout.write(`${toJSON(steps[index])}\n`);
+  },
+
+  error({ io, data }) {
+    const { error } = data;
+    if (!error) {
+      io.stdout.write('No error recorded\n');
+      return;
+    }
+
+    io.stdout.write(`${error.stack ?? error}\n`);
+    if (error.cause) {
+      io.stdout.write(`Caused by: ${error.cause.stack ?? error.cause}\n`);
+    }
+  },
+
+  async delete({ file, io, data: { id: runId }, args: [id, step] }) {
+    if (id === undefined) {
+      throw new UsageError('`delete` expects a computation');
+    }
+
+    await withLock(file, async () => {
+      // the recovery file is read again, as a run may have written it before it was locked
+      const store = await readRecoveryData(file);
+      const data = store.runs[runId];
+      if (!data) {
+        throw new Error(`No run ${runId} in ${file}`);
+      }
+
+      getComputationSteps(data, id);
+      if (step === undefined) {
+        for (const key of ['computations', 'steps', 'fingerprints', 'results']) {
+          delete data[key]?.[id];
+        }
+        io.stdout.write(`Deleted ${id}\n`);
+      } else {
+        const index = getStepIndex(data, id, step);
+        delete data.computations[id][index];
+        delete data.steps?.[id]?.[index];
+        delete data.results?.[id];
+        io.stdout.write(`Deleted step ${index} of ${id}\n`);
+      }
+
+      await writeRecoveryData(file, store);
+    });
+  },
+};
+
+/**
+ * Locks the recovery file like a run does, so the file is not changed while a run writes it
+ * @throws {LockedError}
+ */
+async function withLock(file, callback) {
+  const { transport } = PersistentComputationContextOptions.defaultOptions;
+  const owner = createLockOwner();
+  const result = await transport.acquireLock(file, owner);
+  if (!result.acquired) {
+    throw new LockedError(file, result.owner);
+  }
+
+  try {
+    await callback();
+  } finally {
+    await transport.releaseLock(file, owner);
+  }
+}
+
+/**
+ * @return {Promise<import('./runs.js').RunStore>}
+ */
+async function readRecoveryData(file) {
+  const { transport, transformer } = PersistentComputationContextOptions.defaultOptions;
+  const data = transformer.deserialize(await transport.read(file));
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Recovery file ${file} does not contain recovery data`);
+  }
+
+  return migrateRecoveryData(data, file);
+}
+
+async function writeRecoveryData(file, data) {
+  const { transport, transformer } = PersistentComputationContextOptions.defaultOptions;
+  await transport.write(file, transformer.serialize(data));
+}
+
+function getComputationSteps(data, id) {
+  const steps = data.computations?.[id];
+  if (!steps) {
+    throw new Error(`No computation ${id} in the recovery data`);
+  }
+
+  return steps;
+}
+
+function getStepIndex(data, id, step) {
+  const steps = getComputationSteps(data, id);
+  const index = /^\d+$/.test(step)
+    ? Number(step)
+    : (data.steps?.[id] ?? []).findIndex((signature) => signature?.name === step);
+
+  if (!Object.hasOwn(steps, index)) {
+    throw new Error(`No step ${step} of ${id} in the recovery data`);
+  }
+
+  return index;
+}
+
+/**
+ * Converts values that V8 serialization supports, but JSON does not
+ */
+function toJSON(value) {
+  return JSON.stringify(
+    value,
+    function replacer(key, item) {
+      if (typeof item === 'bigint') {
+        return `${item}n`;
+      }
+      if (item instanceof Map) {
+        return Object.fromEntries(item);
+      }
+      if (item instanceof Set) {
+        return [...item];
+      }
+      if (this[key] instanceof Date) {
+        return this[key].toISOString();
+      }
+      if (ArrayBuffer.isView(this[key]) && !(this[key] instanceof DataView)) {
+        return Array.from(this[key]);
+      }
+      if (item === undefined && Array.isArray(this)) {
+        return null;
+      }
+
+      return item;
+    },
+    2,
+  );
+}
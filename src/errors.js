@@ -17,3 +17,159 @@ export class ComputationFailedError extends BaseComputationError {
     this.step = step;
   }
 }
+
+/**
+ * Thrown by `PersistentComputationContext#run` when its `signal` was aborted.
+ * The results of the steps finished before that are written to the recovery file.
+ */
+export class ComputationAbortedError extends ComputationFailedError {
+  constructor(reason, step) {
+    super(reason instanceof Error ? reason : new Error(String(reason)), step);
+    this.message = `Computation ${step.constructor.name} was aborted: ${this.cause.message}`;
+    this.name = 'ComputationAbortedError';
+    this.cause = reason;
+  }
+}
+
+/**
+ * Thrown by `PersistentComputation#step` when the step takes longer than its `timeout`
+ */
+export class StepTimeoutError extends BaseComputationError {
+  computation;
+  stepIndex;
+  timeout;
+
+  constructor(computation, stepIndex, timeout) {
+    super(`Step ${stepIndex} of ${computation.constructor.name} timed out after ${timeout}ms`);
+    this.name = 'StepTimeoutError';
+    this.computation = computation;
+    this.stepIndex = stepIndex;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Errors of this class (and its subclasses) are never retried by retry policies
+ */
+export class NonRetriableError extends BaseComputationError {
+  constructor(message, options) {
+    super(message);
+    this.name = 'NonRetriableError';
+    if (options && 'cause' in options) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+export class StepMismatchError extends NonRetriableError {
+  computation;
+  stepIndex;
+  expected;
+  actual;
+
+  constructor(computation, stepIndex, expected, actual) {
+    super(
+      `Step ${stepIndex} of ${computation.constructor.name} does not match the recovery data: ` +
+        `expected ${describeStep(expected)}, got ${describeStep(actual)}. ` +
+        'The steps were probably added, removed or reordered since the recovery data was saved',
+    );
+    this.name = 'StepMismatchError';
+    this.computation = computation;
+    this.stepIndex = stepIndex;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+export class DuplicateComputationIdError extends BaseComputationError {
+  id;
+
+  constructor(id) {
+    super(`Computation id "${id}" is used more than once in the pipeline`);
+    this.name = 'DuplicateComputationIdError';
+    this.id = id;
+  }
+}
+
+/**
+ * Thrown by `PersistentComputationContext#rollback` when a compensation throws.
+ * The compensations before it are done, calling `rollback` again continues with this one.
+ */
+export class CompensationFailedError extends BaseComputationError {
+  computationId;
+  stepIndex;
+
+  constructor(error, computationId, stepIndex) {
+    super(
+      `Compensation of ${stepIndex === undefined ? '' : `step ${stepIndex} of `}${computationId} ` +
+        `failed due to this error: ${error?.message}`,
+    );
+    this.name = 'CompensationFailedError';
+    this.cause = error;
+    this.computationId = computationId;
+    this.stepIndex = stepIndex;
+  }
+}
+
+/**
+ * Thrown by `PersistentComputationContext#run` when another process holds the lock
+ * of the recovery data and it was not released within `lockWait` milliseconds
+ */
+export class LockedError extends BaseComputationError {
+  location;
+  owner;
+
+  constructor(location, owner) {
+    super(
+      `Recovery data ${location} is locked` +
+        (owner ? ` by process ${owner.pid} on ${owner.hostname} since ${owner.time}` : ''),
+    );
+    this.name = 'LockedError';
+    this.location = location;
+    this.owner = owner;
+  }
+}
+
+/**
+ * Thrown when a stored value does not match its checksum, i.e. the file was changed or truncated
+ */
+export class ChecksumMismatchError extends NonRetriableError {
+  file;
+
+  constructor(file) {
+    super(`Recovery data file ${file} does not match its checksum`);
+    this.name = 'ChecksumMismatchError';
+    this.file = file;
+  }
+}
+
+/**
+ * Thrown by `PersistentComputationContext#run` when the recovery data cannot be deserialized,
+ * does not have the expected structure or was written in a newer version of the format
+ */
+export class InvalidRecoveryDataError extends NonRetriableError {
+  location;
+  reason;
+
+  constructor(location, reason, options) {
+    super(`Recovery data${location ? ` ${location}` : ''} is invalid: ${reason}`, options);
+    this.name = 'InvalidRecoveryDataError';
+    this.location = location;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown by the compression and encryption transformers when the recovery data
+ * cannot be decompressed or decrypted, i.e. it was changed, truncated or written with another key
+ */
+export class TamperedDataError extends NonRetriableError {
+  constructor(reason, options) {
+    super(`Recovery data cannot be read: ${reason}`, options);
+    this.name = 'TamperedDataError';
+  }
+}
+
+function describeStep(signature) {
+  return signature.name === undefined ? 'an unnamed step' : `step "${signature.name}"`;
+}
@@ -0,0 +1,195 @@
+import { randomUUID } from 'node:crypto';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+
+/**
+ * The owner renews `time` while it holds the lock, when the lock has a `staleAfter` lease
+ * (in milliseconds), so the processes on other hosts can tell when the owner stopped running
+ * @typedef {{
+ *   pid: number,
+ *   hostname: string,
+ *   time: string,
+ *   token: string,
+ *   staleAfter?: number,
+ * }} LockOwner
+ */
+
+/**
+ * @typedef {{ acquired: true } | { acquired: false, owner?: LockOwner }} LockResult
+ */
+
+/**
+ * Tokens of the locks held (or being acquired) by this process. A lock with the pid of this process
+ * and another token was left by a previous process with the same pid, e.g. in a container,
+ * where the process has the same pid on every start.
+ * @type {Set<string>}
+ */
+const heldLockTokens = new Set();
+
+/**
+ * @param {number | null} [staleAfter] the lease of the lock, see `LockOwner`
+ * @return {LockOwner}
+ */
+export function createLockOwner(staleAfter) {
+  const owner = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    time: new Date().toISOString(),
+    token: randomUUID(),
+  };
+  if (Number.isFinite(staleAfter)) {
+    owner.staleAfter = staleAfter;
+  }
+
+  return owner;
+}
+
+/**
+ * Marks the lock of `owner` as held by this process, before it is acquired,
+ * so it is never considered stale by this process
+ * @param {LockOwner} owner
+ */
+export function markLockHeld(owner) {
+  heldLockTokens.add(owner.token);
+}
+
+/**
+ * @param {LockOwner} owner
+ */
+export function markLockReleased(owner) {
+  heldLockTokens.delete(owner.token);
+}
+
+/**
+ * Creates `${fileName}.lock` holding the owner. The owner is written to a temporary file first,
+ * which is then hard-linked to the lock file, so the lock file is never seen half-written.
+ * Stale locks (see `isStaleLock`) are taken over.
+ * @param {string} fileName
+ * @param {LockOwner} owner
+ * @return {LockResult}
+ */
+export function acquireFileLock(fileName, owner) {
+  const lockFileName = `${fileName}.lock`;
+  const tempFileName = `${lockFileName}.${owner.token}.tmp`;
+  fs.writeFileSync(tempFileName, JSON.stringify(owner));
+  try {
+    for (;;) {
+      try {
+        fs.linkSync(tempFileName, lockFileName);
+        return { acquired: true };
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const current = readLockOwner(lockFileName);
+      if (current && !isStaleLock(current)) {
+        return { acquired: false, owner: current };
+      }
+      removeStaleLock(lockFileName, current, owner);
+    }
+  } finally {
+    fs.rmSync(tempFileName, { force: true });
+  }
+}
+
+/**
+ * Another process may take over the stale lock between the moment it was read and its removal,
+ * so the lock file is moved aside first, and put back if it is not the stale lock that was read
+ * @param {string} lockFileName
+ * @param {LockOwner | null} stale
+ * @param {LockOwner} owner
+ */
+function removeStaleLock(lockFileName, stale, owner) {
+  const asideFileName = `${lockFileName}.${owner.token}.stale`;
+  try {
+    fs.renameSync(lockFileName, asideFileName);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  try {
+    if (readLockOwner(asideFileName)?.token !== stale?.token) {
+      fs.linkSync(asideFileName, lockFileName);
+    }
+  } catch (error) {
+    // EEXIST: a third process locked the data in the meantime, then it keeps the lock
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  } finally {
+    fs.rmSync(asideFileName, { force: true });
+  }
+}
+
+/**
+ * Writes the renewed owner to the lock file, if it still holds the lock
+ * @param {string} fileName
+ * @param {LockOwner} owner
+ * @return {boolean} whether the lock is still held
+ */
+export function renewFileLock(fileName, owner) {
+  const lockFileName = `${fileName}.lock`;
+  if (readLockOwner(lockFileName)?.token !== owner.token) {
+    return false;
+  }
+
+  const tempFileName = `${lockFileName}.${owner.token}.tmp`;
+  fs.writeFileSync(tempFileName, JSON.stringify(owner));
+  fs.renameSync(tempFileName, lockFileName);
+
+  return true;
+}
+
+/**
+ * Removes the lock file, unless it is held by another owner
+ * @param {string} fileName
+ * @param {LockOwner} owner
+ */
+export function releaseFileLock(fileName, owner) {
+  const lockFileName = `${fileName}.lock`;
+  if (readLockOwner(lockFileName)?.token === owner.token) {
+    fs.rmSync(lockFileName, { force: true });
+  }
+}
+
+/**
+ * @param {string} lockFileName
+ * @return {LockOwner | null} `null` if there is no lock file or it can't be parsed
+ */
+function readLockOwner(lockFileName) {
+  try {
+    return JSON.parse(fs.readFileSync(lockFileName, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A lock is stale when its owner process no longer runs on this host,
+ * or when it was taken on another host and its owner did not renew it for `staleAfter` milliseconds.
+ * The locks of other hosts without `staleAfter` are never stale.
+ * @param {LockOwner} owner
+ * @param {number} [now]
+ * @return {boolean}
+ */
+export function isStaleLock(owner, now = Date.now()) {
+  if (owner.hostname !== os.hostname()) {
+    return Number.isFinite(owner.staleAfter) && now - Date.parse(owner.time) > owner.staleAfter;
+  }
+  if (owner.pid === process.pid) {
+    return !heldLockTokens.has(owner.token);
+  }
+
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (error) {
+    // EPERM means the process exists, but belongs to another user
+    return error.code === 'ESRCH';
+  }
+}
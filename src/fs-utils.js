@@ -0,0 +1,19 @@
+import * as fs from 'node:fs';
+
+/**
+ * Writes to a temporary file first and then renames it, so a crash mid-write
+ * never leaves a truncated file behind
+ * @param {string} fileName
+ * @param {Buffer | string} data
+ */
+export function writeFileAtomically(fileName, data) {
+  const tempFileName = `${fileName}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempFileName, 'w');
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFileName, fileName);
+}
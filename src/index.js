@@ -2,15 +2,68 @@ import {
   PersistentComputationContext,
   PersistentComputationContextOptions,
 } from './persistent-computation-context.js';
-import { BaseComputationError, ComputationFailedError } from './errors.js';
+import {
+  BaseComputationError,
+  ChecksumMismatchError,
+  CompensationFailedError,
+  ComputationAbortedError,
+  ComputationFailedError,
+  DuplicateComputationIdError,
+  InvalidRecoveryDataError,
+  LockedError,
+  NonRetriableError,
+  StepMismatchError,
+  StepTimeoutError,
+  TamperedDataError,
+} from './errors.js';
+import { LazyValue } from './lazy-value.js';
 import { PersistentComputation } from './persistent-computation.js';
+import { tracingPlugin } from './plugins/tracing-plugin.js';
+import { withCompression } from './transformers/compression.js';
+import { withEncryption } from './transformers/encryption.js';
+import { jsonTransformer } from './transformers/json-transformer.js';
+import { v8Transformer } from './transformers/v8-transformer.js';
+import { directoryTransport } from './transports/directory-transport.js';
+import { sqliteTransport } from './transports/sqlite-transport.js';
+import {
+  CHECKPOINT_POLICY,
+  DEBUG_LEVEL,
+  EVENTS,
+  ON_SUCCESS,
+  RUN_STATUS,
+  STEP_MISMATCH,
+} from './utils.js';
 
 export {
   PersistentComputation,
   PersistentComputationContext,
   PersistentComputationContextOptions,
   BaseComputationError,
+  ChecksumMismatchError,
+  CompensationFailedError,
+  ComputationAbortedError,
   ComputationFailedError,
+  DuplicateComputationIdError,
+  InvalidRecoveryDataError,
+  LockedError,
+  NonRetriableError,
+  StepMismatchError,
+  StepTimeoutError,
+  TamperedDataError,
+  LazyValue,
+  directoryTransport,
+  sqliteTransport,
+  tracingPlugin,
+  jsonTransformer,
+  v8Transformer,
+  withCompression,
+  withEncryption,
+  CHECKPOINT_POLICY,
+  DEBUG_LEVEL,
+  EVENTS,
+  ON_SUCCESS,
+  RUN_STATUS,
+  STEP_MISMATCH,
 };
 
 export const PCContext = PersistentComputationContext;
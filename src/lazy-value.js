@@ -0,0 +1,27 @@
+/**
+ * A recovered value that is loaded when it is used, see `PersistentComputationContext#getStepValue`.
+ * Transports return it instead of the values that are too large to read upfront.
+ */
+export class LazyValue {
+  #load;
+  #value;
+
+  /**
+   * @param {() => unknown | Promise<unknown>} load
+   * @param {Object} [meta] transport-specific data, e.g. where the value is stored
+   */
+  constructor(load, meta = {}) {
+    this.#load = load;
+    this.meta = meta;
+  }
+
+  /**
+   * Loads the value once, the following calls return the same promise
+   * @return {Promise<unknown>}
+   */
+  load() {
+    this.#value ??= Promise.resolve().then(this.#load);
+
+    return this.#value;
+  }
+}
@@ -0,0 +1,152 @@
+import { InvalidRecoveryDataError } from './errors.js';
+import { LEGACY_RUN_ID } from './runs.js';
+import { RECOVERY_DATA_VERSION, RUN_STATUS } from './utils.js';
+
+/**
+ * Upgrades the recovery data of one version to the next one
+ * @typedef {(data: any) => any} Migration
+ */
+
+/** @type {Map<number, Migration>} */
+const migrations = new Map();
+
+/**
+ * Registers the migration upgrading the recovery data of `fromVersion` to `fromVersion + 1`.
+ * A change of the recovery data format increases `RECOVERY_DATA_VERSION` and registers a migration,
+ * so the recovery files written by older versions are upgraded when they are read.
+ * @param {number} fromVersion
+ * @param {Migration} migrate
+ */
+export function registerMigration(fromVersion, migrate) {
+  if (migrations.has(fromVersion)) {
+    throw new TypeError(`A migration from version ${fromVersion} is already registered`);
+  }
+  migrations.set(fromVersion, migrate);
+}
+
+/**
+ * The data of a single run becomes a run with the `LEGACY_RUN_ID` id,
+ * failed if it has an error and interrupted otherwise
+ */
+registerMigration(1, (data) => {
+  const status = data.error ? RUN_STATUS.FAILED : RUN_STATUS.INTERRUPTED;
+  const run = { id: LEGACY_RUN_ID, status, ...data, computations: data.computations ?? {} };
+
+  return { version: 2, runs: { [LEGACY_RUN_ID]: run } };
+});
+
+/**
+ * Upgrades deserialized recovery data to the current version and validates its structure
+ * @param {unknown} data
+ * @param {string} [location] used in the error messages
+ * @return {import('./runs.js').RunStore}
+ * @throws {InvalidRecoveryDataError}
+ */
+export function migrateRecoveryData(data, location) {
+  if (!isObject(data)) {
+    throw new InvalidRecoveryDataError(location, 'it is not an object');
+  }
+
+  let version = getVersion(data, location);
+  if (version > RECOVERY_DATA_VERSION) {
+    throw new InvalidRecoveryDataError(
+      location,
+      `it was written in version ${version} of the format, ` +
+        `while version ${RECOVERY_DATA_VERSION} is the latest supported one`,
+    );
+  }
+
+  let migrated = data;
+  while (version < RECOVERY_DATA_VERSION) {
+    const migrate = migrations.get(version);
+    /* node:coverage ignore next 3 */
+    if (!migrate) {
+      throw new InvalidRecoveryDataError(location, `there is no migration from version ${version}`);
+    }
+    migrated = migrate(migrated);
+    version += 1;
+  }
+  validateRunStore(migrated, location);
+
+  return { ...migrated, version };
+}
+
+/**
+ * Recovery data written before the version field was added has no version,
+ * the data of a single run is version 1 and the runs by id are version 2
+ */
+function getVersion(data, location) {
+  if (!('version' in data)) {
+    return 'runs' in data ? 2 : 1;
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new InvalidRecoveryDataError(location, `its version ${String(data.version)} is invalid`);
+  }
+
+  return data.version;
+}
+
+/**
+ * Checks the fields the recovery relies on, so malformed data is rejected
+ * before the steps start reading it
+ * @param {any} store
+ * @param {string} [location]
+ */
+export function validateRunStore(store, location) {
+  const fail = (reason) => {
+    throw new InvalidRecoveryDataError(location, reason);
+  };
+  if (!isObject(store.runs)) {
+    fail('"runs" is not an object');
+  }
+
+  const statuses = Object.values(RUN_STATUS);
+  for (const [id, run] of Object.entries(store.runs)) {
+    const at = `run "${id}"`;
+    if (!isObject(run)) {
+      fail(`${at} is not an object`);
+    }
+    if (run.id !== id) {
+      fail(`${at} has the id ${JSON.stringify(run.id)}`);
+    }
+    if (!statuses.includes(run.status)) {
+      fail(`${at} has an unknown status ${JSON.stringify(run.status)}`);
+    }
+    for (const field of ['startedAt', 'endedAt']) {
+      if (run[field] !== undefined && !(run[field] instanceof Date)) {
+        fail(`${at}: "${field}" is not a date`);
+      }
+    }
+    for (const field of ['computations', 'steps']) {
+      if (field === 'computations' || run[field] !== undefined) {
+        validateRecords(run[field], `${at}: "${field}"`, fail);
+      }
+    }
+    if (run.compensations !== undefined && !Array.isArray(run.compensations)) {
+      fail(`${at}: "compensations" is not an array`);
+    }
+    for (const field of ['results', 'fingerprints', 'dependencies']) {
+      if (run[field] !== undefined && !isObject(run[field])) {
+        fail(`${at}: "${field}" is not an object`);
+      }
+    }
+  }
+}
+
+/**
+ * The values of `computations` and `steps` are arrays indexed by the step index
+ */
+function validateRecords(records, at, fail) {
+  if (!isObject(records)) {
+    fail(`${at} is not an object`);
+  }
+  for (const [id, list] of Object.entries(records)) {
+    if (!Array.isArray(list)) {
+      fail(`${at} of "${id}" is not an array`);
+    }
+  }
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -1,15 +1,73 @@
+import { EventEmitter } from 'node:events';
 import * as fs from 'node:fs';
 import * as path from 'node:path';
-import * as v8 from 'node:v8';
-import { ComputationFailedError } from './errors.js';
+import { setTimeout as sleep } from 'node:timers/promises';
+import {
+  BaseComputationError,
+  CompensationFailedError,
+  ComputationAbortedError,
+  ComputationFailedError,
+  DuplicateComputationIdError,
+  InvalidRecoveryDataError,
+  LockedError,
+  StepMismatchError,
+  TamperedDataError,
+} from './errors.js';
 import fastDeepEqual from 'fast-deep-equal';
-import { DEBUG_LEVEL } from './utils.js';
+import {
+  acquireFileLock,
+  createLockOwner,
+  markLockHeld,
+  markLockReleased,
+  releaseFileLock,
+  renewFileLock,
+} from './fs-lock.js';
+import { writeFileAtomically } from './fs-utils.js';
+import { LazyValue } from './lazy-value.js';
+import { v8Transformer } from './transformers/v8-transformer.js';
+import { loggingPlugin } from './plugins/logging-plugin.js';
+import { withRetry } from './retry.js';
+import { migrateRecoveryData } from './migrations.js';
+import {
+  createRunRecord,
+  createRunStore,
+  findResumableRun,
+  pruneRuns,
+  sortRuns,
+  supersedeRuns,
+} from './runs.js';
+import { RunReporter } from './run-report.js';
+import { StepCache } from './step-cache.js';
+import {
+  CHECKPOINT_POLICY,
+  DEBUG_LEVEL,
+  EVENTS,
+  ON_SUCCESS,
+  pickDependencies,
+  RUN_STATUS,
+  STEP_MISMATCH,
+} from './utils.js';
 
 export class PersistentComputationContextOptions {
   static defaultOptions = {
     fromScratch: false,
     recoveryDataLocation: '.recovery',
     debugLevel: DEBUG_LEVEL.NONE,
+    checkpoint: CHECKPOINT_POLICY.FAILURE,
+    onStepMismatch: STEP_MISMATCH.THROW,
+    fingerprintInput: false,
+    handleSignals: false,
+    plugins: [],
+    rerunFrom: null,
+    only: [],
+    invalidate: [],
+    runId: null,
+    onSuccess: ON_SUCCESS.KEEP,
+    retention: { keepLast: 10 },
+    lock: true,
+    lockWait: 0,
+    lockStaleAfter: 60_000,
+    cache: null,
     logger: {
       log: console.log.bind(console),
     },
@@ -18,20 +76,25 @@ export class PersistentComputationContextOptions {
         return fs.readFileSync(fileName);
       },
       write(fileName, data) {
-        fs.writeFileSync(fileName, data);
+        writeFileAtomically(fileName, data);
       },
       exists(fileName) {
         return fs.existsSync(fileName);
       },
-    },
-    transformer: {
-      serialize(value) {
-        return v8.serialize(value);
+      remove(fileName) {
+        fs.rmSync(fileName, { force: true });
+      },
+      acquireLock(fileName, owner) {
+        return acquireFileLock(fileName, owner);
       },
-      deserialize(value) {
-        return v8.deserialize(value);
+      renewLock(fileName, owner) {
+        return renewFileLock(fileName, owner);
+      },
+      releaseLock(fileName, owner) {
+        releaseFileLock(fileName, owner);
       },
     },
+    transformer: v8Transformer,
   };
 
   static create(optionsObject) {
@@ -47,59 +110,410 @@ export class PersistentComputationContextOptions {
   }
 }
 
+/**
+ * How often a locked recovery data is checked while waiting for it, in milliseconds
+ */
+const LOCK_RETRY_INTERVAL = 100;
+
+/**
+ * Stops the replay of a computation at its first step that was not recorded, see `rollback`
+ */
+class ReplayStop extends Error {}
+
+/**
+ * Whether the error means the recovery data can't be read (as opposed to failing to access it)
+ */
+function isUnreadableDataError(error) {
+  return error instanceof InvalidRecoveryDataError || error instanceof TamperedDataError;
+}
+
+function compensationKey(computationId, stepIndex) {
+  return `${computationId}:${stepIndex}`;
+}
+
+function normalizeCheckpointPolicy(policy) {
+  if (policy === CHECKPOINT_POLICY.FAILURE) {
+    return null;
+  }
+
+  if (policy === CHECKPOINT_POLICY.STEP) {
+    return { steps: 1 };
+  }
+
+  if (policy && (Number.isInteger(policy.steps) || Number.isFinite(policy.interval))) {
+    return { steps: policy.steps, interval: policy.interval };
+  }
+
+  throw new TypeError(
+    `Unknown checkpoint policy: ${JSON.stringify(policy)}. ` +
+      "Expected 'failure', 'step', { steps: number } or { interval: number }",
+  );
+}
+
+/**
+ * @typedef {'failure' | 'step' | { steps?: number, interval?: number }} CheckpointPolicy
+ */
+
+/**
+ * @typedef {import('./fs-lock.js').LockOwner} LockOwner
+ * @typedef {import('./fs-lock.js').LockResult} LockResult
+ * @typedef {import('./runs.js').RunStore} RunStore
+ */
+
 /**
+ * @typedef {{
+ *   serialize(value: unknown): Buffer,
+ *   deserialize(data: Buffer): unknown,
+ * }} Transformer
+ */
+
+/**
+ * What changed in the recovery data since the last write, passed to the structured transports,
+ * so they only write these parts: the runs whose record changed (the current run and the runs
+ * it superseded) and the steps saved since then, by run id, computation id and step index.
+ * Runs missing from the store were removed, as were the steps and results missing
+ * from the changed runs, and the results of the changed runs are replaced by new objects
+ * when they change. The changes are relative to the previous write of the context,
+ * so a transport writes the whole recovery data when it does not know what it stored:
+ * when the changes are not given, on its first write of a location it did not read,
+ * and after a failed write (see `transports/stored-runs.js`).
+ * @typedef {{
+ *   runs: string[],
+ *   steps: [runId: string, computationId: string, index: number][],
+ * }} StoreChanges
+ */
+
+/**
+ * A computation id, or a computation class, which means all of its instances in the pipeline
+ * @typedef {string | typeof PersistentComputation} ComputationTarget
+ */
+
+/**
+ * A computation or a step of a computation, identified by its index or name
+ * @typedef {ComputationTarget | { computation: ComputationTarget, step?: number | string }} RerunTarget
+ */
+
+/**
+ * @typedef {{
+ *   signal?: AbortSignal,
+ *   rerunFrom?: ComputationTarget | null,
+ *   only?: RerunTarget[],
+ *   invalidate?: RerunTarget[],
+ *   runId?: string | null,
+ * }} RunOptions
+ */
+
+/**
+ * Plugins are installed when the context is created. They usually subscribe to its events.
+ * @typedef {((ctx: PersistentComputationContext) => void) | {
+ *   apply(ctx: PersistentComputationContext): void,
+ * }} Plugin
+ */
+
+/**
+ * @typedef {{
+ *   computation: PersistentComputation,
+ *   computationId: string,
+ * }} ComputationEvent
+ */
+
+/**
+ * Parallel steps emit the step events for each callback, with its `slot`.
+ * Iterations set `cursor` to the number of processed items instead of the attempts.
+ * `step:failed` has a `retryIn` delay when the step is retried, and the `duration` of the step otherwise.
+ * @typedef {ComputationEvent & {
+ *   stepIndex: number,
+ *   stepName: string | undefined,
+ *   slot?: number,
+ * }} StepEvent
+ */
+
+/**
+ * Payloads of the events emitted by the context. Durations are in milliseconds.
+ * @typedef {{
+ *   'run:start': { runId: string, computationIds: string[], input: unknown },
+ *   'run:complete': { result: unknown, duration: number },
+ *   'run:failed': { error: Error, duration: number },
+ *   'run:interrupted': { reason: string, error?: unknown },
+ *   'computation:start': ComputationEvent & { recovered: boolean },
+ *   'computation:complete': ComputationEvent & { value: unknown, duration: number },
+ *   'computation:recovered': ComputationEvent & { value: unknown },
+ *   'computation:failed': ComputationEvent & { error: unknown, attempt?: number, retryIn?: number },
+ *   'step:recovered': StepEvent & { value: unknown },
+ *   'step:cached': StepEvent & { value: unknown },
+ *   'step:executed': StepEvent & { value: unknown, duration: number, attempts?: number, cursor?: number },
+ *   'step:failed': StepEvent & { error: unknown, attempt?: number, retryIn?: number, duration?: number, cursor?: number },
+ *   'compensation:executed': { computationId: string, stepIndex?: number, stepName?: string, duration: number },
+ *   'compensation:failed': { computationId: string, stepIndex?: number, stepName?: string, error: unknown },
+ *   'checkpoint': { location: string, reason: string, steps: number, duration: number },
+ * }} ContextEvents
+ */
+
+/**
+ * Transports read and write the serialized recovery data. Structured transports
+ * (with `structured: true`, like `sqliteTransport`) receive the runs themselves, the transformer
+ * to serialize them and the `StoreChanges` since the previous write, so they can store the parts
+ * of the recovery data separately and only write the changed ones.
  * @typedef {{
  *   fromScratch?: boolean,
  *   recoveryDataLocation?: string,
  *   debugLevel?: DebugLevel,
+ *   checkpoint?: CheckpointPolicy,
+ *   onStepMismatch?: 'throw' | 'invalidate',
+ *   fingerprintInput?: boolean,
+ *   handleSignals?: boolean,
+ *   plugins?: Plugin[],
+ *   rerunFrom?: ComputationTarget | null,
+ *   only?: RerunTarget[],
+ *   invalidate?: RerunTarget[],
+ *   runId?: string | null,
+ *   onSuccess?: 'keep' | 'archive' | 'clear',
+ *   retention?: import('./runs.js').RetentionPolicy | null,
+ *   lock?: boolean,
+ *   lockWait?: number,
+ *   lockStaleAfter?: number | null,
+ *   cache?: import('./step-cache.js').StepCacheOptions | null,
  *   logger?: {
  *     log(...args: any[]): void,
  *   },
+ *   transformer?: Transformer,
  *   transport?: {
- *     read(fileName: string): Buffer | Promise<Buffer>,
- *     write(fileName: string, data: Buffer): void | Promise<void>,
+ *     structured?: boolean,
+ *     read(fileName: string, transformer?: Transformer): Buffer | RunStore | Promise<Buffer | RunStore>,
+ *     write(fileName: string, data: Buffer | RunStore, transformer?: Transformer, changes?: StoreChanges): void | Promise<void>,
+ *     exists(fileName: string): boolean | Promise<boolean>,
+ *     remove?(fileName: string): void | Promise<void>,
+ *     acquireLock?(fileName: string, owner: LockOwner): LockResult | Promise<LockResult>,
+ *     renewLock?(fileName: string, owner: LockOwner): boolean | Promise<boolean>,
+ *     releaseLock?(fileName: string, owner: LockOwner): void | Promise<void>,
  *   }
  * }} PCContextOptions
  */
 
-export class PersistentComputationContext {
+/**
+ * Emits the lifecycle events listed in `EVENTS`, see `ContextEvents` for their payloads
+ */
+export class PersistentComputationContext extends EventEmitter {
   #logger;
   #transport;
   #transformer;
+  #checkpointPolicy;
+  #stepsSinceCheckpoint = 0;
+  #lastCheckpointAt = Date.now();
+  #signal;
+  /**
+   * Resolves when the last write of the recovery data is done, so the writes don't overlap
+   * @type {Promise<void>}
+   */
+  #flushQueue = Promise.resolve();
+  /**
+   * Flush of the recovery data caused by a process signal or an uncaught error
+   * @type {Promise<void> | undefined}
+   */
+  #interruption;
+  /**
+   * Process event handlers installed by `run` when `handleSignals` is set
+   * @type {[string, Function][]}
+   */
+  #processHandlers = [];
+  /**
+   * The owner of the recovery data lock while it is held by this context
+   * @type {LockOwner | undefined}
+   */
+  #lockOwner;
+  /**
+   * Renews the lease of the lock while it is held, see the `lockStaleAfter` option
+   * @type {NodeJS.Timeout | undefined}
+   */
+  #lockRenewal;
+  /**
+   * Results of the steps with a `cacheKey` kept across runs, when the `cache` option is set
+   * @type {StepCache | null}
+   */
+  #stepCache = null;
+  /**
+   * The `compensate` callbacks of the steps run (or recovered) by this context, by computation id
+   * and step index, see `rollback`
+   * @type {Map<string, Function>}
+   */
+  #compensations = new Map();
+  /**
+   * Whether `rollback` is replaying the computations to get the `compensate` callbacks of their steps
+   */
+  #replaying = false;
+  /**
+   * Whether `run` was called, then `rollback` rolls back that run
+   */
+  #hasRun = false;
+  /**
+   * @type {RunReporter}
+   */
+  #reporter;
+  /**
+   * The steps saved since the last write, see `StoreChanges`
+   * @type {Map<string, [string, string, number]>}
+   */
+  #savedSteps = new Map();
+  /**
+   * The runs other than the current one changed since the last write, see `StoreChanges`
+   * @type {Set<string>}
+   */
+  #changedRuns = new Set();
 
   get transformer() {
     return this.#transformer;
   }
+
+  /**
+   * The `signal` passed to the current `run`
+   * @return {AbortSignal | undefined}
+   */
+  get signal() {
+    return this.#signal;
+  }
   /**
    * Stores the return values of each `PersistentComputation#run`.
-   * Results are not persisted, because web take a more granular approach and recover each step in a computation.
+   * The values are also persisted in `recoveryData.results` (see `saveResult`),
+   * so completed computations are not run again on recovery.
    * @type {Record<string, unknown>}
    */
   #results = [];
+  /**
+   * Ids assigned to computations in the current pipeline
+   * @type {WeakMap<PersistentComputation, string>}
+   */
+  #computationIds = new WeakMap();
+  /**
+   * Whether the dependencies in the recovery data differ from the current ones
+   */
+  #dependenciesChanged = false;
+  /**
+   * Ids of the computations whose recovery data was (partially) dropped during the current run.
+   * The computations that depend on them are invalidated as well.
+   * @type {Set<string>}
+   */
+  #invalidated = new Set();
+  /**
+   * All the runs stored in the recovery file, `recoveryData` is the record of the current run
+   * @type {import('./runs.js').RunStore}
+   */
+  #store = createRunStore();
 
   options;
-  recoveryData = {
-    computations: {},
-    dependencies: {},
-  };
+  /**
+   * @type {import('./runs.js').RunRecord}
+   */
+  recoveryData = createRunRecord();
+
+  /**
+   * Id of the current (or the last) run, see `run`
+   * @return {string}
+   */
+  get runId() {
+    return this.recoveryData.id;
+  }
 
   /**
    * @param {PCContextOptions} options
    * @param {Object} dependencies
    */
   constructor(options = {}, dependencies = {}) {
+    super();
     const defaultedOptions = PersistentComputationContextOptions.create(options);
-    defaultedOptions.recoveryDataLocation = path.resolve(
-      process.cwd(),
-      defaultedOptions.recoveryDataLocation,
-    );
+    // the location of structured transports may not be a path, e.g. the pipeline of `sqliteTransport`
+    if (!defaultedOptions.transport.structured) {
+      defaultedOptions.recoveryDataLocation = path.resolve(
+        process.cwd(),
+        defaultedOptions.recoveryDataLocation,
+      );
+    }
 
     this.options = Object.freeze(defaultedOptions);
     this.#logger = defaultedOptions.logger;
     this.#transport = defaultedOptions.transport;
     this.#transformer = defaultedOptions.transformer;
+    this.#checkpointPolicy = normalizeCheckpointPolicy(defaultedOptions.checkpoint);
+    if (defaultedOptions.cache) {
+      this.#stepCache = this.createStepCache(defaultedOptions.cache);
+    }
 
     Object.assign(this.recoveryData.dependencies, { ...dependencies });
+
+    this.#reporter = new RunReporter(this, this.#transformer);
+    for (const plugin of [loggingPlugin, ...defaultedOptions.plugins]) {
+      this.use(plugin);
+    }
+  }
+
+  /**
+   * The cache is stored at `location` (`<recoveryDataLocation>.cache` by default) with `transport`,
+   * the context transport by default, unless it is structured, then the default transport.
+   * @param {import('./step-cache.js').StepCacheOptions} options
+   * @return {StepCache}
+   */
+  createStepCache(options) {
+    const { transport: defaultTransport, recoveryDataLocation } = this.options;
+    const location = path.resolve(
+      process.cwd(),
+      options.location ?? `${recoveryDataLocation}.cache`,
+    );
+    const transport =
+      options.transport ??
+      (defaultTransport.structured
+        ? PersistentComputationContextOptions.defaultOptions.transport
+        : defaultTransport);
+
+    return new StepCache({ ...options, location, transport }, this.#transformer);
+  }
+
+  /**
+   * Looks up the result of a step with a `cacheKey` in the step cache.
+   * The step is identified by its computation, its name (or position) and the `cacheKey`,
+   * or its `key` and the values of its declared `dependencies` when `cacheKey` is `true`.
+   * @param {PersistentComputation} computation
+   * @param {{ name?: string, key?: unknown, dependencies?: string[], cacheKey?: unknown }} signature
+   * @return {{ hash: string, found: boolean, value?: unknown } | undefined}
+   *   undefined when the step or the context is not cached
+   */
+  lookupStepCache(computation, { name, key, dependencies, cacheKey }) {
+    if (!this.#stepCache || cacheKey === undefined) {
+      return undefined;
+    }
+    const parts =
+      cacheKey === true
+        ? [key, dependencies && this.getStepFingerprint({ dependencies })]
+        : [cacheKey];
+    const hash = StepCache.hash([
+      this.getComputationId(computation),
+      name ?? computation.currentStepIndex,
+      ...parts,
+    ]);
+
+    return { hash, ...this.#stepCache.get(hash) };
+  }
+
+  /**
+   * Adds a step result to the step cache, it is stored if the run completes
+   * @param {string} hash see `lookupStepCache`
+   * @param {unknown} value
+   * @param {number} [ttl] overrides the `ttl` of the `cache` option
+   */
+  storeStepCache(hash, value, ttl) {
+    this.#stepCache?.set(hash, value, ttl);
+  }
+
+  /**
+   * @param {Plugin} plugin
+   * @return {this}
+   */
+  use(plugin) {
+    if (typeof plugin === 'function') {
+      plugin(this);
+    } else {
+      plugin.apply(this);
+    }
+
+    return this;
   }
 
   /**
@@ -114,77 +528,929 @@ export class PersistentComputationContext {
    *   If there was an error throw during recovery or run:
    *     save the step
    *     exit
+   *
+   * Each run gets an id (see `runId`). Unless `runId` is passed, the most recent unfinished run
+   * is resumed (or the most recent run, when parts of it are rerun), or a new run is started
+   * with a random id.
    * @param {(typeof PersistentComputation | PersistentComputation)[]} computationClassesOrInstances
    * @param {any} [input]
-   * @return {Promise<void>}
+   * @param {RunOptions} [runOptions] `rerunFrom`, `only`, `invalidate` and `runId` override the context options
+   * @return {Promise<{ id: string, name: string, value: unknown } | undefined>} the result
+   *   of the last computation, see `getLastResult`
    * @throws {ComputationFailedError}
+   * @throws {ComputationAbortedError} when the `signal` is aborted
    */
-  async run(computationClassesOrInstances, input) {
+  async run(computationClassesOrInstances, input, runOptions = {}) {
+    const { signal } = runOptions;
     // this.recoveryData.dependencies.computationClassesOrInstances = computationClassesOrInstances
     //   .map(computationClass => computationClass.name);
-    const recovered = await this.maybeRecover();
-    let computationValue = input;
+    const ids = this.resolveComputationIds(computationClassesOrInstances);
+    this.#results = [];
+    this.#invalidated.clear();
+    this.#compensations.clear();
+    this.#hasRun = true;
+    this.#signal = signal;
+    this.#interruption = undefined;
+    await this.acquireLock();
+    if (this.options.handleSignals) {
+      this.installProcessHandlers();
+    }
 
-    for (const Computation of computationClassesOrInstances) {
-      let computation;
-      if (Computation instanceof Function) {
-        computation = new Computation(this);
-      } else {
-        computation = Computation;
-        computation.ctx = this;
+    const startedAt = performance.now();
+    try {
+      const result = await this.runComputations(
+        computationClassesOrInstances,
+        ids,
+        input,
+        runOptions,
+      );
+      await this.completeRun();
+      await this.#stepCache?.commit();
+      this.emit(EVENTS.RUN_COMPLETE, { result, duration: performance.now() - startedAt });
+
+      return result;
+    } catch (error) {
+      this.emit(EVENTS.RUN_FAILED, { error, duration: performance.now() - startedAt });
+
+      throw error;
+    } finally {
+      this.removeProcessHandlers();
+      await this.releaseLock();
+    }
+  }
+
+  /**
+   * Returns the report of the current (or the last) run: the status, duration and error of the run,
+   * of each computation and each step, whether they were executed or recovered, their retries
+   * and the size of their results. The report only holds JSON values, so it can be sent as is
+   * to a dashboard.
+   *
+   * @example
+   * await ctx.run(pipeline).finally(() => writeFileSync('report.json', JSON.stringify(ctx.getReport())));
+   *
+   * @return {import('./run-report.js').RunReport | undefined} undefined until a run starts
+   */
+  getReport() {
+    return this.#reporter.getReport();
+  }
+
+  /**
+   * Locks the recovery data, so other processes running the same pipeline
+   * don't overwrite it. Does nothing when the `lock` option is off or the transport does not
+   * implement `acquireLock`.
+   * @throws {LockedError} when the data stays locked for longer than `lockWait` milliseconds
+   */
+  async acquireLock() {
+    const { lock, lockWait, lockStaleAfter, recoveryDataLocation } = this.options;
+    if (!lock || !this.#transport.acquireLock) {
+      return;
+    }
+
+    // without `renewLock`, the lease would expire while the lock is still held
+    const owner = createLockOwner(this.#transport.renewLock ? lockStaleAfter : null);
+    markLockHeld(owner);
+    const waitUntil = Date.now() + lockWait;
+    try {
+      for (;;) {
+        const result = await this.#transport.acquireLock(recoveryDataLocation, owner);
+        if (result.acquired) {
+          this.#lockOwner = owner;
+          this.startLockRenewal(owner);
+          return;
+        }
+
+        const remaining = waitUntil - Date.now();
+        if (remaining <= 0) {
+          throw new LockedError(recoveryDataLocation, result.owner);
+        }
+        this.debug(`Recovery data is locked by process ${result.owner?.pid}, waiting`);
+        await sleep(Math.min(LOCK_RETRY_INTERVAL, remaining), undefined, {
+          signal: this.#signal,
+        }).catch(() => {
+          throw this.#signal.reason;
+        });
       }
+    } catch (error) {
+      markLockReleased(owner);
 
+      throw error;
+    }
+  }
+
+  /**
+   * Renews the time of the lock three times per `staleAfter` lease,
+   * so the lock does not expire while the process runs
+   * @param {LockOwner} owner
+   */
+  startLockRenewal(owner) {
+    if (owner.staleAfter === undefined) {
+      return;
+    }
+
+    this.#lockRenewal = setInterval(async () => {
+      owner.time = new Date().toISOString();
       try {
-        if (recovered) {
-          computation.markRecovered();
+        if (!(await this.#transport.renewLock(this.options.recoveryDataLocation, owner))) {
+          this.log('error', 'The recovery data lock was taken over by another process');
         }
-
-        this.debug(`Running ${computation.constructor.name}`);
-        computationValue = await computation.run(computationValue);
-        this.pushResult(computation, computationValue);
       } catch (error) {
-        this.debug('Failed to run computation');
-        this.save(error, computation);
-        await this.flushRecoveryData();
+        this.log('error', 'Failed to renew the recovery data lock', error);
+      }
+    }, owner.staleAfter / 3);
+    this.#lockRenewal.unref();
+  }
+
+  async releaseLock() {
+    clearInterval(this.#lockRenewal);
+    this.#lockRenewal = undefined;
+    if (this.#lockOwner) {
+      const owner = this.#lockOwner;
+      this.#lockOwner = undefined;
+      await this.#transport.releaseLock?.(this.options.recoveryDataLocation, owner);
+      markLockReleased(owner);
+    }
+  }
+
+  /**
+   * Runs the computations one by one, passing the result of each one to the next,
+   * or as a graph when they declare `dependsOn` (see `runGraph`)
+   */
+  async runComputations(computationClassesOrInstances, ids, input, runOptions) {
+    const upstreams = this.resolveUpstreams(computationClassesOrInstances, ids);
+    const selection = {
+      rerunFrom: runOptions.rerunFrom ?? this.options.rerunFrom,
+      only: runOptions.only ?? this.options.only,
+      invalidate: runOptions.invalidate ?? this.options.invalidate,
+    };
+    const recovered = await this.maybeRecover(runOptions.runId ?? this.options.runId, {
+      rerun:
+        Boolean(selection.rerunFrom) ||
+        selection.only.length > 0 ||
+        selection.invalidate.length > 0,
+    });
+    await this.#stepCache?.load();
+    this.emit(EVENTS.RUN_START, { runId: this.runId, computationIds: ids, input });
+    if (recovered) {
+      this.invalidateSelected(computationClassesOrInstances, ids, selection);
+    }
+    let inputChanged = false;
+
+    if (this.options.fingerprintInput) {
+      inputChanged = recovered && !fastDeepEqual(this.recoveryData.input, input);
+      this.recoveryData.input = input;
+    }
 
-        throw new ComputationFailedError(error, computation);
+    try {
+      if (upstreams) {
+        return await this.runGraph(computationClassesOrInstances, ids, upstreams, input, {
+          recovered,
+          inputChanged,
+        });
       }
+
+      let computationValue = input;
+      let upstreamInvalidated = inputChanged;
+      for (const [position, Computation] of computationClassesOrInstances.entries()) {
+        computationValue = await this.runEntry(Computation, ids[position], computationValue, {
+          recovered,
+          upstreamInvalidated,
+        });
+        upstreamInvalidated = this.#invalidated.has(ids[position]);
+      }
+
+      return this.getLastResult();
+    } catch (error) {
+      this.recoveryData.status = RUN_STATUS.FAILED;
+      this.recoveryData.endedAt = new Date();
+      await this.flushRecoveryData('failure');
+
+      throw error;
     }
+  }
 
-    return this.getLastResult();
+  /**
+   * Marks the current run as completed and the unfinished runs started before it as superseded,
+   * and archives the run or removes it from the recovery file, according to the `onSuccess` option
+   */
+  async completeRun() {
+    const { onSuccess } = this.options;
+    this.recoveryData.status = RUN_STATUS.COMPLETED;
+    this.recoveryData.endedAt = new Date();
+    const superseded = supersedeRuns(this.#store, this.recoveryData);
+    for (const runId of superseded) {
+      this.debug(`The run ${runId} is superseded by the completed run ${this.runId}`);
+      this.#changedRuns.add(runId);
+    }
+    if (onSuccess === ON_SUCCESS.KEEP) {
+      // otherwise the recovery file holds neither the run nor runs that could be resumed
+      if (Object.hasOwn(this.#store.runs, this.runId) || superseded.length > 0) {
+        await this.flushRecoveryData('complete');
+      }
+      return;
+    }
+    if (onSuccess === ON_SUCCESS.ARCHIVE) {
+      await this.flushRecoveryData('complete');
+      return;
+    }
+
+    this.debug(`Clearing the recovery data of the run ${this.runId}`);
+    delete this.#store.runs[this.runId];
+    const { recoveryDataLocation } = this.options;
+    if (Object.keys(this.#store.runs).length > 0 || !this.#transport.remove) {
+      await this.#write(this.#store);
+    } else if (await this.#transport.exists(recoveryDataLocation)) {
+      await this.#transport.remove(recoveryDataLocation);
+    }
   }
 
-  async maybeRecover() {
-    const { recoveryDataLocation, fromScratch } = this.options;
-    if (fromScratch) {
-      this.debug('Forced to start from scratch by settings fromScratch to `true`');
-      return false;
+  /**
+   * Runs the computations as soon as all their upstreams are completed, so independent
+   * computations run concurrently. Computations without upstreams receive the pipeline input,
+   * the others receive the array of their upstream results, in the `dependsOn` order.
+   * When a computation fails, no more computations are started, and the first error is thrown
+   * once the running ones have settled.
+   * @param {(typeof PersistentComputation | PersistentComputation)[]} computationClassesOrInstances
+   * @param {string[]} ids
+   * @param {number[][]} upstreams the upstream positions of each computation
+   * @param {unknown} input
+   * @param {{ recovered: boolean, inputChanged: boolean }} state
+   * @return {Promise<{ id: string, name: string, value: unknown }>} the result of the last computation
+   */
+  async runGraph(
+    computationClassesOrInstances,
+    ids,
+    upstreams,
+    input,
+    { recovered, inputChanged },
+  ) {
+    const values = new Map();
+    const running = new Map();
+    let failure;
+
+    const schedule = () => {
+      for (const [position, Computation] of computationClassesOrInstances.entries()) {
+        const ready =
+          !failure &&
+          !values.has(position) &&
+          !running.has(position) &&
+          upstreams[position].every((upstream) => values.has(upstream));
+        if (!ready) {
+          continue;
+        }
+
+        const isRoot = upstreams[position].length === 0;
+        const execution = this.runEntry(
+          Computation,
+          ids[position],
+          isRoot ? input : upstreams[position].map((upstream) => values.get(upstream)),
+          {
+            recovered,
+            upstreamInvalidated: isRoot
+              ? inputChanged
+              : upstreams[position].some((upstream) => this.#invalidated.has(ids[upstream])),
+          },
+        )
+          .then(
+            (value) => values.set(position, value),
+            (error) => {
+              failure ??= { error };
+            },
+          )
+          .finally(() => running.delete(position));
+        running.set(position, execution);
+      }
+    };
+
+    schedule();
+    while (running.size > 0) {
+      await Promise.race(running.values());
+      schedule();
     }
 
-    /* node:coverage ignore next 5 */
-    this.debug(
-      recoveryDataLocation
-        ? `Trying to recover from ${recoveryDataLocation}`
-        : 'Trying to recover data, no recoveryDataLocation provided',
+    if (failure) {
+      throw failure.error;
+    }
+
+    return this.getResultById(ids.at(-1));
+  }
+
+  /**
+   * Computations can declare the computations they receive the results of with a static or
+   * an instance `dependsOn` property, listing classes, instances or ids of other computations
+   * in the pipeline.
+   * @param {(typeof PersistentComputation | PersistentComputation)[]} computationClassesOrInstances
+   * @param {string[]} ids
+   * @return {number[][] | undefined} the upstream positions of each computation,
+   *  `undefined` if no computation declares `dependsOn`
+   * @throws {BaseComputationError} when an upstream is not in the pipeline or there is a cycle
+   */
+  resolveUpstreams(computationClassesOrInstances, ids) {
+    const declared = computationClassesOrInstances.map((Computation) =>
+      Computation instanceof Function
+        ? Computation.dependsOn
+        : (Computation.dependsOn ?? Computation.constructor.dependsOn),
     );
+    if (declared.every((dependsOn) => dependsOn === undefined)) {
+      return undefined;
+    }
 
-    if (!(await this.#transport.exists(recoveryDataLocation))) {
-      this.debug('No recovery data found');
-      return false;
+    const upstreams = declared.map((dependsOn = [], position) =>
+      dependsOn.map((upstream) => {
+        const upstreamPosition =
+          typeof upstream === 'string'
+            ? ids.indexOf(upstream)
+            : computationClassesOrInstances.findIndex(
+                (entry) => entry === upstream || entry.constructor === upstream,
+              );
+        if (upstreamPosition === -1) {
+          throw new BaseComputationError(
+            `${ids[position]} depends on ${upstream?.name ?? upstream}, which is not in the pipeline`,
+          );
+        }
+
+        return upstreamPosition;
+      }),
+    );
+
+    // remove the computations without pending upstreams until only the cycles are left
+    const resolved = new Set();
+    let progress = true;
+    while (progress) {
+      progress = false;
+      for (const [position, positions] of upstreams.entries()) {
+        if (!resolved.has(position) && positions.every((upstream) => resolved.has(upstream))) {
+          resolved.add(position);
+          progress = true;
+        }
+      }
+    }
+    if (resolved.size < upstreams.length) {
+      const cycle = ids.filter((id, position) => !resolved.has(position));
+      throw new BaseComputationError(`Computations ${cycle.join(', ')} depend on each other`);
+    }
+
+    return upstreams;
+  }
+
+  /**
+   * Runs a single computation of the pipeline, or takes its result from the recovery data
+   * when it was completed by a previous run
+   * @param {typeof PersistentComputation | PersistentComputation} Computation
+   * @param {string} id
+   * @param {unknown} input
+   * @param {{ recovered: boolean, upstreamInvalidated: boolean }} state
+   * @return {Promise<unknown>} the computation result
+   * @throws {ComputationFailedError}
+   * @throws {ComputationAbortedError} when the `signal` is aborted
+   */
+  async runEntry(Computation, id, input, { recovered, upstreamInvalidated }) {
+    const signal = this.#signal;
+    const computation = this.instantiate(Computation, id);
+    const event = { computation, computationId: id };
+    const startedAt = performance.now();
+
+    try {
+      signal?.throwIfAborted();
+      if (recovered) {
+        computation.markRecovered();
+      }
+      this.invalidateIfOutdated(computation, upstreamInvalidated);
+
+      const completed = this.recoveryData.results?.[id];
+      if (completed?.completed) {
+        this.pushResult(computation, completed.value);
+        this.emit(EVENTS.COMPUTATION_RECOVERED, { ...event, value: completed.value });
+
+        return completed.value;
+      }
+
+      this.emit(EVENTS.COMPUTATION_START, { ...event, recovered });
+      const value = await this.runComputation(computation, input);
+      this.pushResult(computation, value);
+      this.saveResult(computation, value);
+      if (typeof computation.compensate === 'function') {
+        this.recordCompensation(computation);
+      }
+      this.emit(EVENTS.COMPUTATION_COMPLETE, {
+        ...event,
+        value,
+        duration: performance.now() - startedAt,
+      });
+
+      return value;
+    } catch (error) {
+      this.emit(EVENTS.COMPUTATION_FAILED, { ...event, error });
+      this.save(error, computation);
+
+      if (signal?.aborted) {
+        throw new ComputationAbortedError(signal.reason, computation);
+      }
+      throw new ComputationFailedError(error, computation);
+    }
+  }
+
+  /**
+   * @param {typeof PersistentComputation | PersistentComputation} Computation
+   * @param {string} id
+   * @return {PersistentComputation}
+   */
+  instantiate(Computation, id) {
+    let computation;
+    if (Computation instanceof Function) {
+      computation = new Computation(this);
+    } else {
+      computation = Computation;
+      computation.ctx = this;
+    }
+    this.#computationIds.set(computation, id);
+
+    return computation;
+  }
+
+  /**
+   * Undoes the effects of a run by calling its pending compensations in the reverse order:
+   * the `compensate` callbacks of its steps and the `compensate` methods of its completed computations.
+   * Each compensation is removed from the recovery data once it is done, so when one fails
+   * (with `CompensationFailedError`) or the process stops, calling `rollback` again continues
+   * with the remaining ones. Then the run gets the `rolled-back` status and is not resumed anymore.
+   *
+   * The context rolls back the run it ran last. Otherwise, the run with the given `runId`
+   * or the most recent run that was not rolled back is read from the recovery data.
+   * The `compensate` callbacks of the steps are only known to the process that ran them,
+   * so the computations are replayed to get them: their `run` method is called again
+   * (with the input passed to `rollback` or the recorded results of the previous computations),
+   * their steps return the recorded values, and the replay stops at the first step that was not recorded.
+   *
+   * @example
+   * try {
+   *   await ctx.run(pipeline, input);
+   * } catch (error) {
+   *   await ctx.rollback(pipeline, input);
+   * }
+   *
+   * @param {(typeof PersistentComputation | PersistentComputation)[]} computationClassesOrInstances
+   *   the pipeline passed to `run`
+   * @param {any} [input] the input passed to `run`
+   * @param {{ runId?: string, signal?: AbortSignal }} [rollbackOptions]
+   * @return {Promise<void>}
+   * @throws {CompensationFailedError}
+   */
+  async rollback(computationClassesOrInstances, input, { runId, signal } = {}) {
+    const ids = this.resolveComputationIds(computationClassesOrInstances);
+    this.#signal = signal;
+    await this.acquireLock();
+    try {
+      if (!this.#hasRun || (runId !== undefined && runId !== this.runId)) {
+        await this.loadRunToRollBack(runId);
+      }
+      const pending = this.recoveryData.compensations ?? [];
+      await this.replayComputations(computationClassesOrInstances, ids, input, pending);
+
+      while (pending.length > 0) {
+        signal?.throwIfAborted();
+        await this.runCompensation(computationClassesOrInstances, ids, pending.at(-1));
+        pending.pop();
+        await this.flushRecoveryData('compensation');
+      }
+      this.recoveryData.status = RUN_STATUS.ROLLED_BACK;
+      this.recoveryData.endedAt = new Date();
+      await this.flushRecoveryData('rollback');
+    } finally {
+      await this.releaseLock();
+    }
+  }
+
+  /**
+   * @param {string} [runId] the most recent run that was not rolled back by default
+   * @throws {BaseComputationError} when there is no such run
+   */
+  async loadRunToRollBack(runId) {
+    this.#store = await this.readRunStore();
+    const recoveryData =
+      runId === undefined
+        ? sortRuns(this.#store).find(({ status }) => status !== RUN_STATUS.ROLLED_BACK)
+        : this.#store.runs[runId];
+    if (!recoveryData) {
+      throw new BaseComputationError(
+        `No run to roll back in ${this.options.recoveryDataLocation}` +
+          (runId === undefined ? '' : `: there is no run ${runId}`),
+      );
+    }
+    this.debug(`Rolling back the run ${recoveryData.id}`);
+    this.recoveryData = recoveryData;
+  }
+
+  /**
+   * Replays the computations with pending step compensations whose callbacks are not known,
+   * see `rollback`. The errors thrown by the replayed computations are ignored,
+   * as they failed in the same place when they ran.
+   */
+  async replayComputations(computationClassesOrInstances, ids, input, pending) {
+    const replayed = new Set(
+      pending
+        .filter(
+          ({ computationId, stepIndex }) =>
+            stepIndex !== undefined &&
+            !this.#compensations.has(compensationKey(computationId, stepIndex)),
+        )
+        .map(({ computationId }) => computationId),
+    );
+    if (replayed.size === 0) {
+      return;
+    }
+
+    const upstreams = this.resolveUpstreams(computationClassesOrInstances, ids);
+    const results = this.recoveryData.results ?? {};
+    this.#replaying = true;
+    try {
+      for (const [position, Computation] of computationClassesOrInstances.entries()) {
+        const id = ids[position];
+        if (!replayed.has(id)) {
+          continue;
+        }
+        let computationInput = input;
+        if (upstreams?.[position].length > 0) {
+          computationInput = upstreams[position].map((upstream) => results[ids[upstream]]?.value);
+        } else if (!upstreams && position > 0) {
+          computationInput = results[ids[position - 1]]?.value;
+        }
+
+        const computation = this.instantiate(Computation, id);
+        computation.rewind();
+        this.debug(`Replaying ${id} to get the compensations of its steps`);
+        try {
+          await computation.run(computationInput);
+        } catch (error) {
+          if (!(error instanceof ReplayStop)) {
+            this.debug(`The replay of ${id} failed: ${error?.message}`);
+          }
+        }
+      }
+    } finally {
+      this.#replaying = false;
+    }
+  }
+
+  /**
+   * @param {(typeof PersistentComputation | PersistentComputation)[]} computationClassesOrInstances
+   * @param {string[]} ids
+   * @param {import('./runs.js').Compensation} compensation
+   * @throws {CompensationFailedError}
+   */
+  async runCompensation(computationClassesOrInstances, ids, compensation) {
+    const { computationId, stepIndex } = compensation;
+    const startedAt = performance.now();
+    try {
+      if (stepIndex === undefined) {
+        const position = ids.indexOf(computationId);
+        if (position === -1) {
+          throw new BaseComputationError(`${computationId} is not in the pipeline`);
+        }
+        const computation = this.instantiate(
+          computationClassesOrInstances[position],
+          computationId,
+        );
+        await computation.compensate(
+          this.recoveryData.results?.[computationId]?.value,
+          this.#signal,
+        );
+      } else {
+        const compensate = this.#compensations.get(compensationKey(computationId, stepIndex));
+        if (!compensate) {
+          throw new BaseComputationError(
+            `The compensation of step ${stepIndex} of ${computationId} is unknown, ` +
+              'the step was not reached when replaying the computation',
+          );
+        }
+        let value = this.recoveryData.computations[computationId]?.[stepIndex];
+        if (value instanceof LazyValue) {
+          value = await value.load();
+        }
+        await compensate(value, this.#signal);
+      }
+    } catch (error) {
+      this.emit(EVENTS.COMPENSATION_FAILED, { ...compensation, error });
+      throw new CompensationFailedError(error, computationId, stepIndex);
+    }
+    this.emit(EVENTS.COMPENSATION_EXECUTED, {
+      ...compensation,
+      duration: performance.now() - startedAt,
+    });
+  }
+
+  /**
+   * Keeps the `compensate` callback of the current step of the computation for `rollback`
+   * @param {PersistentComputation} computation
+   * @param {Function} compensate
+   */
+  registerCompensation(computation, compensate) {
+    const id = this.getComputationId(computation);
+    this.#compensations.set(compensationKey(id, computation.currentStepIndex), compensate);
+  }
+
+  /**
+   * Adds a pending compensation of the current step of the computation,
+   * or of the whole computation when `step` is not given, to the recovery data
+   * @param {PersistentComputation} computation
+   * @param {{ name?: string }} [step]
+   */
+  recordCompensation(computation, step) {
+    const compensation = { computationId: this.getComputationId(computation) };
+    if (step) {
+      compensation.stepIndex = computation.currentStepIndex;
+      if (step.name !== undefined) {
+        compensation.stepName = step.name;
+      }
+    }
+    // a step run again (e.g. after its key changed) replaces its previous compensation
+    const compensations = (this.recoveryData.compensations ?? []).filter(
+      ({ computationId, stepIndex }) =>
+        computationId !== compensation.computationId || stepIndex !== compensation.stepIndex,
+    );
+    compensations.push(compensation);
+    this.recoveryData.compensations = compensations;
+  }
+
+  /**
+   * Stops the replay of a computation by `rollback` before a step that was not recorded is run
+   */
+  stopIfReplaying() {
+    if (this.#replaying) {
+      throw new ReplayStop();
+    }
+  }
+
+  /**
+   * Drops the recovery data selected by the `rerunFrom`, `invalidate` and `only` options:
+   * - `rerunFrom` recomputes the computation and all the computations after it
+   *   (the computations depending on it, when the pipeline is a graph);
+   * - `invalidate` recomputes the computations (or steps and the steps after them)
+   *   and all the computations after (or depending on) them;
+   * - `only` recomputes just the computations or steps, keeping the rest of the recovery data.
+   * @param {(typeof PersistentComputation | PersistentComputation)[]} computationClassesOrInstances
+   * @param {string[]} ids
+   * @param {{ rerunFrom?: ComputationTarget | null, only: RerunTarget[], invalidate: RerunTarget[] }} selection
+   */
+  invalidateSelected(computationClassesOrInstances, ids, { rerunFrom, only, invalidate }) {
+    const resolve = (target) => {
+      const { computation, step } =
+        typeof target === 'object' && target !== null ? target : { computation: target };
+      const matchingIds = ids.filter((id, position) => {
+        const entry = computationClassesOrInstances[position];
+        return typeof computation === 'string'
+          ? id === computation
+          : entry === computation || entry.constructor === computation;
+      });
+
+      if (matchingIds.length === 0) {
+        throw new BaseComputationError(
+          `Cannot rerun ${computation?.name ?? computation}: there is no such computation in the pipeline`,
+        );
+      }
+
+      return matchingIds.map((id) => ({ id, step: this.findStepIndex(id, step) }));
+    };
+
+    // the computations after the invalidated ones are invalidated while running the pipeline
+    for (const { id } of rerunFrom ? resolve(rerunFrom) : []) {
+      this.debug(`Rerunning from ${id}`);
+      this.invalidateComputation(id);
+    }
+
+    for (const { id, step = 0 } of invalidate.flatMap(resolve)) {
+      if (step !== -1) {
+        this.debug(`Invalidating recovery data of ${id} from step ${step}`);
+        this.invalidateComputation(id, step);
+      }
+    }
+
+    for (const { id, step } of only.flatMap(resolve)) {
+      if (step === undefined) {
+        this.debug(`Dropping recovery data of ${id}`);
+        delete this.recoveryData.computations[id];
+        delete this.recoveryData.steps?.[id];
+      } else if (step !== -1) {
+        this.debug(`Dropping recovery data of ${id}, step ${step}`);
+        delete this.recoveryData.computations[id]?.[step];
+        delete this.recoveryData.steps?.[id]?.[step];
+      }
+      delete this.recoveryData.results?.[id];
+    }
+  }
+
+  /**
+   * @param {string} computationId
+   * @param {number | string | undefined} step a step index or name
+   * @return {number | undefined} the step index, -1 if there is no recorded step with that name
+   */
+  findStepIndex(computationId, step) {
+    if (typeof step !== 'string') {
+      return step;
+    }
+
+    return (this.recoveryData.steps?.[computationId] ?? []).findIndex(
+      (signature) => signature?.name === step,
+    );
+  }
+
+  /**
+   * Makes SIGINT, SIGTERM, `beforeExit` and `uncaughtException` flush the recovery data before
+   * the process exits. Signals are re-raised after the flush if nothing else listens to them,
+   * so the process exits the same way it would without the handlers.
+   */
+  installProcessHandlers() {
+    const onSignal = async (signalName) => {
+      await this.interrupt(signalName);
+      this.removeProcessHandlers();
+      await this.releaseLock();
+      if (process.listenerCount(signalName) === 0) {
+        process.kill(process.pid, signalName);
+      }
+    };
+    const onBeforeExit = () => this.interrupt('beforeExit');
+    const onUncaughtException = async (error) => {
+      await this.interrupt('uncaughtException', error);
+      this.removeProcessHandlers();
+      await this.releaseLock();
+      if (process.listenerCount('uncaughtException') === 0) {
+        process.nextTick(() => {
+          throw error;
+        });
+      }
+    };
+
+    this.removeProcessHandlers();
+    this.#processHandlers = [
+      ['SIGINT', onSignal],
+      ['SIGTERM', onSignal],
+      ['beforeExit', onBeforeExit],
+      ['uncaughtException', onUncaughtException],
+    ];
+    for (const [event, handler] of this.#processHandlers) {
+      process.on(event, handler);
+    }
+  }
+
+  removeProcessHandlers() {
+    for (const [event, handler] of this.#processHandlers) {
+      process.off(event, handler);
+    }
+    this.#processHandlers = [];
+  }
+
+  /**
+   * Records why the run was interrupted and flushes the recovery data.
+   * Only the first interruption is recorded and flushed, the following ones wait for it.
+   * @param {string} reason a signal or an event name
+   * @param {unknown} [error]
+   * @return {Promise<void>}
+   */
+  interrupt(reason, error) {
+    if (!this.#interruption) {
+      this.emit(EVENTS.RUN_INTERRUPTED, { reason, error });
+      this.recoveryData.status = RUN_STATUS.INTERRUPTED;
+      this.recoveryData.interruption = { reason, error, time: new Date() };
+      this.#interruption = this.flushRecoveryData('interruption').catch((flushError) => {
+        this.log('error', 'Failed to flush recovery data on interruption', flushError);
+      });
     }
 
-    const data = await this.#transport.read(recoveryDataLocation);
-    const recoveryData = this.#transformer.deserialize(data);
+    return this.#interruption;
+  }
+
+  /**
+   * Runs the computation, re-running it according to its `retry` policy.
+   * Before each retry, the error is recorded and the recovery data is flushed,
+   * so the recovery file reflects the steps finished so far.
+   * @param {PersistentComputation} computation
+   * @param {unknown} input
+   */
+  async runComputation(computation, input) {
+    const retry = computation.retry ?? computation.constructor.retry;
+    const id = this.getComputationId(computation);
+    let retried = false;
+
+    const result = await withRetry(() => computation.run(input), retry, {
+      signal: this.#signal,
+      onRetry: async (error, attempt, delay) => {
+        this.emit(EVENTS.COMPUTATION_FAILED, {
+          computation,
+          computationId: id,
+          error,
+          attempt,
+          retryIn: delay,
+        });
+        this.save(error, computation);
+        await this.flushRecoveryData('retry');
+        computation.rewind();
+        retried = true;
+      },
+    });
+
+    if (retried) {
+      delete this.recoveryData.error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Computations are identified by an explicit `id` (an instance property or a static one),
+   * or by their class name. When the same class name appears more than once in a pipeline
+   * (the same class used twice or class names collided after minification),
+   * the position in the pipeline is appended to the name.
+   * @param {(typeof PersistentComputation | PersistentComputation)[]} computationClassesOrInstances
+   * @return {string[]}
+   * @throws {DuplicateComputationIdError}
+   */
+  resolveComputationIds(computationClassesOrInstances) {
+    const candidates = computationClassesOrInstances.map((Computation) => {
+      const ComputationClass =
+        Computation instanceof Function ? Computation : Computation.constructor;
+      const explicitId =
+        Computation instanceof Function ? Computation.id : (Computation.id ?? ComputationClass.id);
+
+      return explicitId === undefined
+        ? { id: ComputationClass.name, explicit: false }
+        : { id: String(explicitId), explicit: true };
+    });
+
+    const counts = new Map();
+    for (const { id } of candidates) {
+      counts.set(id, (counts.get(id) ?? 0) + 1);
+    }
+
+    return candidates.map(({ id, explicit }, position) => {
+      if (explicit) {
+        if (counts.get(id) > 1) {
+          throw new DuplicateComputationIdError(id);
+        }
+
+        return id;
+      }
+
+      return counts.get(id) > 1 || !id ? `${id}#${position}` : id;
+    });
+  }
+
+  /**
+   * @param {PersistentComputation} computation
+   * @return {string}
+   */
+  getComputationId(computation) {
+    return (
+      this.#computationIds.get(computation) ??
+      computation.id ??
+      computation.constructor.id ??
+      computation.constructor.name
+    );
+  }
+
+  /**
+   * Reads the runs stored in the recovery file and starts a new run,
+   * or resumes the given run or the most recent unfinished one.
+   * @param {string | null} [runId]
+   * @param {{ rerun?: boolean }} [options] `rerun` resumes the most recent run even if it completed,
+   *   when parts of it are rerun (see `RunOptions`)
+   * @return {Promise<boolean>} whether a run is resumed
+   */
+  async maybeRecover(runId = null, { rerun = false } = {}) {
+    const { fromScratch } = this.options;
+    this.#dependenciesChanged = false;
+    try {
+      this.#store = await this.readRunStore();
+    } catch (error) {
+      // the unreadable recovery data is discarded anyway
+      if (!fromScratch || !isUnreadableDataError(error)) {
+        throw error;
+      }
+      this.debug(
+        `Ignoring the unreadable recovery data, as fromScratch is \`true\`: ${error.message}`,
+      );
+      this.#store = createRunStore();
+    }
+    this.recoveryData = createRunRecord(runId ?? undefined, this.recoveryData.dependencies);
+    if (fromScratch) {
+      this.debug('Forced to start from scratch by settings fromScratch to `true`');
+      return false;
+    }
 
+    const recoveryData =
+      runId === null
+        ? findResumableRun(this.#store, { completed: rerun })
+        : this.#store.runs[runId];
     if (!recoveryData) {
-      this.debug('Recovery data object is falsy, skipping recovery');
+      this.debug(runId === null ? 'No unfinished run found' : `No run ${runId} found`);
       return false;
     }
+    this.debug(`Found the run ${recoveryData.id}`);
+    const resumed = { ...recoveryData, status: RUN_STATUS.RUNNING };
+    delete resumed.endedAt;
 
     if (this.sameDeps(this.recoveryData.dependencies, recoveryData.dependencies)) {
       this.debug('Got the same dependencies as in the recovery data, applying');
       this.verbose(recoveryData);
-      this.recoveryData = recoveryData;
+      this.recoveryData = resumed;
 
       return true;
     }
@@ -193,53 +1459,367 @@ export class PersistentComputationContext {
     this.verbose('Current dependencies', this.recoveryData.dependencies);
     this.verbose('Recovered dependencies', recoveryData.dependencies);
 
+    if (Object.keys(recoveryData.fingerprints ?? {}).length > 0) {
+      this.debug('Computations declared their dependencies, applying to check them one by one');
+      this.#dependenciesChanged = true;
+      this.recoveryData = {
+        ...resumed,
+        dependencies: this.recoveryData.dependencies,
+      };
+
+      return true;
+    }
+
     return false;
   }
 
-  save(error, step, result) {
+  /**
+   * Reads the recovery data and upgrades it to the current format
+   * @return {Promise<import('./runs.js').RunStore>}
+   * @throws {InvalidRecoveryDataError} when the data cannot be deserialized, is malformed
+   * or written in a newer format
+   */
+  async readRunStore() {
+    const { recoveryDataLocation } = this.options;
+    /* node:coverage ignore next 5 */
+    this.debug(
+      recoveryDataLocation
+        ? `Trying to recover from ${recoveryDataLocation}`
+        : 'Trying to recover data, no recoveryDataLocation provided',
+    );
+
+    if (!(await this.#transport.exists(recoveryDataLocation))) {
+      this.debug('No recovery data found');
+      return createRunStore();
+    }
+
+    const transformer = {
+      serialize: (value) => this.#transformer.serialize(value),
+      deserialize: (data) => {
+        try {
+          return this.#transformer.deserialize(data);
+        } catch (error) {
+          if (isUnreadableDataError(error)) {
+            throw error;
+          }
+          throw new InvalidRecoveryDataError(
+            recoveryDataLocation,
+            `it cannot be deserialized: ${error.message}`,
+            { cause: error },
+          );
+        }
+      },
+    };
+    const store = this.#transport.structured
+      ? await this.#transport.read(recoveryDataLocation, transformer)
+      : transformer.deserialize(await this.#transport.read(recoveryDataLocation));
+    if (!store) {
+      this.debug('Recovery data object is falsy, skipping recovery');
+      return createRunStore();
+    }
+
+    return migrateRecoveryData(store, recoveryDataLocation);
+  }
+
+  /**
+   * Computations can declare which dependencies they read (as a list of keys or dot-separated paths)
+   * with a static or an instance `dependencies` property. Only these dependencies are compared
+   * with the recovery data. Computations that don't declare them depend on all the dependencies.
+   * @param {PersistentComputation} computation
+   * @return {string[] | undefined}
+   */
+  getDeclaredDependencies(computation) {
+    return computation.dependencies ?? computation.constructor.dependencies;
+  }
+
+  /**
+   * Drops the recovery data of a computation if the dependencies it reads have changed,
+   * or if the recovery data of the computation before it (or of one of its upstreams) was invalidated,
+   * because the computation receives a different input then.
+   * @param {PersistentComputation} computation
+   * @param {boolean} upstreamInvalidated
+   */
+  invalidateIfOutdated(computation, upstreamInvalidated) {
+    const id = this.getComputationId(computation);
+    const declared = this.getDeclaredDependencies(computation);
+    this.recoveryData.fingerprints ??= {};
+    const recordedFingerprint = this.recoveryData.fingerprints[id];
+    let outdated = upstreamInvalidated;
+
+    if (declared) {
+      const fingerprint = pickDependencies(this.recoveryData.dependencies, declared);
+      outdated ||= this.#dependenciesChanged && !fastDeepEqual(recordedFingerprint, fingerprint);
+      this.recoveryData.fingerprints[id] = fingerprint;
+    } else {
+      outdated ||= this.#dependenciesChanged;
+    }
+
+    if (outdated) {
+      this.debug(`Recovery data of ${id} is outdated, invalidating`);
+      this.invalidateSteps(computation);
+      return;
+    }
+
+    // steps with their own dependencies are checked on replay as well, but a completed computation
+    // is not replayed, so its steps are checked here
+    const outdatedStepIndex = !this.#dependenciesChanged
+      ? -1
+      : (this.recoveryData.steps?.[id] ?? []).findIndex(
+          (signature) =>
+            signature?.fingerprint &&
+            !fastDeepEqual(
+              signature.fingerprint,
+              pickDependencies(this.recoveryData.dependencies, Object.keys(signature.fingerprint)),
+            ),
+        );
+    if (outdatedStepIndex !== -1) {
+      this.debug(`Step ${outdatedStepIndex} of ${id} is outdated, invalidating`);
+      this.invalidateSteps(computation, outdatedStepIndex);
+    }
+  }
+
+  /**
+   * Marks the computation as completed and stores its return value in the recovery data.
+   * Computations with `persistResult` (static or instance property) set to `false`
+   * are run again on recovery instead, replaying their steps, e.g. if the result is not serializable.
+   * @param {PersistentComputation} computation
+   * @param {unknown} value
+   */
+  saveResult(computation, value) {
+    if ((computation.persistResult ?? computation.constructor.persistResult) === false) {
+      return;
+    }
+
+    this.recoveryData.results ??= {};
+    this.recoveryData.results[this.getComputationId(computation)] = { completed: true, value };
+  }
+
+  save(error, step, result, signature = {}) {
     if (error) {
       this.recoveryData.error = error;
     }
 
-    if (arguments.length === 3) {
-      if (!this.recoveryData.computations[step.constructor.name]) {
-        this.recoveryData.computations[step.constructor.name] = [];
+    if (arguments.length >= 3) {
+      const name = this.getComputationId(step);
+      if (!this.recoveryData.computations[name]) {
+        this.recoveryData.computations[name] = [];
+      }
+      // recovery data written by older versions has no step signatures
+      this.recoveryData.steps ??= {};
+      if (!this.recoveryData.steps[name]) {
+        this.recoveryData.steps[name] = [];
       }
 
-      this.recoveryData.computations[step.constructor.name].push(result);
+      const index = step.currentStepIndex;
+      this.recoveryData.computations[name][index] = result;
+      const savedStep = [this.runId, name, index];
+      this.#savedSteps.set(JSON.stringify(savedStep), savedStep);
+      const recordedSignature = { name: signature.name, key: signature.key };
+      if (signature.dependencies) {
+        recordedSignature.fingerprint = this.getStepFingerprint(signature);
+      }
+      if (signature.kind) {
+        recordedSignature.kind = signature.kind;
+      }
+      if (signature.partial) {
+        // the step has only recorded some of its results (see `PersistentComputation#parallel`)
+        recordedSignature.partial = true;
+      }
+      this.recoveryData.steps[name][index] = recordedSignature;
     }
   }
 
-  async flushRecoveryData() {
-    await this.#transport.write(
-      this.options.recoveryDataLocation,
-      this.#transformer.serialize(this.recoveryData),
-    );
+  /**
+   * Called by `PersistentComputation#step` after a step result has been saved.
+   * Flushes the recovery data if the `checkpoint` policy says so.
+   * @return {Promise<boolean>} whether the recovery data was flushed
+   */
+  async maybeCheckpoint() {
+    this.#stepsSinceCheckpoint += 1;
+
+    const policy = this.#checkpointPolicy;
+    if (!policy) {
+      return false;
+    }
+
+    const enoughSteps = policy.steps > 0 && this.#stepsSinceCheckpoint >= policy.steps;
+    const enoughTime =
+      policy.interval >= 0 && Date.now() - this.#lastCheckpointAt >= policy.interval;
+    if (!enoughSteps && !enoughTime) {
+      return false;
+    }
+
+    await this.flushRecoveryData('policy');
+
+    return true;
+  }
+
+  /**
+   * @param {string} [reason] why the data is flushed, passed to the `checkpoint` event
+   */
+  async flushRecoveryData(reason = 'manual') {
+    const steps = this.#stepsSinceCheckpoint;
+    const startedAt = performance.now();
+    this.#stepsSinceCheckpoint = 0;
+    this.#lastCheckpointAt = Date.now();
+
+    this.#store.runs[this.runId] = this.recoveryData;
+    const removed = pruneRuns(this.#store, this.options.retention, this.runId);
+    if (removed.length > 0) {
+      this.debug(`Removing the runs ${removed.join(', ')} according to the retention policy`);
+    }
+    await this.#write(this.#store);
+    this.emit(EVENTS.CHECKPOINT, {
+      location: this.options.recoveryDataLocation,
+      reason,
+      steps,
+      duration: performance.now() - startedAt,
+    });
+  }
+
+  /**
+   * Writes the store after the previous write is done
+   * @param {import('./runs.js').RunStore} store
+   */
+  async #write(store) {
+    const { recoveryDataLocation } = this.options;
+    if (this.#transport.structured) {
+      const changes = {
+        runs: [this.runId, ...this.#changedRuns],
+        steps: [...this.#savedSteps.values()],
+      };
+      this.#savedSteps.clear();
+      this.#changedRuns.clear();
+      // structured transports take the data before their first `await` and keep the writes in order
+      await this.#transport.write(recoveryDataLocation, store, this.#transformer, changes);
+      return;
+    }
+
+    // serialize right away, so the data is not changed by the time the write starts
+    const data = this.#transformer.serialize(store);
+    const write = this.#flushQueue.then(() => this.#transport.write(recoveryDataLocation, data));
+    this.#flushQueue = write.catch(() => {});
+    await write;
   }
 
-  hasRecoveryData(computation) {
-    const stepData = this.recoveryData.computations[computation.constructor.name];
+  /**
+   * @param {PersistentComputation} computation
+   * @param {{ name?: string, key?: unknown }} [signature] identifies the step that is about to run
+   * @return {boolean}
+   * @throws {StepMismatchError}
+   */
+  hasRecoveryData(computation, signature) {
+    const stepData = this.recoveryData.computations[this.getComputationId(computation)];
     if (!stepData) {
       return false;
     }
 
-    if (stepData.length <= computation.currentStepIndex) {
+    // steps can be deleted from the recovery data individually, leaving holes in the array
+    if (!Object.hasOwn(stepData, computation.currentStepIndex)) {
       this.verbose(`No data for step ${computation.currentStepIndex}`);
       return false;
     }
+
+    if (signature && !this.matchStepSignature(computation, signature)) {
+      return false;
+    }
     this.verbose('Trying to recover step, found data:', stepData);
 
     return true;
   }
 
-  getStepValue(computation) {
-    this.verbose(
-      `Getting recovery data for ${computation.constructor.name}, step ${computation.currentStepIndex}`,
-    );
+  /**
+   * Compares the step that is about to run with the one recorded at the same position.
+   * A different key means that the step input has changed, so the step and everything after it
+   * is recomputed. A different name means that the step sequence has changed, which is handled
+   * according to the `onStepMismatch` option.
+   * @return {boolean} whether the recorded step can be recovered
+   */
+  matchStepSignature(computation, signature) {
+    const name = this.getComputationId(computation);
+    const index = computation.currentStepIndex;
+    const recorded = this.recoveryData.steps?.[name]?.[index];
+    if (!recorded) {
+      // recovered from an older version, nothing to compare with
+      return true;
+    }
 
-    return this.recoveryData.computations[computation.constructor.name][
-      computation.currentStepIndex
-    ];
+    if (recorded.name !== signature.name || recorded.kind !== signature.kind) {
+      if (this.options.onStepMismatch !== STEP_MISMATCH.INVALIDATE) {
+        throw new StepMismatchError(computation, index, recorded, signature);
+      }
+
+      this.debug(`Step ${index} of ${name} does not match the recovery data, invalidating`);
+      this.invalidateSteps(computation, index);
+
+      return false;
+    }
+
+    if (!fastDeepEqual(recorded.key, signature.key)) {
+      this.debug(`Key of step ${index} of ${name} has changed, invalidating`);
+      this.invalidateSteps(computation, index);
+
+      return false;
+    }
+
+    if (
+      signature.dependencies &&
+      !fastDeepEqual(recorded.fingerprint, this.getStepFingerprint(signature))
+    ) {
+      this.debug(`Dependencies of step ${index} of ${name} have changed, invalidating`);
+      this.invalidateSteps(computation, index);
+
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {PersistentComputation} computation
+   * @return {boolean} whether the recovered value of the current step only has some of its results
+   */
+  isPartialStep(computation) {
+    const id = this.getComputationId(computation);
+
+    return this.recoveryData.steps?.[id]?.[computation.currentStepIndex]?.partial === true;
+  }
+
+  getStepFingerprint(signature) {
+    return pickDependencies(this.recoveryData.dependencies, signature.dependencies);
+  }
+
+  /**
+   * Drops the recovery data of a computation starting from the step with the given index
+   * and marks the computation as invalidated, so the computations after it are invalidated too
+   */
+  invalidateSteps(computation, fromIndex = 0) {
+    this.invalidateComputation(this.getComputationId(computation), fromIndex);
+  }
+
+  /**
+   * The same as `invalidateSteps`, but takes a computation id
+   * @param {string} computationId
+   * @param {number} [fromIndex]
+   */
+  invalidateComputation(computationId, fromIndex = 0) {
+    this.#invalidated.add(computationId);
+    delete this.recoveryData.results?.[computationId];
+    this.recoveryData.computations[computationId]?.splice(fromIndex);
+    this.recoveryData.steps?.[computationId]?.splice(fromIndex);
+  }
+
+  /**
+   * @param {PersistentComputation} computation
+   * @return {Promise<unknown>} the recovered value of the current step, values the transport
+   *  did not read upfront (see `LazyValue`) are loaded here
+   */
+  async getStepValue(computation) {
+    const id = this.getComputationId(computation);
+    this.verbose(`Getting recovery data for ${id}, step ${computation.currentStepIndex}`);
+    const value = this.recoveryData.computations[id][computation.currentStepIndex];
+
+    return value instanceof LazyValue ? value.load() : value;
   }
 
   sameDeps(currentDeps, recoveredDeps) {
@@ -263,18 +1843,40 @@ export class PersistentComputationContext {
   }
 
   pushResult(computation, value) {
-    this.#results.push({ name: computation.constructor.name, value });
+    this.#results.push({
+      computation,
+      result: { id: this.getComputationId(computation), name: computation.constructor.name, value },
+    });
   }
 
-  getResult(computationClass) {
-    return this.getResultByName(computationClass.name);
+  /**
+   * @param {typeof PersistentComputation | PersistentComputation} computationClassOrInstance
+   * @return {{ id: string, name: string, value: unknown } | undefined} the first result of the
+   *  given computation instance, or of the first instance of the given class
+   */
+  getResult(computationClassOrInstance) {
+    return this.#results.find(({ computation }) =>
+      computationClassOrInstance instanceof Function
+        ? computation.constructor === computationClassOrInstance
+        : computation === computationClassOrInstance,
+    )?.result;
   }
 
   getLastResult() {
-    return this.#results.at(-1);
+    return this.#results.at(-1)?.result;
   }
 
   getResultByName(computationName) {
-    return this.#results.find((result) => result.name === computationName);
+    return this.getResultsByName(computationName)[0];
+  }
+
+  getResultsByName(computationName) {
+    return this.#results
+      .filter(({ result }) => result.name === computationName)
+      .map(({ result }) => result);
+  }
+
+  getResultById(computationId) {
+    return this.#results.find(({ result }) => result.id === computationId)?.result;
   }
 }
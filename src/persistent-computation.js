@@ -1,3 +1,59 @@
+import { StepTimeoutError } from './errors.js';
+import { withRetry } from './retry.js';
+import { createChildSignal, EVENTS, raceWithSignal } from './utils.js';
+
+/**
+ * @typedef {{
+ *   key?: unknown,
+ *   dependencies?: string[],
+ *   retry?: import('./retry.js').RetryPolicy | number,
+ *   timeout?: number,
+ * }} StepOptions
+ */
+
+/**
+ * @typedef {StepOptions & {
+ *   cacheKey?: unknown,
+ *   cacheTtl?: number,
+ *   compensate?: (value: any, signal?: AbortSignal) => unknown,
+ * }} CachedStepOptions
+ */
+
+/**
+ * @typedef {StepOptions & {
+ *   concurrency?: number,
+ * }} ParallelOptions
+ */
+
+/**
+ * @typedef {StepOptions & {
+ *   commitEvery?: number,
+ * }} IterationOptions
+ */
+
+/**
+ * @template T, A
+ * @typedef {(accumulator: A, item: T, index: number, signal: AbortSignal) => A | Promise<A>} ReduceCallback
+ */
+
+/**
+ * A computation is identified in the recovery data and in the results by its `id`.
+ * Set it as an instance property or as a static property to keep the recovery data stable
+ * when the class is renamed, minified or used more than once in a pipeline.
+ * Otherwise, the class name is used (see `PersistentComputationContext#resolveComputationIds`).
+ *
+ * A `retry` policy (static or instance property) makes the context re-run the computation
+ * when it throws. Steps finished by the failed attempt are recovered from memory.
+ *
+ * Computations listed in `dependsOn` (classes, instances or ids) receive the array of their
+ * results instead of the result of the previous computation, see `PersistentComputationContext#runGraph`.
+ *
+ * A `compensate(result, signal)` method undoes the effects of the computation when the run
+ * is rolled back after it completed, see `PersistentComputationContext#rollback`.
+ * @property {string} [id]
+ * @property {import('./retry.js').RetryPolicy | number} [retry]
+ * @property {(typeof PersistentComputation | PersistentComputation | string)[]} [dependsOn]
+ */
 export class PersistentComputation {
   #hasRecoveryData = false;
   #currentStepIndex = 0;
@@ -26,23 +82,400 @@ export class PersistentComputation {
   }
 
   /**
-   * All the `step` results should be V8-serializable
+   * Moves back to the first step, so the next `run` recovers the steps finished so far
+   */
+  rewind() {
+    this.#currentStepIndex = 0;
+  }
+
+  /**
+   * All the `step` results should be V8-serializable.
+   *
+   * A step can be given a name, which is recorded in the recovery data and checked on recovery,
+   * so adding, removing or reordering steps does not feed a wrong value into the following code.
+   * An optional `key` (e.g. derived from the step input) invalidates the recovered value when changed,
+   * as well as a change in the context dependencies listed in `dependencies`.
+   * Failed steps are retried according to the `retry` policy, without leaving the computation.
+   *
+   * The callback receives an `AbortSignal`, which is aborted when the `signal` passed to
+   * `PersistentComputationContext#run` is aborted or the step takes longer than `timeout` milliseconds
+   * (then the step fails with `StepTimeoutError`). The step does not wait for the callback to settle
+   * after that.
+   *
+   * Steps are recorded by their position, so they should not be run concurrently
+   * (e.g. in `Promise.all`), use `parallel` or `map` for that.
+   *
+   * When the context has a `cache`, the result of a step with a `cacheKey` is reused by the next
+   * runs with the same `cacheKey` (or the same `key` and `dependencies` when it is `true`),
+   * until it expires after `cacheTtl` milliseconds (the `ttl` of the cache by default).
+   *
+   * A `compensate(value, signal)` callback undoes the effects of the step,
+   * it is called with the step result when the run is rolled back (see `PersistentComputationContext#rollback`).
+   *
+   * @example
+   * await this.step(() => fetchUsers());
+   * await this.step('users', () => fetchUsers(), { key: usersUrl });
+   * await this.step('rates', () => fetchRates(day), { cacheKey: day, cacheTtl: 60 * 60 * 1000 });
+   * await this.step('upload', () => upload(file), { compensate: ({ url }) => remove(url) });
+   *
+   * @param {string | Function} nameOrFn
+   * @param {Function | CachedStepOptions} [fnOrOptions]
+   * @param {CachedStepOptions} [options]
    */
-  async step(fn) {
-    if (this.ctx.hasRecoveryData(this)) {
-      const result = this.ctx.getStepValue(this);
+  async step(nameOrFn, fnOrOptions, options) {
+    const [name, fn, { key, dependencies, retry, timeout, cacheKey, cacheTtl, compensate } = {}] =
+      typeof nameOrFn === 'function'
+        ? [undefined, nameOrFn, fnOrOptions]
+        : [nameOrFn, fnOrOptions, options];
+    const signature = { name, key, dependencies };
+    const event = this.#createStepEvent(name);
+
+    if (this.ctx.hasRecoveryData(this, signature)) {
+      const result = await this.ctx.getStepValue(this);
+      if (compensate) {
+        this.ctx.registerCompensation(this, compensate);
+      }
       this.#currentStepIndex += 1;
+      this.ctx.emit(EVENTS.STEP_RECOVERED, { ...event, value: result });
 
       return result;
     }
+    this.ctx.stopIfReplaying();
 
-    const result = await fn();
+    const cached = this.ctx.lookupStepCache(this, { ...signature, cacheKey });
+    if (cached?.found) {
+      this.ctx.save(null, this, cached.value, signature);
+      this.#currentStepIndex += 1;
+      this.ctx.emit(EVENTS.STEP_CACHED, { ...event, value: cached.value });
+      await this.ctx.maybeCheckpoint();
 
-    this.ctx.save(null, this, result);
-    this.#currentStepIndex += 1;
+      return cached.value;
+    }
+
+    const result = await this.#executeWithRetry(fn, { retry, timeout }, event, (value) => {
+      this.ctx.save(null, this, value, signature);
+      if (cached) {
+        this.ctx.storeStepCache(cached.hash, value, cacheTtl);
+      }
+      if (compensate) {
+        this.ctx.registerCompensation(this, compensate);
+        this.ctx.recordCompensation(this, { name });
+      }
+      this.#currentStepIndex += 1;
+    });
+    await this.ctx.maybeCheckpoint();
 
     return result;
   }
+
+  /**
+   * Runs the callbacks concurrently as a single step. Each result is recorded in its own slot
+   * as soon as it is ready, so the recorded order does not depend on the completion order,
+   * and on recovery only the callbacks that did not finish are run again.
+   * Accepts the same options as `step`, which apply to each callback, and a `concurrency` limit
+   * (at least 1, `TypeError` is thrown otherwise).
+   * When a callback fails, no more callbacks are started, the running ones are awaited
+   * (and their results recorded), then the error is rethrown.
+   *
+   * @example
+   * const [users, posts] = await this.parallel([() => fetchUsers(), () => fetchPosts()]);
+   *
+   * @template T
+   * @param {string | ((signal: AbortSignal) => T | Promise<T>)[]} nameOrFns
+   * @param {((signal: AbortSignal) => T | Promise<T>)[] | ParallelOptions} [fnsOrOptions]
+   * @param {ParallelOptions} [options]
+   * @return {Promise<T[]>}
+   */
+  async parallel(nameOrFns, fnsOrOptions, options) {
+    const [name, fns, { key, dependencies, retry, timeout, concurrency = Infinity } = {}] =
+      typeof nameOrFns === 'string'
+        ? [nameOrFns, fnsOrOptions, options]
+        : [undefined, nameOrFns, fnsOrOptions];
+    if (!(concurrency >= 1)) {
+      throw new TypeError(`The concurrency must be at least 1, got ${concurrency}`);
+    }
+    const signature = { name, key, dependencies, kind: 'parallel' };
+    const event = this.#createStepEvent(name);
+
+    const recovered = this.ctx.hasRecoveryData(this, signature);
+    // `slice` keeps the holes of the slots that did not finish
+    const slots = recovered ? (await this.ctx.getStepValue(this)).slice() : new Array(fns.length);
+    if (recovered && !this.ctx.isPartialStep(this)) {
+      this.#currentStepIndex += 1;
+      this.ctx.emit(EVENTS.STEP_RECOVERED, { ...event, value: slots });
+
+      return slots;
+    }
+    this.ctx.stopIfReplaying();
+
+    const pending = fns.map((fn, slot) => slot).filter((slot) => !Object.hasOwn(slots, slot));
+    let failure;
+    const worker = async () => {
+      while (pending.length > 0 && !failure) {
+        const slot = pending.shift();
+        try {
+          await this.#executeWithRetry(
+            fns[slot],
+            { retry, timeout },
+            { ...event, slot },
+            (value) => {
+              slots[slot] = value;
+              this.ctx.save(null, this, slots, { ...signature, partial: true });
+            },
+          );
+        } catch (error) {
+          failure ??= { error };
+          return;
+        }
+        await this.ctx.maybeCheckpoint();
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+    if (failure) {
+      throw failure.error;
+    }
+
+    this.ctx.save(null, this, slots, signature);
+    this.#currentStepIndex += 1;
+    await this.ctx.maybeCheckpoint();
+
+    return slots;
+  }
+
+  /**
+   * Calls `fn` for each item concurrently as a single step, see `parallel`
+   *
+   * @example
+   * const pages = await this.map('pages', urls, (url, index, signal) => fetchPage(url, { signal }), {
+   *   concurrency: 4,
+   * });
+   *
+   * @template T, R
+   * @param {string | T[]} nameOrItems
+   * @param {T[] | ((item: T, index: number, signal: AbortSignal) => R | Promise<R>)} itemsOrFn
+   * @param {((item: T, index: number, signal: AbortSignal) => R | Promise<R>) | ParallelOptions} [fnOrOptions]
+   * @param {ParallelOptions} [options]
+   * @return {Promise<R[]>}
+   */
+  async map(nameOrItems, itemsOrFn, fnOrOptions, options) {
+    const [name, items, fn, mapOptions] =
+      typeof nameOrItems === 'string'
+        ? [nameOrItems, itemsOrFn, fnOrOptions, options]
+        : [undefined, nameOrItems, itemsOrFn, fnOrOptions];
+    const fns = Array.from(items, (item, index) => (signal) => fn(item, index, signal));
+
+    return name === undefined
+      ? this.parallel(fns, mapOptions)
+      : this.parallel(name, fns, mapOptions);
+  }
+
+  /**
+   * Reduces the items (an iterable or an async iterable) as a single step, recording the number
+   * of processed items (the cursor) and a copy of the accumulator every `commitEvery` items.
+   * On recovery, the items before the recorded cursor are skipped and the reduction continues
+   * from the recorded accumulator, so the accumulator should be V8-serializable.
+   * The items are processed one by one, the `retry` and `timeout` options apply to each item.
+   *
+   * @example
+   * const total = await this.reduce('total', records, (sum, record) => sum + record.amount, 0, {
+   *   commitEvery: 1000,
+   * });
+   *
+   * @template T, A
+   * @param {string | Iterable<T> | AsyncIterable<T>} nameOrItems
+   * @param {Iterable<T> | AsyncIterable<T> | ReduceCallback<T, A>} itemsOrFn
+   * @param {ReduceCallback<T, A> | A} fnOrInitialValue
+   * @param {A | IterationOptions} [initialValueOrOptions]
+   * @param {IterationOptions} [options]
+   * @return {Promise<A>}
+   */
+  async reduce(nameOrItems, itemsOrFn, fnOrInitialValue, initialValueOrOptions, options) {
+    const [name, items, fn, initialValue, iterationOptions = {}] =
+      typeof nameOrItems === 'string'
+        ? [nameOrItems, itemsOrFn, fnOrInitialValue, initialValueOrOptions, options]
+        : [undefined, nameOrItems, itemsOrFn, fnOrInitialValue, initialValueOrOptions];
+    const { key, dependencies, retry, timeout, commitEvery = 100 } = iterationOptions;
+    const signature = { name, key, dependencies, kind: 'iteration' };
+    const event = this.#createStepEvent(name);
+
+    let cursor = 0;
+    let accumulator = initialValue;
+    if (this.ctx.hasRecoveryData(this, signature)) {
+      const recorded = await this.ctx.getStepValue(this);
+      if (!this.ctx.isPartialStep(this)) {
+        this.#currentStepIndex += 1;
+        this.ctx.emit(EVENTS.STEP_RECOVERED, { ...event, value: recorded.accumulator });
+
+        return recorded.accumulator;
+      }
+      cursor = recorded.cursor;
+      // the recorded accumulator is copied, so changing it in place does not change the record
+      accumulator = structuredClone(recorded.accumulator);
+    }
+    this.ctx.stopIfReplaying();
+
+    const startedAt = performance.now();
+    const commit = (partial) => {
+      this.ctx.save(
+        null,
+        this,
+        { cursor, accumulator: structuredClone(accumulator) },
+        partial ? { ...signature, partial } : signature,
+      );
+    };
+    let index = 0;
+    try {
+      for await (const item of items) {
+        if (index < cursor) {
+          index += 1;
+          continue;
+        }
+
+        const currentIndex = index;
+        accumulator = await withRetry(
+          () =>
+            this.#execute(
+              (signal) => fn(accumulator, item, currentIndex, signal),
+              timeout,
+              event.stepIndex,
+            ),
+          retry,
+          { signal: this.ctx.signal },
+        );
+        index += 1;
+        cursor = index;
+        if (cursor % commitEvery === 0) {
+          commit(true);
+          await this.ctx.maybeCheckpoint();
+        }
+      }
+    } catch (error) {
+      this.ctx.emit(EVENTS.STEP_FAILED, {
+        ...event,
+        error,
+        duration: performance.now() - startedAt,
+        cursor,
+      });
+
+      throw error;
+    }
+
+    commit(false);
+    this.#currentStepIndex += 1;
+    this.ctx.emit(EVENTS.STEP_EXECUTED, {
+      ...event,
+      value: accumulator,
+      duration: performance.now() - startedAt,
+      cursor,
+    });
+    await this.ctx.maybeCheckpoint();
+
+    return accumulator;
+  }
+
+  /**
+   * Calls `fn` for each item as a single step, recording the number of processed items
+   * every `commitEvery` items, see `reduce`
+   *
+   * @example
+   * await this.forEach('import', readRecords(file), (record) => db.insert(record), {
+   *   commitEvery: 1000,
+   * });
+   *
+   * @template T
+   * @param {string | Iterable<T> | AsyncIterable<T>} nameOrItems
+   * @param {Iterable<T> | AsyncIterable<T> | ((item: T, index: number, signal: AbortSignal) => unknown)} itemsOrFn
+   * @param {((item: T, index: number, signal: AbortSignal) => unknown) | IterationOptions} [fnOrOptions]
+   * @param {IterationOptions} [options]
+   * @return {Promise<void>}
+   */
+  async forEach(nameOrItems, itemsOrFn, fnOrOptions, options) {
+    const [name, items, fn, iterationOptions] =
+      typeof nameOrItems === 'string'
+        ? [nameOrItems, itemsOrFn, fnOrOptions, options]
+        : [undefined, nameOrItems, itemsOrFn, fnOrOptions];
+    const reducer = async (accumulator, item, index, signal) => {
+      await fn(item, index, signal);
+    };
+
+    if (name === undefined) {
+      await this.reduce(items, reducer, undefined, iterationOptions);
+    } else {
+      await this.reduce(name, items, reducer, undefined, iterationOptions);
+    }
+  }
+
+  #createStepEvent(stepName) {
+    return {
+      computation: this,
+      computationId: this.ctx.getComputationId(this),
+      stepIndex: this.#currentStepIndex,
+      stepName,
+    };
+  }
+
+  /**
+   * Executes the step callback according to the `retry` and `timeout` options,
+   * passes the result to `record` and emits the `step:executed` and `step:failed` events
+   */
+  async #executeWithRetry(fn, { retry, timeout }, event, record) {
+    const startedAt = performance.now();
+    let attempts = 0;
+
+    let value;
+    try {
+      value = await withRetry(
+        () => {
+          attempts += 1;
+          return this.#execute(fn, timeout, event.stepIndex);
+        },
+        retry,
+        {
+          signal: this.ctx.signal,
+          onRetry: (error, attempt, retryIn) => {
+            this.ctx.emit(EVENTS.STEP_FAILED, { ...event, error, attempt, retryIn });
+          },
+        },
+      );
+    } catch (error) {
+      this.ctx.emit(EVENTS.STEP_FAILED, {
+        ...event,
+        error,
+        duration: performance.now() - startedAt,
+        attempt: attempts,
+      });
+
+      throw error;
+    }
+
+    record(value);
+    this.ctx.emit(EVENTS.STEP_EXECUTED, {
+      ...event,
+      value,
+      duration: performance.now() - startedAt,
+      attempts,
+    });
+
+    return value;
+  }
+
+  async #execute(fn, timeout, stepIndex) {
+    const { signal, dispose } = createChildSignal(
+      this.ctx.signal,
+      timeout,
+      () => new StepTimeoutError(this, stepIndex, timeout),
+    );
+
+    try {
+      return await raceWithSignal(
+        Promise.resolve().then(() => fn(signal)),
+        signal,
+      );
+    } finally {
+      dispose();
+    }
+  }
 }
 
 export const PC = PersistentComputation;
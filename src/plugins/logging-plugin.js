@@ -0,0 +1,87 @@
+import { EVENTS } from '../utils.js';
+
+/**
+ * Logs the lifecycle events with `ctx.debug` and `ctx.verbose`, so they are printed
+ * according to the `debugLevel` option. Installed in every context by default.
+ * @param {import('../persistent-computation-context.js').PersistentComputationContext} ctx
+ */
+export function loggingPlugin(ctx) {
+  ctx.on(EVENTS.RUN_START, ({ computationIds }) => {
+    ctx.debug(`Starting a run of ${computationIds.join(', ')}`);
+  });
+  ctx.on(EVENTS.RUN_COMPLETE, ({ duration }) => {
+    ctx.debug(`Run completed in ${duration}ms`);
+  });
+  ctx.on(EVENTS.RUN_FAILED, ({ error, duration }) => {
+    ctx.debug(`Run failed in ${duration}ms: ${error.message}`);
+  });
+  ctx.on(EVENTS.RUN_INTERRUPTED, ({ reason }) => {
+    ctx.debug(`Interrupted by ${reason}, flushing recovery data`);
+  });
+
+  ctx.on(EVENTS.COMPUTATION_START, ({ computationId }) => {
+    ctx.debug(`Running ${computationId}`);
+  });
+  ctx.on(EVENTS.COMPUTATION_COMPLETE, ({ computationId, duration }) => {
+    ctx.verbose(`${computationId} completed in ${duration}ms`);
+  });
+  ctx.on(EVENTS.COMPUTATION_RECOVERED, ({ computationId }) => {
+    ctx.debug(`Skipping ${computationId}, it was completed by a previous run`);
+  });
+  ctx.on(EVENTS.COMPUTATION_FAILED, ({ computationId, error, attempt, retryIn }) => {
+    if (retryIn === undefined) {
+      ctx.debug(`Failed to run computation ${computationId}`);
+    } else {
+      ctx.debug(
+        `${computationId} failed (attempt ${attempt}), retrying in ${retryIn}ms: ${error?.message}`,
+      );
+    }
+  });
+
+  ctx.on(EVENTS.STEP_RECOVERED, ({ computationId, stepIndex }) => {
+    ctx.verbose(`Recovered step ${stepIndex} of ${computationId}`);
+  });
+  ctx.on(EVENTS.STEP_CACHED, ({ computationId, stepIndex }) => {
+    ctx.verbose(`Reused the cached result of step ${stepIndex} of ${computationId}`);
+  });
+  ctx.on(EVENTS.STEP_EXECUTED, ({ computationId, stepIndex, slot, duration }) => {
+    ctx.verbose(
+      `Executed step ${describeSlot(stepIndex, slot)} of ${computationId} in ${duration}ms`,
+    );
+  });
+  ctx.on(EVENTS.STEP_FAILED, ({ computationId, stepIndex, slot, error, attempt, retryIn }) => {
+    if (retryIn !== undefined) {
+      ctx.debug(
+        `Step ${describeSlot(stepIndex, slot)} of ${computationId} failed (attempt ${attempt}), ` +
+          `retrying in ${retryIn}ms: ${error?.message}`,
+      );
+    }
+  });
+
+  ctx.on(EVENTS.COMPENSATION_EXECUTED, ({ computationId, stepIndex }) => {
+    ctx.debug(`Compensated ${describeCompensation(computationId, stepIndex)}`);
+  });
+  ctx.on(EVENTS.COMPENSATION_FAILED, ({ computationId, stepIndex, error }) => {
+    ctx.debug(
+      `Failed to compensate ${describeCompensation(computationId, stepIndex)}: ${error?.message}`,
+    );
+  });
+
+  ctx.on(EVENTS.CHECKPOINT, ({ reason, steps }) => {
+    ctx.verbose(`Checkpoint (${reason}) after ${steps} step(s)`);
+  });
+}
+
+/**
+ * Compensations belong to a step, or to the whole computation
+ */
+function describeCompensation(computationId, stepIndex) {
+  return stepIndex === undefined ? computationId : `step ${stepIndex} of ${computationId}`;
+}
+
+/**
+ * Parallel steps emit the step events for each slot
+ */
+function describeSlot(stepIndex, slot) {
+  return slot === undefined ? `${stepIndex}` : `${stepIndex} (slot ${slot})`;
+}
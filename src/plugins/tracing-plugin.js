@@ -0,0 +1,250 @@
+import { ComputationFailedError } from '../errors.js';
+import { EVENTS } from '../utils.js';
+
+/**
+ * `SpanStatusCode.ERROR` of the OpenTelemetry API
+ */
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * The subset of an OpenTelemetry span used by the plugin
+ * @typedef {{
+ *   setAttribute(key: string, value: unknown): unknown,
+ *   addEvent(name: string, attributes?: Record<string, unknown>, time?: number): unknown,
+ *   recordException(exception: unknown, time?: number): void,
+ *   setStatus(status: { code: number, message?: string }): unknown,
+ *   end(endTime?: number): void,
+ * }} Span
+ */
+
+/**
+ * @typedef {{
+ *   startSpan(
+ *     name: string,
+ *     options?: { attributes?: Record<string, unknown>, startTime?: number },
+ *     context?: unknown,
+ *   ): Span,
+ * }} Tracer
+ */
+
+/**
+ * The parts of the `@opentelemetry/api` module used to nest the spans
+ * @typedef {{
+ *   trace: {
+ *     getTracer(name: string): Tracer,
+ *     setSpan(context: unknown, span: Span): unknown,
+ *   },
+ *   context: {
+ *     active(): unknown,
+ *   },
+ * }} TracingApi
+ */
+
+/**
+ * Creates a span for each run, each computation of the run and each step of the computations,
+ * from the lifecycle events of the context. The spans of the steps are created when the steps end,
+ * with their start time computed from their duration. Recovered and cached steps (and computations
+ * completed by a previous run) get empty spans with the `pc.recovered` or `pc.cached` attribute.
+ * Failed attempts that were retried are recorded as exceptions of the step (or computation) span,
+ * and failures set the error status of the spans.
+ *
+ * Works with the OpenTelemetry API: the spans are nested when the `@opentelemetry/api` module
+ * is passed as `api`, otherwise they only get the ids of their run and computation as attributes.
+ *
+ * @example
+ * import * as api from '@opentelemetry/api';
+ *
+ * const ctx = new PCContext({ plugins: [tracingPlugin({ api })] });
+ *
+ * @param {{ api?: TracingApi, tracer?: Tracer }} options the tracer is `api.trace.getTracer('persistent-computations')` by default
+ * @return {import('../persistent-computation-context.js').Plugin}
+ */
+export function tracingPlugin({ api, tracer = api?.trace.getTracer('persistent-computations') }) {
+  if (!tracer) {
+    throw new TypeError('The tracing plugin requires a tracer or the OpenTelemetry API');
+  }
+
+  return (ctx) => {
+    /**
+     * @type {{ span: Span, context: unknown, runId: string } | undefined}
+     */
+    let run;
+    /**
+     * The spans of the running computations, by computation id
+     * @type {Map<string, { span: Span, context: unknown }>}
+     */
+    const computations = new Map();
+    /**
+     * The failed attempts of the running steps, recorded on their span when they end
+     * @type {Map<string, { error: unknown, time: number }[]>}
+     */
+    const retries = new Map();
+
+    const startSpan = (name, attributes, parent, startTime = now()) => {
+      const span = tracer.startSpan(name, { attributes: defined(attributes), startTime }, parent);
+
+      return { span, context: parent !== undefined ? api.trace.setSpan(parent, span) : undefined };
+    };
+    const endRun = () => {
+      for (const { span } of computations.values()) {
+        span.end(now());
+      }
+      computations.clear();
+      retries.clear();
+      run?.span.end(now());
+      run = undefined;
+    };
+
+    ctx.on(EVENTS.RUN_START, ({ runId, computationIds }) => {
+      endRun();
+      run = {
+        ...startSpan(
+          'pipeline run',
+          { 'pc.run_id': runId, 'pc.computations': computationIds },
+          api?.context.active(),
+        ),
+        runId,
+      };
+    });
+    ctx.on(EVENTS.RUN_COMPLETE, endRun);
+    ctx.on(EVENTS.RUN_FAILED, ({ error }) => {
+      if (run) {
+        if (error instanceof ComputationFailedError && error.step) {
+          run.span.setAttribute('pc.failed_computation', ctx.getComputationId(error.step));
+        }
+        fail(run.span, error);
+      }
+      endRun();
+    });
+    ctx.on(EVENTS.RUN_INTERRUPTED, ({ reason }) => {
+      run?.span.addEvent('interrupted', { 'pc.reason': reason }, now());
+    });
+
+    ctx.on(EVENTS.COMPUTATION_START, ({ computationId, recovered }) => {
+      if (run) {
+        computations.set(
+          computationId,
+          startSpan(
+            `computation ${computationId}`,
+            { ...runAttributes(), 'pc.computation_id': computationId, 'pc.resumed': recovered },
+            run.context,
+          ),
+        );
+      }
+    });
+    ctx.on(EVENTS.COMPUTATION_RECOVERED, ({ computationId }) => {
+      if (run) {
+        const { span } = startSpan(
+          `computation ${computationId}`,
+          { ...runAttributes(), 'pc.computation_id': computationId, 'pc.recovered': true },
+          run.context,
+        );
+        span.end(now());
+      }
+    });
+    ctx.on(EVENTS.COMPUTATION_COMPLETE, ({ computationId }) => {
+      computations.get(computationId)?.span.end(now());
+      computations.delete(computationId);
+    });
+    ctx.on(EVENTS.COMPUTATION_FAILED, ({ computationId, error, retryIn }) => {
+      const span = computations.get(computationId)?.span;
+      if (!span) {
+        return;
+      }
+      if (retryIn !== undefined) {
+        span.recordException(error, now());
+        return;
+      }
+      fail(span, error);
+      span.end(now());
+      computations.delete(computationId);
+    });
+
+    ctx.on(EVENTS.STEP_RECOVERED, (event) => {
+      endStep(event, { 'pc.recovered': true });
+    });
+    ctx.on(EVENTS.STEP_CACHED, (event) => {
+      endStep(event, { 'pc.cached': true });
+    });
+    ctx.on(EVENTS.STEP_EXECUTED, (event) => {
+      const { duration, attempts, cursor } = event;
+      endStep(event, { 'pc.attempts': attempts, 'pc.cursor': cursor }, duration);
+    });
+    ctx.on(EVENTS.STEP_FAILED, (event) => {
+      const { error, attempt, retryIn, duration, cursor } = event;
+      if (retryIn === undefined) {
+        endStep(event, { 'pc.attempts': attempt, 'pc.cursor': cursor }, duration, error);
+      } else if (run) {
+        const key = getStepKey(event);
+        retries.set(key, [...(retries.get(key) ?? []), { error, time: now() }]);
+      }
+    });
+
+    function runAttributes() {
+      return { 'pc.run_id': run.runId };
+    }
+
+    /**
+     * Creates and ends the span of a step that ended `duration` milliseconds after it started
+     */
+    function endStep(event, attributes, duration = 0, error = undefined) {
+      const { computationId, stepIndex, stepName, slot } = event;
+      // the steps replayed by `rollback` are not traced
+      if (!run) {
+        return;
+      }
+
+      const end = now();
+      const label = `${stepName ?? stepIndex}${slot === undefined ? '' : `[${slot}]`}`;
+      const { span } = startSpan(
+        `step ${label}`,
+        {
+          ...runAttributes(),
+          'pc.computation_id': computationId,
+          'pc.step_index': stepIndex,
+          'pc.step_name': stepName,
+          'pc.slot': slot,
+          ...attributes,
+        },
+        computations.get(computationId)?.context ?? run.context,
+        end - duration,
+      );
+      const key = getStepKey(event);
+      for (const retry of retries.get(key) ?? []) {
+        span.recordException(retry.error, retry.time);
+      }
+      retries.delete(key);
+      if (error !== undefined) {
+        fail(span, error);
+      }
+      span.end(end);
+    }
+  };
+}
+
+/**
+ * The time in milliseconds since the epoch, with the precision of `performance.now()`,
+ * so the spans of the steps computed from their duration don't start before their parents
+ */
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+function fail(span, error) {
+  span.recordException(error, now());
+  span.setStatus({
+    code: SPAN_STATUS_ERROR,
+    message: error instanceof Error ? error.message : String(error),
+  });
+}
+
+function getStepKey({ computationId, stepIndex, slot }) {
+  return `${computationId}:${stepIndex}:${slot ?? ''}`;
+}
+
+/**
+ * OpenTelemetry ignores the attributes without a value, with a warning
+ */
+function defined(attributes) {
+  return Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== undefined));
+}
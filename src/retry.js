@@ -0,0 +1,95 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+import { NonRetriableError } from './errors.js';
+
+/**
+ * @typedef {{
+ *   attempts?: number,
+ *   delay?: number,
+ *   factor?: number,
+ *   maxDelay?: number,
+ *   jitter?: number,
+ *   retryIf?: (error: unknown, attempt: number) => boolean,
+ * }} RetryPolicy
+ */
+
+/**
+ * `attempts` is the maximum number of attempts, including the first one.
+ * The delay before the n-th retry is `delay * factor ** (n - 1)` capped by `maxDelay`,
+ * of which a random part up to `jitter` (a fraction from 0 to 1) is subtracted.
+ * @type {Readonly<Required<RetryPolicy>>}
+ */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  attempts: 1,
+  delay: 100,
+  factor: 2,
+  maxDelay: 30_000,
+  jitter: 0.5,
+  retryIf: () => true,
+});
+
+/**
+ * @param {RetryPolicy | number | undefined} policy a policy object or the maximum number of attempts
+ * @return {Required<RetryPolicy> | null}
+ */
+export function normalizeRetryPolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return null;
+  }
+
+  if (typeof policy === 'number') {
+    return { ...DEFAULT_RETRY_POLICY, attempts: policy };
+  }
+
+  return { ...DEFAULT_RETRY_POLICY, ...policy };
+}
+
+export function getRetryDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.delay * policy.factor ** (attempt - 1));
+
+  return Math.round(delay - delay * policy.jitter * Math.random());
+}
+
+/**
+ * `NonRetriableError`s are never retried, other errors are retried if `retryIf` allows it
+ */
+export function isRetriable(error, policy, attempt) {
+  return !(error instanceof NonRetriableError) && policy.retryIf(error, attempt);
+}
+
+/**
+ * Calls `fn` until it succeeds or the retry policy gives up, then rethrows the last error.
+ * Nothing is retried after the `signal` is aborted, waiting for the next attempt is interrupted
+ * with the abort reason.
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn
+ * @param {RetryPolicy | number | undefined} retryPolicy
+ * @param {{
+ *   onRetry?: (error: unknown, attempt: number, delay: number) => void | Promise<void>,
+ *   signal?: AbortSignal,
+ * }} [options] `onRetry` is called before waiting for the next attempt
+ * @return {Promise<T>}
+ */
+export async function withRetry(fn, retryPolicy, { onRetry, signal } = {}) {
+  const policy = normalizeRetryPolicy(retryPolicy);
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (
+        !policy ||
+        signal?.aborted ||
+        attempt >= policy.attempts ||
+        !isRetriable(error, policy, attempt)
+      ) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(policy, attempt);
+      await onRetry?.(error, attempt, delay);
+      await sleep(delay, undefined, { signal }).catch(() => {
+        throw signal.reason;
+      });
+    }
+  }
+}
@@ -0,0 +1,322 @@
+import { EVENTS, RUN_STATUS } from './utils.js';
+
+/**
+ * @typedef {{ name: string, message: string }} ReportError
+ */
+
+/**
+ * Parallel steps report each callback as a slot
+ * @typedef {{
+ *   slot: number,
+ *   status: 'executed' | 'failed',
+ *   duration?: number,
+ *   attempts?: number,
+ *   retries: number,
+ *   size?: number,
+ *   error?: ReportError,
+ * }} SlotReport
+ */
+
+/**
+ * A step `executed` by the run, `recovered` from the recovery data, reused from the step cache (`cached`)
+ * or `failed`. `retries` counts the failed attempts that were retried, `size` is the size
+ * of the result serialized with the context transformer, in bytes.
+ * Parallel steps report the duration, attempts and size of each callback in `slots` instead.
+ * @typedef {{
+ *   index: number,
+ *   name?: string,
+ *   status: 'executed' | 'recovered' | 'cached' | 'failed',
+ *   duration?: number,
+ *   attempts?: number,
+ *   retries: number,
+ *   cursor?: number,
+ *   size?: number,
+ *   error?: ReportError,
+ *   slots?: SlotReport[],
+ * }} StepReport
+ */
+
+/**
+ * `recovered` computations were completed by a previous run and not run again
+ * @typedef {{
+ *   id: string,
+ *   status: 'pending' | 'running' | 'completed' | 'recovered' | 'failed',
+ *   resumed: boolean,
+ *   duration?: number,
+ *   retries: number,
+ *   size?: number,
+ *   error?: ReportError,
+ *   steps: StepReport[],
+ * }} ComputationReport
+ */
+
+/**
+ * Times are ISO strings and durations are in milliseconds, so the report can be serialized to JSON
+ * @typedef {{
+ *   runId: string,
+ *   status: import('./utils.js').RunStatus,
+ *   startedAt: string,
+ *   endedAt?: string,
+ *   duration?: number,
+ *   error?: ReportError,
+ *   computations: ComputationReport[],
+ * }} RunReport
+ */
+
+/**
+ * Builds the report of the current (or the last) run of a context from its events,
+ * see `PersistentComputationContext#getReport`
+ */
+export class RunReporter {
+  /**
+   * @type {RunReport | undefined}
+   */
+  #report;
+  /**
+   * @type {{ serialize(value: unknown): Uint8Array }}
+   */
+  #transformer;
+  /**
+   * The results of the computations and the steps of the report, which are only serialized
+   * to get their size when the report is requested
+   * @type {Map<ComputationReport | StepReport | SlotReport, unknown>}
+   */
+  #results = new Map();
+  /**
+   * @type {Map<string, ComputationReport>}
+   */
+  #computations = new Map();
+  /**
+   * `performance.now()` when the computations started, to measure the failed ones
+   * @type {Map<string, number>}
+   */
+  #startTimes = new Map();
+
+  /**
+   * @param {import('./persistent-computation-context.js').PersistentComputationContext} ctx
+   * @param {{ serialize(value: unknown): Uint8Array }} transformer measures the size of the results
+   */
+  constructor(ctx, transformer) {
+    this.#transformer = transformer;
+    ctx.on(EVENTS.RUN_START, ({ runId, computationIds }) => {
+      this.#report = {
+        runId,
+        status: RUN_STATUS.RUNNING,
+        startedAt: new Date().toISOString(),
+        computations: [],
+      };
+      this.#computations.clear();
+      this.#startTimes.clear();
+      this.#results.clear();
+      for (const id of computationIds) {
+        const computation = { id, status: 'pending', resumed: false, retries: 0, steps: [] };
+        this.#computations.set(id, computation);
+        this.#report.computations.push(computation);
+      }
+    });
+    ctx.on(EVENTS.RUN_COMPLETE, ({ duration }) => {
+      this.#endRun(RUN_STATUS.COMPLETED, duration);
+    });
+    ctx.on(EVENTS.RUN_FAILED, ({ error, duration }) => {
+      // the status of an interrupted run is kept
+      if (this.#report?.status === RUN_STATUS.RUNNING) {
+        this.#report.status = RUN_STATUS.FAILED;
+      }
+      this.#endRun(this.#report?.status, duration, error);
+    });
+    ctx.on(EVENTS.RUN_INTERRUPTED, () => {
+      if (this.#report) {
+        this.#report.status = RUN_STATUS.INTERRUPTED;
+      }
+    });
+
+    ctx.on(EVENTS.COMPUTATION_START, ({ computationId, recovered }) => {
+      const computation = this.#computations.get(computationId);
+      if (computation) {
+        computation.status = 'running';
+        computation.resumed = recovered;
+        if (!this.#startTimes.has(computationId)) {
+          this.#startTimes.set(computationId, performance.now());
+        }
+      }
+    });
+    ctx.on(EVENTS.COMPUTATION_COMPLETE, ({ computationId, value, duration }) => {
+      this.#setResult(
+        this.#updateComputation(computationId, { status: 'completed', duration }),
+        value,
+      );
+    });
+    ctx.on(EVENTS.COMPUTATION_RECOVERED, ({ computationId, value }) => {
+      this.#setResult(
+        this.#updateComputation(computationId, { status: 'recovered', resumed: true }),
+        value,
+      );
+    });
+    ctx.on(EVENTS.COMPUTATION_FAILED, ({ computationId, error, retryIn }) => {
+      const computation = this.#computations.get(computationId);
+      if (!computation) {
+        return;
+      }
+      if (retryIn !== undefined) {
+        computation.retries += 1;
+        return;
+      }
+      computation.status = 'failed';
+      computation.error = describeError(error);
+      if (this.#startTimes.has(computationId)) {
+        computation.duration = performance.now() - this.#startTimes.get(computationId);
+      }
+    });
+
+    ctx.on(EVENTS.STEP_RECOVERED, (event) => {
+      // the steps finished before a computation is retried are recovered from memory
+      if (!this.#findStep(event)) {
+        this.#setResult(this.#updateStep(event, { status: 'recovered' }), event.value);
+      }
+    });
+    ctx.on(EVENTS.STEP_CACHED, (event) => {
+      this.#setResult(this.#updateStep(event, { status: 'cached' }), event.value);
+    });
+    ctx.on(EVENTS.STEP_EXECUTED, (event) => {
+      const { value, duration, attempts, cursor } = event;
+      const update = { status: 'executed', duration };
+      if (attempts !== undefined) {
+        update.attempts = attempts;
+      }
+      if (cursor !== undefined) {
+        update.cursor = cursor;
+      }
+      this.#setResult(this.#updateStep(event, update), value);
+    });
+    ctx.on(EVENTS.STEP_FAILED, (event) => {
+      const { error, attempt, retryIn, cursor } = event;
+      if (retryIn !== undefined) {
+        const step = this.#updateStep(event, {});
+        if (step) {
+          step.retries += 1;
+        }
+        return;
+      }
+      const update = { status: 'failed', error: describeError(error) };
+      if (attempt !== undefined) {
+        update.attempts = attempt;
+      }
+      if (cursor !== undefined) {
+        update.cursor = cursor;
+      }
+      this.#updateStep(event, update);
+    });
+  }
+
+  /**
+   * @return {RunReport | undefined}
+   */
+  getReport() {
+    if (!this.#report) {
+      return undefined;
+    }
+
+    for (const [entry, value] of this.#results) {
+      entry.size = this.#sizeOf(value);
+    }
+    this.#results.clear();
+    // detaches the report from the one being built
+    return structuredClone(this.#report);
+  }
+
+  #endRun(status, duration, error) {
+    if (!this.#report) {
+      return;
+    }
+    this.#report.status = status;
+    this.#report.endedAt = new Date().toISOString();
+    this.#report.duration = duration;
+    if (error) {
+      this.#report.error = describeError(error);
+    }
+  }
+
+  /**
+   * @return {ComputationReport | undefined}
+   */
+  #updateComputation(computationId, update) {
+    const computation = this.#computations.get(computationId);
+    if (computation) {
+      Object.assign(computation, update);
+    }
+
+    return computation;
+  }
+
+  /**
+   * @param {ComputationReport | StepReport | SlotReport | undefined} entry
+   * @param {unknown} value
+   */
+  #setResult(entry, value) {
+    if (entry) {
+      this.#results.set(entry, value);
+    }
+  }
+
+  #sizeOf(value) {
+    try {
+      return this.#transformer.serialize(value).length;
+    } catch {
+      // e.g. results of computations that are not persisted (see `persistResult`)
+      return undefined;
+    }
+  }
+
+  #findStep({ computationId, stepIndex }) {
+    return this.#computations.get(computationId)?.steps.find(({ index }) => index === stepIndex);
+  }
+
+  /**
+   * Creates the step (or the slot of a parallel step) on its first event
+   * @return {StepReport | SlotReport | undefined}
+   */
+  #updateStep(event, update) {
+    const { computationId, stepIndex, stepName, slot } = event;
+    const computation = this.#computations.get(computationId);
+    if (!computation) {
+      return undefined;
+    }
+
+    let step = this.#findStep(event);
+    if (!step) {
+      step = { index: stepIndex, retries: 0 };
+      if (stepName !== undefined) {
+        step.name = stepName;
+      }
+      computation.steps.push(step);
+    }
+    if (slot === undefined) {
+      return Object.assign(step, update);
+    }
+
+    step.slots ??= [];
+    let slotReport = step.slots.find((entry) => entry.slot === slot);
+    if (!slotReport) {
+      slotReport = { slot, retries: 0 };
+      step.slots.push(slotReport);
+    }
+    Object.assign(slotReport, update);
+    // a parallel step fails when one of its slots fails
+    step.status = step.slots.some(({ status }) => status === 'failed') ? 'failed' : 'executed';
+    step.error = step.slots.find(({ error }) => error)?.error;
+    if (step.error === undefined) {
+      delete step.error;
+    }
+
+    return slotReport;
+  }
+}
+
+/**
+ * @return {ReportError}
+ */
+function describeError(error) {
+  return error instanceof Error
+    ? { name: error.name, message: error.message }
+    : { name: 'Error', message: String(error) };
+}
@@ -0,0 +1,146 @@
+import { randomUUID } from 'node:crypto';
+import { RECOVERY_DATA_VERSION, RUN_STATUS } from './utils.js';
+
+/**
+ * The recovery data of a single run
+ * @typedef {{
+ *   id: string,
+ *   status: import('./utils.js').RunStatus,
+ *   startedAt?: Date,
+ *   endedAt?: Date,
+ *   computations: Record<string, unknown[]>,
+ *   results: Record<string, { completed: boolean, value: unknown }>,
+ *   steps: Record<string, Object[]>,
+ *   fingerprints: Record<string, Record<string, unknown>>,
+ *   dependencies: Object,
+ *   input?: unknown,
+ *   error?: unknown,
+ *   interruption?: { reason: string, error?: unknown, time: Date },
+ *   compensations?: Compensation[],
+ * }} RunRecord
+ */
+
+/**
+ * A pending compensation of a step, or of a computation when `stepIndex` is not set
+ * @typedef {{
+ *   computationId: string,
+ *   stepIndex?: number,
+ *   stepName?: string,
+ * }} Compensation
+ */
+
+/**
+ * The content of a recovery file
+ * @typedef {{ version?: number, runs: Record<string, RunRecord> }} RunStore
+ */
+
+/**
+ * @typedef {{
+ *   keepLast?: number,
+ *   maxAge?: number,
+ * }} RetentionPolicy
+ */
+
+/**
+ * The id given to the data of recovery files written before runs had ids
+ */
+export const LEGACY_RUN_ID = 'legacy';
+
+/**
+ * @param {string} [id] a random UUID by default
+ * @param {Object} [dependencies]
+ * @return {RunRecord}
+ */
+export function createRunRecord(id = randomUUID(), dependencies = {}) {
+  return {
+    id,
+    status: RUN_STATUS.RUNNING,
+    startedAt: new Date(),
+    computations: {},
+    results: {},
+    steps: {},
+    fingerprints: {},
+    dependencies,
+  };
+}
+
+/**
+ * @return {RunStore}
+ */
+export function createRunStore() {
+  return { version: RECOVERY_DATA_VERSION, runs: {} };
+}
+
+/**
+ * @param {RunStore} store
+ * @return {RunRecord[]} the runs, the most recently started first
+ */
+export function sortRuns(store) {
+  return Object.values(store.runs).sort(
+    (a, b) => (b.startedAt?.getTime() ?? 0) - (a.startedAt?.getTime() ?? 0),
+  );
+}
+
+/**
+ * @param {RunStore} store
+ * @param {{ completed?: boolean }} [options] whether completed runs are resumed too,
+ *   to rerun parts of them
+ * @return {RunRecord | undefined} the most recently started run that did not complete
+ *   (unless `completed` is set) and was neither rolled back nor superseded
+ */
+export function findResumableRun(store, { completed = false } = {}) {
+  return sortRuns(store).find(
+    ({ status }) =>
+      (completed || status !== RUN_STATUS.COMPLETED) &&
+      status !== RUN_STATUS.ROLLED_BACK &&
+      status !== RUN_STATUS.SUPERSEDED,
+  );
+}
+
+/**
+ * Marks the unfinished runs that did not start after `completed` as superseded
+ * @param {RunStore} store
+ * @param {RunRecord} completed
+ * @return {string[]} ids of the superseded runs
+ */
+export function supersedeRuns(store, completed) {
+  const unfinished = [RUN_STATUS.RUNNING, RUN_STATUS.FAILED, RUN_STATUS.INTERRUPTED];
+  const superseded = Object.values(store.runs).filter(
+    (run) =>
+      run.id !== completed.id &&
+      unfinished.includes(run.status) &&
+      (run.startedAt?.getTime() ?? 0) <= (completed.startedAt?.getTime() ?? 0),
+  );
+  for (const run of superseded) {
+    run.status = RUN_STATUS.SUPERSEDED;
+  }
+
+  return superseded.map(({ id }) => id);
+}
+
+/**
+ * Removes the runs beyond the `keepLast` most recent ones and the runs that ended
+ * (or started, if they did not end) more than `maxAge` milliseconds ago
+ * @param {RunStore} store
+ * @param {RetentionPolicy | null} retention
+ * @param {string} currentRunId the run that is never removed
+ * @param {number} [now]
+ * @return {string[]} ids of the removed runs
+ */
+export function pruneRuns(store, retention, currentRunId, now = Date.now()) {
+  const { keepLast = Infinity, maxAge = Infinity } = retention ?? {};
+  const removed = sortRuns(store)
+    .filter((run, position) => {
+      const endedAt = run.endedAt ?? run.startedAt;
+      const expired = endedAt !== undefined && now - endedAt.getTime() > maxAge;
+
+      return run.id !== currentRunId && (position >= keepLast || expired);
+    })
+    .map(({ id }) => id);
+
+  for (const id of removed) {
+    delete store.runs[id];
+  }
+
+  return removed;
+}
@@ -0,0 +1,161 @@
+import { createHash } from 'node:crypto';
+import * as v8 from 'node:v8';
+
+/**
+ * @typedef {{
+ *   location?: string,
+ *   transport?: {
+ *     read(fileName: string): Buffer | Promise<Buffer>,
+ *     write(fileName: string, data: Buffer): void | Promise<void>,
+ *     exists(fileName: string): boolean | Promise<boolean>,
+ *   },
+ *   ttl?: number,
+ *   maxEntries?: number,
+ *   maxSize?: number,
+ * }} StepCacheOptions
+ */
+
+/**
+ * A cached step result, serialized with the context transformer.
+ * Times are in milliseconds since the epoch.
+ * @typedef {{
+ *   data: Buffer,
+ *   createdAt: number,
+ *   expiresAt: number | null,
+ *   lastUsedAt: number,
+ * }} CacheEntry
+ */
+
+/**
+ * Keeps the results of the steps with a `cacheKey` across runs (see the `cache` option of the context).
+ * The entries are read when a run starts and the results of the run are added
+ * when it completes, so only the results of successful runs are cached.
+ * Expired entries are dropped, then the least recently used entries are dropped
+ * to stay within `maxEntries` and `maxSize` (the total size of the serialized results in bytes).
+ */
+export class StepCache {
+  #location;
+  #transport;
+  #transformer;
+  #ttl;
+  #maxEntries;
+  #maxSize;
+  /**
+   * @type {Record<string, CacheEntry>}
+   */
+  #entries = {};
+  /**
+   * Entries added or used by the current run, written by `commit`
+   * @type {Map<string, CacheEntry>}
+   */
+  #pending = new Map();
+
+  /**
+   * @param {StepCacheOptions & { location: string, transport: Object }} options
+   * @param {import('./persistent-computation-context.js').Transformer} transformer
+   */
+  constructor(
+    { location, transport, ttl = Infinity, maxEntries = Infinity, maxSize = Infinity },
+    transformer,
+  ) {
+    if (transport.structured) {
+      throw new TypeError('The step cache requires a transport storing serialized data');
+    }
+    this.#location = location;
+    this.#transport = transport;
+    this.#transformer = transformer;
+    this.#ttl = ttl;
+    this.#maxEntries = maxEntries;
+    this.#maxSize = maxSize;
+  }
+
+  /**
+   * @param {unknown[]} parts identify the step, they should be V8-serializable
+   * @return {string}
+   */
+  static hash(parts) {
+    return createHash('sha256').update(v8.serialize(parts)).digest('hex');
+  }
+
+  async load() {
+    this.#entries = await this.#read();
+    this.#pending.clear();
+  }
+
+  /**
+   * @param {string} hash
+   * @param {number} [now]
+   * @return {{ found: true, value: unknown } | { found: false }}
+   */
+  get(hash, now = Date.now()) {
+    const entry = this.#pending.get(hash) ?? this.#entries[hash];
+    if (!entry || isExpired(entry, now)) {
+      return { found: false };
+    }
+    this.#pending.set(hash, { ...entry, lastUsedAt: now });
+
+    return { found: true, value: this.#transformer.deserialize(entry.data) };
+  }
+
+  /**
+   * @param {string} hash
+   * @param {unknown} value
+   * @param {number} [ttl] overrides the `ttl` option
+   * @param {number} [now]
+   */
+  set(hash, value, ttl = this.#ttl, now = Date.now()) {
+    this.#pending.set(hash, {
+      data: this.#transformer.serialize(value),
+      createdAt: now,
+      expiresAt: Number.isFinite(ttl) ? now + ttl : null,
+      lastUsedAt: now,
+    });
+  }
+
+  /**
+   * Adds the entries of the current run to the stored ones, which are read again,
+   * as other processes may have changed them since the run started
+   * @param {number} [now]
+   */
+  async commit(now = Date.now()) {
+    if (this.#pending.size === 0) {
+      return;
+    }
+    const entries = { ...(await this.#read()), ...Object.fromEntries(this.#pending) };
+    this.#pending.clear();
+
+    const recent = Object.entries(entries)
+      .filter(([, entry]) => !isExpired(entry, now))
+      .sort(([, a], [, b]) => b.lastUsedAt - a.lastUsedAt);
+    this.#entries = {};
+    let count = 0;
+    let size = 0;
+    for (const [hash, entry] of recent) {
+      if (count < this.#maxEntries && size + entry.data.length <= this.#maxSize) {
+        this.#entries[hash] = entry;
+        count += 1;
+        size += entry.data.length;
+      }
+    }
+
+    await this.#transport.write(
+      this.#location,
+      this.#transformer.serialize({ version: 1, entries: this.#entries }),
+    );
+  }
+
+  /**
+   * @return {Promise<Record<string, CacheEntry>>}
+   */
+  async #read() {
+    if (!(await this.#transport.exists(this.#location))) {
+      return {};
+    }
+
+    return this.#transformer.deserialize(await this.#transport.read(this.#location))?.entries ?? {};
+  }
+}
+
+function isExpired(entry, now) {
+  return entry.expiresAt !== null && entry.expiresAt <= now;
+}
@@ -0,0 +1,84 @@
+import * as zlib from 'node:zlib';
+import { TamperedDataError } from '../errors.js';
+
+const MAGIC = Buffer.from('PCZ');
+
+/**
+ * The algorithms are identified by one byte after the magic bytes,
+ * so the data can be read back after the algorithm was changed
+ */
+const ALGORITHMS = {
+  gzip: { id: 1, compress: zlib.gzipSync, decompress: zlib.gunzipSync },
+  deflate: { id: 2, compress: zlib.deflateSync, decompress: zlib.inflateSync },
+  brotli: { id: 3, compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync },
+  zstd: { id: 4, compress: zlib.zstdCompressSync, decompress: zlib.zstdDecompressSync },
+};
+
+/**
+ * @typedef {{
+ *   algorithm?: 'gzip' | 'deflate' | 'brotli' | 'zstd',
+ *   level?: number,
+ * }} CompressionOptions
+ */
+
+/**
+ * Wraps a transformer to compress the serialized data with `node:zlib`.
+ * The data is prefixed with a header naming the algorithm, so any supported algorithm is read back,
+ * and data without the header (written before the compression was enabled) is passed as is
+ * to the wrapped transformer. `zstd` requires a Node.js version with zstd support in `node:zlib`.
+ *
+ * @example
+ * const ctx = new PCContext({
+ *   transformer: withCompression(v8Transformer, { algorithm: 'brotli' }),
+ * });
+ *
+ * @param {import('../persistent-computation-context.js').Transformer} transformer
+ * @param {CompressionOptions} [options]
+ * @return {import('../persistent-computation-context.js').Transformer}
+ */
+export function withCompression(transformer, { algorithm = 'gzip', level } = {}) {
+  const selected = ALGORITHMS[algorithm];
+  if (!selected) {
+    throw new TypeError(`Unknown compression algorithm "${algorithm}"`);
+  }
+  if (!selected.compress) {
+    throw new TypeError(`Compression algorithm "${algorithm}" is not supported by this Node.js`);
+  }
+  const options = level === undefined ? {} : levelOptions(algorithm, level);
+
+  return {
+    serialize(value) {
+      const data = selected.compress(transformer.serialize(value), options);
+      return Buffer.concat([MAGIC, Buffer.of(selected.id), data]);
+    },
+    deserialize(data) {
+      const buffer = Buffer.from(data);
+      if (!buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+        return transformer.deserialize(buffer);
+      }
+      const id = buffer[MAGIC.length];
+      const used = Object.values(ALGORITHMS).find((entry) => entry.id === id);
+      if (!used?.decompress) {
+        throw new TamperedDataError(`unknown compression algorithm ${id}`);
+      }
+      let decompressed;
+      try {
+        decompressed = used.decompress(buffer.subarray(MAGIC.length + 1));
+      } catch (error) {
+        throw new TamperedDataError(`decompression failed (${error.message})`, { cause: error });
+      }
+      return transformer.deserialize(decompressed);
+    },
+  };
+}
+
+function levelOptions(algorithm, level) {
+  switch (algorithm) {
+    case 'brotli':
+      return { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } };
+    case 'zstd':
+      return { params: { [zlib.constants.ZSTD_c_compressionLevel]: level } };
+    default:
+      return { level };
+  }
+}
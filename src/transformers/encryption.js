@@ -0,0 +1,117 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto';
+import { TamperedDataError } from '../errors.js';
+
+const MAGIC = Buffer.from('PCE');
+const VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Returns the 32 bytes key with the given id, or undefined when the key is unknown
+ * @typedef {(keyId: string) => Buffer | undefined} KeyProvider
+ */
+
+/**
+ * @typedef {{
+ *   keys: Record<string, Buffer> | KeyProvider,
+ *   currentKeyId: string,
+ * }} EncryptionOptions
+ */
+
+/**
+ * Wraps a transformer to encrypt the serialized data with AES-256-GCM.
+ * The data is written with the `currentKeyId` key and the id is stored in its header,
+ * so after a key rotation the data written with the previous keys is still read,
+ * as long as `keys` provides them, and it is written with the new key on the next flush.
+ * Data that was changed, truncated, written with an unknown key or not encrypted at all
+ * fails with `TamperedDataError` instead of being passed to the wrapped transformer.
+ *
+ * To compress the data as well, compress it before encrypting it:
+ * `withEncryption(withCompression(v8Transformer), options)`.
+ *
+ * @example
+ * const ctx = new PCContext({
+ *   transformer: withEncryption(v8Transformer, {
+ *     keys: { '2024-01': oldKey, '2024-06': newKey },
+ *     currentKeyId: '2024-06',
+ *   }),
+ * });
+ *
+ * @param {import('../persistent-computation-context.js').Transformer} transformer
+ * @param {EncryptionOptions} options
+ * @return {import('../persistent-computation-context.js').Transformer}
+ */
+export function withEncryption(transformer, { keys, currentKeyId }) {
+  const getKey =
+    typeof keys === 'function'
+      ? keys
+      : (keyId) => (Object.hasOwn(keys, keyId) ? keys[keyId] : undefined);
+  const keyIdBytes = Buffer.from(String(currentKeyId));
+  if (keyIdBytes.length === 0 || keyIdBytes.length > 255) {
+    throw new TypeError('currentKeyId must be between 1 and 255 bytes long');
+  }
+  if (typeof keys !== 'function') {
+    validateKey(currentKeyId, getKey(currentKeyId));
+  }
+
+  return {
+    serialize(value) {
+      const key = validateKey(currentKeyId, getKey(currentKeyId));
+      const header = Buffer.concat([MAGIC, Buffer.of(VERSION, keyIdBytes.length), keyIdBytes]);
+      const iv = randomBytes(IV_LENGTH);
+      const cipher = createCipheriv(CIPHER, key, iv, { authTagLength: TAG_LENGTH });
+      cipher.setAAD(header);
+      const encrypted = Buffer.concat([
+        cipher.update(transformer.serialize(value)),
+        cipher.final(),
+      ]);
+      return Buffer.concat([header, iv, cipher.getAuthTag(), encrypted]);
+    },
+    deserialize(data) {
+      const buffer = Buffer.from(data);
+      if (!buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new TamperedDataError('the data is not encrypted');
+      }
+      if (buffer[MAGIC.length] !== VERSION) {
+        throw new TamperedDataError(`unknown encryption format ${buffer[MAGIC.length]}`);
+      }
+      const headerLength = MAGIC.length + 2 + buffer[MAGIC.length + 1];
+      if (buffer.length < headerLength + IV_LENGTH + TAG_LENGTH) {
+        throw new TamperedDataError('the data is truncated');
+      }
+      const keyId = buffer.toString('utf8', MAGIC.length + 2, headerLength);
+      const key = getKey(keyId);
+      if (!key) {
+        throw new TamperedDataError(`the data was encrypted with an unknown key "${keyId}"`);
+      }
+      const iv = buffer.subarray(headerLength, headerLength + IV_LENGTH);
+      const tag = buffer.subarray(headerLength + IV_LENGTH, headerLength + IV_LENGTH + TAG_LENGTH);
+      let decrypted;
+      try {
+        const decipher = createDecipheriv(CIPHER, validateKey(keyId, key), iv, {
+          authTagLength: TAG_LENGTH,
+        });
+        decipher.setAAD(buffer.subarray(0, headerLength));
+        decipher.setAuthTag(tag);
+        decrypted = Buffer.concat([
+          decipher.update(buffer.subarray(headerLength + IV_LENGTH + TAG_LENGTH)),
+          decipher.final(),
+        ]);
+      } catch (error) {
+        throw new TamperedDataError(`the data was changed or does not match the key "${keyId}"`, {
+          cause: error,
+        });
+      }
+      return transformer.deserialize(decrypted);
+    },
+  };
+}
+
+function validateKey(keyId, key) {
+  if (!Buffer.isBuffer(key) || key.length !== KEY_LENGTH) {
+    throw new TypeError(`Encryption key "${keyId}" must be a ${KEY_LENGTH} bytes Buffer`);
+  }
+  return key;
+}
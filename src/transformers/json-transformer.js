@@ -0,0 +1,373 @@
+const TYPE = '$type';
+/**
+ * Written for the holes of sparse arrays, which the recovery relies on
+ * (e.g. the holes of the partially finished parallel steps)
+ */
+const HOLE = Object.freeze({ [TYPE]: 'Hole' });
+
+/**
+ * Converts the values of one type to JSON and back.
+ * `encode` may return values that need encoding themselves (e.g. the entries of a Map),
+ * they are encoded before being written and decoded before `decode` is called.
+ * Strings, booleans, null and finite numbers are always written as is.
+ * @typedef {{
+ *   type: string,
+ *   test(value: unknown): boolean,
+ *   encode(value: any): unknown,
+ *   decode(json: any): unknown,
+ * }} Codec
+ */
+
+/**
+ * A class whose instances are restored with `fromJSON`, if it has one,
+ * or by assigning the properties returned by `toJSON` to a new instance otherwise
+ * @typedef {(new (...args: any[]) => any) & { fromJSON?(json: any): any }} SerializableClass
+ */
+
+/**
+ * @typedef {{
+ *   classes?: SerializableClass[] | Record<string, SerializableClass>,
+ *   codecs?: Codec[],
+ * }} JsonTransformerOptions
+ */
+
+const ERROR_CLASSES = [
+  Error,
+  TypeError,
+  RangeError,
+  SyntaxError,
+  ReferenceError,
+  EvalError,
+  URIError,
+  AggregateError,
+];
+
+/** @type {Codec[]} */
+const BUILT_IN_CODECS = [
+  {
+    type: 'undefined',
+    test: (value) => value === undefined,
+    encode: () => null,
+    decode: () => undefined,
+  },
+  {
+    type: 'Number',
+    test: (value) => typeof value === 'number' && !Number.isFinite(value),
+    encode: (value) => String(value),
+    decode: (json) => Number(json),
+  },
+  {
+    type: 'BigInt',
+    test: (value) => typeof value === 'bigint',
+    encode: (value) => value.toString(),
+    decode: (json) => BigInt(json),
+  },
+  {
+    type: 'Symbol',
+    test: (value) => typeof value === 'symbol' && Symbol.keyFor(value) !== undefined,
+    encode: (value) => Symbol.keyFor(value),
+    decode: (json) => Symbol.for(json),
+  },
+  {
+    type: 'Date',
+    test: (value) => value instanceof Date,
+    encode: (value) => (Number.isNaN(value.getTime()) ? null : value.toISOString()),
+    decode: (json) => new Date(json ?? NaN),
+  },
+  {
+    type: 'RegExp',
+    test: (value) => value instanceof RegExp,
+    encode: (value) => [value.source, value.flags],
+    decode: ([source, flags]) => new RegExp(source, flags),
+  },
+  {
+    type: 'Map',
+    test: (value) => value instanceof Map,
+    encode: (value) => [...value],
+    decode: (json) => new Map(json),
+  },
+  {
+    type: 'Set',
+    test: (value) => value instanceof Set,
+    encode: (value) => [...value],
+    decode: (json) => new Set(json),
+  },
+  {
+    type: 'Buffer',
+    test: (value) => Buffer.isBuffer(value),
+    encode: (value) => value.toString('base64'),
+    decode: (json) => Buffer.from(json, 'base64'),
+  },
+  {
+    type: 'TypedArray',
+    test: (value) => ArrayBuffer.isView(value) && !(value instanceof DataView),
+    encode: (value) => [
+      value.constructor.name,
+      Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64'),
+    ],
+    decode: ([name, data]) => {
+      const bytes = Buffer.from(data, 'base64');
+      const copy = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+      return new globalThis[name](copy);
+    },
+  },
+];
+
+/**
+ * A transformer storing the recovery data as JSON, which is readable and portable across
+ * Node.js versions, unlike the V8 serialization. Values JSON cannot represent are stored
+ * as `{ "$type": type, "value": json }` objects using a codec registry. Codecs are provided for
+ * `undefined`, `NaN` and infinite numbers, BigInt, global symbols (`Symbol.for`), Date, RegExp, Map,
+ * Set, Buffer, typed arrays and errors. Instances of the classes in `classes` are restored
+ * as instances of these classes, the other class instances are stored as plain objects.
+ *
+ * The classes are identified by their name, unless they are given as a `{ name: Class }` object.
+ * An instance is written with its `toJSON` method, or its own enumerable properties,
+ * and restored with the static `fromJSON` method of its class,
+ * or by assigning the written properties to an instance created without calling the constructor.
+ * Error subclasses are identified the same way and keep their message, stack, cause and properties.
+ *
+ * Functions, local symbols and circular references cannot be stored and throw a `TypeError`.
+ *
+ * @example
+ * class Money {
+ *   constructor(amount, currency) { ... }
+ *   toJSON() { return [this.amount, this.currency]; }
+ *   static fromJSON([amount, currency]) { return new Money(amount, currency); }
+ * }
+ * const ctx = new PCContext({ transformer: jsonTransformer({ classes: [Money] }) });
+ *
+ * @param {JsonTransformerOptions} [options]
+ */
+export function jsonTransformer({ classes = [], codecs = [] } = {}) {
+  /** @type {Codec[]} */
+  const registry = [];
+  /** @type {Map<string, SerializableClass>} */
+  const classesByName = new Map();
+  const namesByClass = new Map();
+
+  const transformer = {
+    /**
+     * Adds a codec, it takes precedence over the codecs registered before
+     * @param {Codec} codec
+     */
+    registerCodec(codec) {
+      const index = registry.findIndex((entry) => entry.type === codec.type);
+      if (index !== -1) {
+        registry.splice(index, 1);
+      }
+      registry.unshift(codec);
+
+      return transformer;
+    },
+
+    /**
+     * @param {SerializableClass} Class
+     * @param {string} [name] the class name by default
+     */
+    registerClass(Class, name = Class.name) {
+      if (!name) {
+        throw new TypeError('Anonymous classes must be registered with a name');
+      }
+      const registered = classesByName.get(name);
+      if (registered && registered !== Class) {
+        throw new TypeError(`Another class is already registered as "${name}"`);
+      }
+      classesByName.set(name, Class);
+      namesByClass.set(Class, name);
+
+      return transformer;
+    },
+
+    serialize(value) {
+      return Buffer.from(JSON.stringify(encode(value, '$', new Set())));
+    },
+
+    deserialize(data) {
+      return decode(JSON.parse(Buffer.from(data).toString('utf8')));
+    },
+  };
+
+  function encode(value, path, ancestors) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+      return value;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return value;
+    }
+    for (const codec of registry) {
+      if (codec.test(value)) {
+        return tagged(codec.type, () => codec.encode(value));
+      }
+    }
+    if (typeof value === 'function' || typeof value === 'symbol') {
+      throw new TypeError(`Cannot serialize the ${typeof value} at ${path}`);
+    }
+    if (ancestors.has(value)) {
+      throw new TypeError(`Cannot serialize the circular reference at ${path}`);
+    }
+    if (value instanceof Error) {
+      ancestors.add(value);
+      const json = encodeError(value, path, ancestors);
+      ancestors.delete(value);
+
+      return { [TYPE]: 'Error', value: json };
+    }
+    const name = namesByClass.get(value.constructor);
+    if (name !== undefined) {
+      return tagged('Class', () => [
+        name,
+        typeof value.toJSON === 'function' ? value.toJSON() : { ...value },
+      ]);
+    }
+    if (typeof value.toJSON === 'function') {
+      return encode(value.toJSON(), path, ancestors);
+    }
+
+    ancestors.add(value);
+    let json;
+    if (Array.isArray(value)) {
+      json = Array.from(value, (item, index) =>
+        Object.hasOwn(value, index) ? encode(item, `${path}[${index}]`, ancestors) : HOLE,
+      );
+    } else {
+      json = {};
+      for (const [key, item] of Object.entries(value)) {
+        json[key] = encode(item, `${path}.${key}`, ancestors);
+      }
+      if (TYPE in json) {
+        // escapes the plain objects which would be read as encoded values
+        json = { [TYPE]: 'Object', value: json };
+      }
+    }
+    ancestors.delete(value);
+
+    return json;
+
+    function tagged(type, getJson) {
+      ancestors.add(value);
+      const encoded = { [TYPE]: type, value: encode(getJson(), path, ancestors) };
+      ancestors.delete(value);
+
+      return encoded;
+    }
+  }
+
+  function decode(json) {
+    if (json === null || typeof json !== 'object') {
+      return json;
+    }
+    if (Array.isArray(json)) {
+      const value = new Array(json.length);
+      json.forEach((item, index) => {
+        if (item?.[TYPE] !== HOLE[TYPE]) {
+          value[index] = decode(item);
+        }
+      });
+
+      return value;
+    }
+    if (typeof json[TYPE] === 'string') {
+      return decodeTagged(json[TYPE], json.value);
+    }
+
+    const value = {};
+    for (const [key, item] of Object.entries(json)) {
+      value[key] = decode(item);
+    }
+
+    return value;
+  }
+
+  function decodeTagged(type, json) {
+    if (type === 'Object') {
+      return Object.fromEntries(Object.entries(json).map(([key, item]) => [key, decode(item)]));
+    }
+    const decoded = decode(json);
+    if (type === 'Error') {
+      return decodeError(decoded);
+    }
+    if (type === 'Class') {
+      const [name, data] = decoded;
+      const Class = classesByName.get(name);
+      if (!Class) {
+        throw new TypeError(`Class "${name}" is not registered in the JSON transformer`);
+      }
+
+      return typeof Class.fromJSON === 'function'
+        ? Class.fromJSON(data)
+        : Object.assign(Object.create(Class.prototype), data);
+    }
+    const codec = registry.find((entry) => entry.type === type);
+    if (!codec) {
+      throw new TypeError(`No codec is registered for the type "${type}"`);
+    }
+
+    return codec.decode(decoded);
+  }
+
+  function encodeError(error, path, ancestors) {
+    const { name, message, stack, cause, errors, ...properties } = error;
+    const json = {
+      class: namesByClass.get(error.constructor) ?? error.constructor.name,
+      name: encode(name, `${path}.name`, ancestors),
+      message: encode(message, `${path}.message`, ancestors),
+      stack: encode(stack, `${path}.stack`, ancestors),
+      properties: {},
+    };
+    if ('cause' in error) {
+      json.cause = encode(cause, `${path}.cause`, ancestors);
+    }
+    if (error instanceof AggregateError) {
+      json.errors = encode(errors, `${path}.errors`, ancestors);
+    }
+    for (const [key, value] of Object.entries(properties)) {
+      try {
+        json.properties[key] = encode(value, `${path}.${key}`, ancestors);
+      } catch {
+        // like with the V8 serialization, the properties that cannot be stored are dropped,
+        // so an error referencing e.g. its computation can still be written
+      }
+    }
+
+    return json;
+  }
+
+  function decodeError(json) {
+    const Class =
+      classesByName.get(json.class) ??
+      ERROR_CLASSES.find((ErrorClass) => ErrorClass.name === json.class) ??
+      Error;
+    const error = Object.create(Class.prototype);
+    const define = (key, value) =>
+      Object.defineProperty(error, key, { value, writable: true, configurable: true });
+    define('message', json.message);
+    define('stack', json.stack);
+    if ('cause' in json) {
+      define('cause', json.cause);
+    }
+    if ('errors' in json) {
+      define('errors', json.errors);
+    }
+    Object.assign(error, json.properties);
+    if (error.name !== json.name) {
+      define('name', json.name);
+    }
+
+    return error;
+  }
+
+  for (const codec of [...BUILT_IN_CODECS].reverse()) {
+    transformer.registerCodec(codec);
+  }
+  for (const codec of codecs) {
+    transformer.registerCodec(codec);
+  }
+  for (const [name, Class] of Array.isArray(classes)
+    ? classes.map((Class) => [Class.name, Class])
+    : Object.entries(classes)) {
+    transformer.registerClass(Class, name);
+  }
+
+  return transformer;
+}
@@ -0,0 +1,13 @@
+import * as v8 from 'node:v8';
+
+/**
+ * The default transformer, supports the values supported by the structured clone algorithm
+ */
+export const v8Transformer = Object.freeze({
+  serialize(value) {
+    return v8.serialize(value);
+  },
+  deserialize(value) {
+    return v8.deserialize(value);
+  },
+});
@@ -0,0 +1,311 @@
+import { createHash } from 'node:crypto';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { ChecksumMismatchError } from '../errors.js';
+import { acquireFileLock, releaseFileLock, renewFileLock } from '../fs-lock.js';
+import { writeFileAtomically } from '../fs-utils.js';
+import { LazyValue } from '../lazy-value.js';
+import {
+  getStoredRun,
+  setStoredResult,
+  setStoredStep,
+  takeStoredRuns,
+  writeChanges,
+} from './stored-runs.js';
+
+const MANIFEST = 'manifest.bin';
+const STEPS = 'steps';
+const BLOBS = 'blobs';
+
+/**
+ * @typedef {{
+ *   blobThreshold?: number,
+ * }} DirectoryTransportOptions
+ */
+
+/**
+ * @typedef {{ checksum: string, size: number, blob: boolean }} StoredValue
+ */
+
+/**
+ * Stores the recovery data in a directory at `recoveryDataLocation`: a manifest with the runs
+ * and one file per step value and computation result. The files are named by the SHA-256 checksum
+ * of their content, which is verified before a value is used. Each flush only serializes
+ * the values of the steps saved since the previous flush and the new results,
+ * and only writes the new files.
+ * Values serialized to more than `blobThreshold` bytes (1 MiB by default) are stored as blobs,
+ * which are only read when the step is recovered (see `LazyValue`), while the results are read
+ * upfront. Step values and results failing the checksum are dropped, so the steps
+ * and computations are run again, while blobs of step values failing the checksum make the step
+ * fail with `ChecksumMismatchError`.
+ * The manifest and each value are serialized with the context transformer.
+ *
+ * @example
+ * const ctx = new PCContext({
+ *   recoveryDataLocation: '.recovery',
+ *   transport: directoryTransport({ blobThreshold: 64 * 1024 }),
+ * });
+ *
+ * @param {DirectoryTransportOptions} [options]
+ */
+export function directoryTransport({ blobThreshold = 1024 * 1024 } = {}) {
+  /**
+   * The values in the manifest of each directory, as of the last read or write
+   * @type {Map<string, StoredValues>}
+   */
+  const storedValues = new Map();
+
+  return {
+    structured: true,
+
+    exists(directory) {
+      return fs.existsSync(path.join(directory, MANIFEST));
+    },
+
+    /**
+     * @param {string} directory
+     * @param {{ serialize(value: unknown): Buffer, deserialize(data: Buffer): unknown }} transformer
+     * @return {import('../runs.js').RunStore}
+     */
+    read(directory, transformer) {
+      const manifest = transformer.deserialize(fs.readFileSync(path.join(directory, MANIFEST)));
+      const read = createStoredValues();
+      const runs = {};
+      for (const [runId, record] of Object.entries(manifest.runs)) {
+        getStoredRun(read.runs, runId);
+        const computations = {};
+        for (const [computation, values] of Object.entries(manifest.values[runId] ?? {})) {
+          computations[computation] = [];
+          for (const [index, stored] of Object.entries(values)) {
+            const file = getFileName(directory, stored);
+            if (stored.blob) {
+              computations[computation][index] = new LazyValue(
+                () => transformer.deserialize(readVerified(file, stored.checksum)),
+                stored,
+              );
+            } else {
+              const data = readChecked(file, stored.checksum);
+              if (!data) {
+                continue;
+              }
+              computations[computation][index] = transformer.deserialize(data);
+            }
+            setStoredStep(read.runs, [runId, computation, Number(index)], stored);
+            reference(read, file, 1);
+          }
+        }
+        const results = {};
+        for (const [computation, stored] of Object.entries(manifest.results[runId] ?? {})) {
+          const file = getFileName(directory, stored);
+          const data = readChecked(file, stored.checksum);
+          if (!data) {
+            continue;
+          }
+          results[computation] = {
+            ...record.results[computation],
+            value: transformer.deserialize(data),
+          };
+          setStoredResult(read.runs, [runId, computation], results[computation], stored);
+          reference(read, file, 1);
+        }
+        runs[runId] = { ...record, computations, results };
+      }
+      // the files of the dropped values are removed by the next write
+      read.swept = false;
+      storedValues.set(directory, read);
+
+      return { runs };
+    },
+
+    /**
+     * Writes the files of the changed steps and results and the manifest, then removes the files
+     * no run refers to anymore. The files that are not in the manifest are removed by the first
+     * write after a read. Everything is written synchronously, so the data is taken at call time.
+     * @param {string} directory
+     * @param {import('../runs.js').RunStore} store
+     * @param {{ serialize(value: unknown): Buffer, deserialize(data: Buffer): unknown }} transformer
+     * @param {import('../persistent-computation-context.js').StoreChanges} [changes]
+     */
+    write(directory, store, transformer, changes) {
+      fs.mkdirSync(path.join(directory, STEPS), { recursive: true });
+      fs.mkdirSync(path.join(directory, BLOBS), { recursive: true });
+
+      const known = takeStoredRuns(storedValues, directory, changes);
+      const stored = known ?? { ...createStoredValues(), swept: false };
+      /**
+       * The files that lost a reference, removed if no value refers to them anymore
+       * @type {Set<string>}
+       */
+      const released = new Set();
+      const save = (value, previous) => {
+        const saved = storeValue(directory, value, transformer, blobThreshold);
+        reference(stored, getFileName(directory, saved), 1);
+        if (previous) {
+          release(previous);
+        }
+
+        return saved;
+      };
+      const release = (value) => {
+        const file = getFileName(directory, value);
+        reference(stored, file, -1);
+        released.add(file);
+      };
+      writeChanges(stored.runs, store, known && changes, {
+        deleteRun(runId, run) {
+          for (const values of run.steps.values()) {
+            values.forEach(release);
+          }
+          for (const { stored: value } of run.results.values()) {
+            release(value);
+          }
+        },
+        saveStep: (run, computation, index, previous) =>
+          save(run.computations[computation][index], previous),
+        deleteStep: (runId, computation, index, value) => release(value),
+        saveResult: (run, computation, previous) => save(run.results[computation].value, previous),
+        deleteResult: (runId, computation, value) => release(value),
+      });
+
+      const manifest = { runs: {}, values: {}, results: {} };
+      for (const run of Object.values(store.runs)) {
+        const record = { ...run, results: {} };
+        delete record.computations;
+        for (const [computation, result] of Object.entries(run.results ?? {})) {
+          // the value is in its own file
+          record.results[computation] = { ...result };
+          delete record.results[computation].value;
+        }
+        const { steps, results } = getStoredRun(stored.runs, run.id);
+        manifest.runs[run.id] = record;
+        manifest.values[run.id] = {};
+        for (const [computation, values] of steps) {
+          manifest.values[run.id][computation] = Object.fromEntries(values);
+        }
+        manifest.results[run.id] = {};
+        for (const [computation, { stored: value }] of results) {
+          manifest.results[run.id][computation] = value;
+        }
+      }
+      writeFileAtomically(path.join(directory, MANIFEST), transformer.serialize(manifest));
+
+      if (!stored.swept) {
+        for (const folder of [STEPS, BLOBS]) {
+          for (const fileName of fs.readdirSync(path.join(directory, folder))) {
+            released.add(path.join(directory, folder, fileName));
+          }
+        }
+        stored.swept = true;
+      }
+      for (const file of released) {
+        if (!stored.references.has(file)) {
+          fs.rmSync(file, { force: true });
+        }
+      }
+      storedValues.set(directory, stored);
+    },
+
+    /**
+     * Removes the manifest and the value files, then the directory if nothing else is left in it
+     * @param {string} directory
+     */
+    remove(directory) {
+      storedValues.delete(directory);
+      for (const name of [MANIFEST, STEPS, BLOBS]) {
+        fs.rmSync(path.join(directory, name), { recursive: true, force: true });
+      }
+      if (fs.existsSync(directory) && fs.readdirSync(directory).length === 0) {
+        fs.rmdirSync(directory);
+      }
+    },
+
+    acquireLock(directory, owner) {
+      return acquireFileLock(directory, owner);
+    },
+
+    renewLock(directory, owner) {
+      return renewFileLock(directory, owner);
+    },
+
+    releaseLock(directory, owner) {
+      releaseFileLock(directory, owner);
+    },
+  };
+}
+
+/**
+ * The values in a manifest (see `StoredRuns`) and the number of values referring to each file.
+ * `swept` is false until the unknown files of the directory are removed.
+ * @typedef {{
+ *   runs: import('./stored-runs.js').StoredRuns<StoredValue>,
+ *   references: Map<string, number>,
+ *   swept: boolean,
+ * }} StoredValues
+ */
+
+/**
+ * @return {StoredValues}
+ */
+function createStoredValues() {
+  return { runs: new Map(), references: new Map(), swept: true };
+}
+
+function reference(stored, file, count) {
+  const references = (stored.references.get(file) ?? 0) + count;
+  if (references > 0) {
+    stored.references.set(file, references);
+  } else {
+    stored.references.delete(file);
+  }
+}
+
+/**
+ * Writes the value file unless a file with the same content exists
+ * @return {StoredValue}
+ */
+function storeValue(directory, value, transformer, blobThreshold) {
+  if (value instanceof LazyValue && value.meta.checksum) {
+    // the blob was not loaded, so it did not change
+    return value.meta;
+  }
+
+  const data = transformer.serialize(value);
+  const stored = { checksum: checksum(data), size: data.length, blob: data.length > blobThreshold };
+  const file = getFileName(directory, stored);
+  if (!fs.existsSync(file)) {
+    writeFileAtomically(file, data);
+  }
+
+  return stored;
+}
+
+/**
+ * @param {string} directory
+ * @param {StoredValue} stored
+ */
+function getFileName(directory, { checksum: valueChecksum, blob }) {
+  return path.join(directory, blob ? BLOBS : STEPS, `${valueChecksum}.bin`);
+}
+
+/**
+ * @return {Buffer | null} the content of the file, or null if it is missing
+ *   or does not match the checksum
+ */
+function readChecked(file, expectedChecksum) {
+  const data = fs.existsSync(file) ? fs.readFileSync(file) : null;
+
+  return data && checksum(data) === expectedChecksum ? data : null;
+}
+
+function readVerified(file, expectedChecksum) {
+  const data = readChecked(file, expectedChecksum);
+  if (!data) {
+    throw new ChecksumMismatchError(file);
+  }
+
+  return data;
+}
+
+function checksum(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
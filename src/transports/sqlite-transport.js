@@ -0,0 +1,364 @@
+import * as path from 'node:path';
+import { isStaleLock } from '../fs-lock.js';
+import {
+  getStoredRun,
+  setStoredResult,
+  setStoredStep,
+  takeStoredRuns,
+  writeChanges,
+} from './stored-runs.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    pipeline TEXT NOT NULL,
+    run_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    started_at TEXT,
+    ended_at TEXT,
+    data BLOB NOT NULL,
+    PRIMARY KEY (pipeline, run_id)
+  );
+  CREATE TABLE IF NOT EXISTS steps (
+    pipeline TEXT NOT NULL,
+    run_id TEXT NOT NULL,
+    computation TEXT NOT NULL,
+    step_index INTEGER NOT NULL,
+    value BLOB NOT NULL,
+    signature BLOB,
+    PRIMARY KEY (pipeline, run_id, computation, step_index)
+  );
+  CREATE TABLE IF NOT EXISTS results (
+    pipeline TEXT NOT NULL,
+    run_id TEXT NOT NULL,
+    computation TEXT NOT NULL,
+    data BLOB NOT NULL,
+    PRIMARY KEY (pipeline, run_id, computation)
+  );
+  CREATE TABLE IF NOT EXISTS locks (
+    pipeline TEXT PRIMARY KEY,
+    owner TEXT NOT NULL
+  );
+`;
+
+/**
+ * @typedef {{
+ *   database?: string,
+ *   busyTimeout?: number,
+ * }} SqliteTransportOptions
+ */
+
+/**
+ * Stores the recovery data in an SQLite database (using `node:sqlite`, available since Node 22.5).
+ * Each run is a row of the `runs` table, each step is a row of the `steps` table
+ * with its value and its signature (its name, key and fingerprint), and each computation result
+ * is a row of the `results` table, keyed by the pipeline, which is the `recoveryDataLocation`
+ * of the context, so one database can hold the recovery data of several pipelines.
+ * Only the rows of the current run, of the steps saved since the last write
+ * and of the new results are written.
+ * When another connection holds the database lock, the statements wait for it
+ * up to `busyTimeout` milliseconds (5 seconds by default) before failing.
+ * Each row is serialized with the context transformer.
+ *
+ * @example
+ * const ctx = new PCContext({
+ *   recoveryDataLocation: 'nightly-import',
+ *   transport: sqliteTransport({ database: 'recovery.sqlite' }),
+ * });
+ *
+ * @param {SqliteTransportOptions} [options]
+ */
+export function sqliteTransport({ database = 'recovery.sqlite', busyTimeout = 5000 } = {}) {
+  let db;
+  /**
+   * The rows stored in the database for each pipeline read or written by the transport
+   * @type {Map<string, import('./stored-runs.js').StoredRuns<true>>}
+   */
+  const stored = new Map();
+
+  async function open() {
+    if (!db) {
+      // imported on first use, so the module can be loaded on Node versions without `node:sqlite`
+      const opening = import('node:sqlite').then(({ DatabaseSync }) => {
+        const connection = new DatabaseSync(path.resolve(process.cwd(), database));
+        try {
+          connection.exec(`PRAGMA busy_timeout = ${Number(busyTimeout)}`);
+          connection.exec(SCHEMA);
+        } catch (error) {
+          connection.close();
+
+          throw error;
+        }
+
+        return connection;
+      });
+      // the next call opens the database again
+      opening.catch(() => {
+        if (db === opening) {
+          db = undefined;
+        }
+      });
+      db = opening;
+    }
+
+    return db;
+  }
+
+  return {
+    structured: true,
+
+    async exists(pipeline) {
+      const connection = await open();
+
+      return Boolean(
+        connection.prepare('SELECT 1 FROM runs WHERE pipeline = ? LIMIT 1').get(pipeline),
+      );
+    },
+
+    /**
+     * @param {string} pipeline
+     * @param {{ serialize(value: unknown): Buffer, deserialize(data: Buffer): unknown }} transformer
+     * @return {Promise<import('../runs.js').RunStore>}
+     */
+    async read(pipeline, transformer) {
+      const connection = await open();
+      const storedRuns = new Map();
+      const runs = {};
+      for (const { run_id: runId, data } of connection
+        .prepare('SELECT run_id, data FROM runs WHERE pipeline = ?')
+        .all(pipeline)) {
+        runs[runId] = {
+          ...transformer.deserialize(Buffer.from(data)),
+          computations: {},
+          results: {},
+        };
+        getStoredRun(storedRuns, runId);
+      }
+      for (const { run_id: runId, computation, step_index: index, value, signature } of connection
+        .prepare(
+          'SELECT run_id, computation, step_index, value, signature FROM steps WHERE pipeline = ?',
+        )
+        .all(pipeline)) {
+        const run = runs[runId];
+        if (run) {
+          run.computations[computation] ??= [];
+          run.computations[computation][index] = transformer.deserialize(Buffer.from(value));
+          if (signature !== null) {
+            run.steps ??= {};
+            run.steps[computation] ??= [];
+            run.steps[computation][index] = transformer.deserialize(Buffer.from(signature));
+          }
+          setStoredStep(storedRuns, [runId, computation, index], true);
+        }
+      }
+      for (const { run_id: runId, computation, data } of connection
+        .prepare('SELECT run_id, computation, data FROM results WHERE pipeline = ?')
+        .all(pipeline)) {
+        const run = runs[runId];
+        if (run) {
+          run.results[computation] = transformer.deserialize(Buffer.from(data));
+          setStoredResult(storedRuns, [runId, computation], run.results[computation], true);
+        }
+      }
+      stored.set(pipeline, storedRuns);
+
+      return { runs };
+    },
+
+    /**
+     * Writes the rows of the changed runs, steps and results, and deletes the rows
+     * of the removed ones. The rows are serialized before the first `await`,
+     * so the data is taken at call time.
+     * @param {string} pipeline
+     * @param {import('../runs.js').RunStore} store
+     * @param {{ serialize(value: unknown): Buffer, deserialize(data: Buffer): unknown }} transformer
+     * @param {import('../persistent-computation-context.js').StoreChanges} [changes]
+     */
+    async write(pipeline, store, transformer, changes) {
+      const known = takeStoredRuns(stored, pipeline, changes);
+      const storedRuns = known ?? new Map();
+      const statements = known ? [] : [...DELETE_PIPELINE];
+      writeChanges(storedRuns, store, known && changes, {
+        deleteRun: (runId) =>
+          statements.push(
+            [DELETE_RUN_RESULTS, runId],
+            [DELETE_RUN_STEPS, runId],
+            [DELETE_RUN, runId],
+          ),
+        saveRun: (run) => statements.push(getRunRow(run, transformer)),
+        saveStep(run, computation, index) {
+          statements.push(getStepRow(run, computation, index, transformer));
+
+          return true;
+        },
+        deleteStep: (runId, computation, index) =>
+          statements.push([DELETE_STEP, runId, computation, index]),
+        saveResult(run, computation) {
+          statements.push(getResultRow(run, computation, transformer));
+
+          return true;
+        },
+        deleteResult: (runId, computation) => statements.push([DELETE_RESULT, runId, computation]),
+      });
+
+      const connection = await open();
+      const prepared = new Map();
+      inTransaction(connection, 'BEGIN', () => {
+        for (const [sql, ...params] of statements) {
+          if (!prepared.has(sql)) {
+            prepared.set(sql, connection.prepare(sql));
+          }
+          prepared.get(sql).run(pipeline, ...params);
+        }
+      });
+      stored.set(pipeline, storedRuns);
+    },
+
+    async remove(pipeline) {
+      const connection = await open();
+      for (const [sql] of DELETE_PIPELINE) {
+        connection.prepare(sql).run(pipeline);
+      }
+      stored.delete(pipeline);
+    },
+
+    /**
+     * @param {string} pipeline
+     * @param {import('../fs-lock.js').LockOwner} owner
+     * @return {Promise<import('../fs-lock.js').LockResult>}
+     */
+    async acquireLock(pipeline, owner) {
+      const connection = await open();
+
+      return inTransaction(connection, 'BEGIN IMMEDIATE', () => {
+        const row = connection.prepare('SELECT owner FROM locks WHERE pipeline = ?').get(pipeline);
+        const current = row ? JSON.parse(row.owner) : null;
+        if (current && !isStaleLock(current)) {
+          return { acquired: false, owner: current };
+        }
+
+        connection
+          .prepare('INSERT OR REPLACE INTO locks (pipeline, owner) VALUES (?, ?)')
+          .run(pipeline, JSON.stringify(owner));
+
+        return { acquired: true };
+      });
+    },
+
+    /**
+     * @param {string} pipeline
+     * @param {import('../fs-lock.js').LockOwner} owner
+     * @return {Promise<boolean>} whether the lock is still held
+     */
+    async renewLock(pipeline, owner) {
+      const connection = await open();
+      const { changes } = connection
+        .prepare(
+          "UPDATE locks SET owner = ? WHERE pipeline = ? AND json_extract(owner, '$.token') = ?",
+        )
+        .run(JSON.stringify(owner), pipeline, owner.token);
+
+      return changes > 0;
+    },
+
+    async releaseLock(pipeline, owner) {
+      const connection = await open();
+      connection
+        .prepare("DELETE FROM locks WHERE pipeline = ? AND json_extract(owner, '$.token') = ?")
+        .run(pipeline, owner.token);
+    },
+
+    async close() {
+      const opening = db;
+      db = undefined;
+      stored.clear();
+      // a database that failed to open has nothing to close
+      const connection = await opening?.catch(() => null);
+      connection?.close();
+    },
+  };
+}
+
+/**
+ * Runs `fn` in a transaction started with `begin`, which is rolled back if `fn` or the commit fails.
+ * A failed `begin` throws without a rollback, as no transaction was started.
+ * @template T
+ * @param {import('node:sqlite').DatabaseSync} connection
+ * @param {string} begin
+ * @param {() => T} fn
+ * @return {T}
+ */
+function inTransaction(connection, begin, fn) {
+  connection.exec(begin);
+  try {
+    const result = fn();
+    connection.exec('COMMIT');
+
+    return result;
+  } catch (error) {
+    // SQLite rolls back on its own after some errors (`isTransaction` exists since Node 22.16)
+    if (connection.isTransaction !== false) {
+      connection.exec('ROLLBACK');
+    }
+
+    throw error;
+  }
+}
+
+const UPSERT_RUN = `INSERT OR REPLACE INTO runs (pipeline, run_id, status, started_at, ended_at, data)
+  VALUES (?, ?, ?, ?, ?, ?)`;
+const UPSERT_STEP = `INSERT OR REPLACE INTO steps
+  (pipeline, run_id, computation, step_index, value, signature) VALUES (?, ?, ?, ?, ?, ?)`;
+const UPSERT_RESULT = `INSERT OR REPLACE INTO results (pipeline, run_id, computation, data)
+  VALUES (?, ?, ?, ?)`;
+const DELETE_RUN = 'DELETE FROM runs WHERE pipeline = ? AND run_id = ?';
+const DELETE_RUN_STEPS = 'DELETE FROM steps WHERE pipeline = ? AND run_id = ?';
+const DELETE_RUN_RESULTS = 'DELETE FROM results WHERE pipeline = ? AND run_id = ?';
+const DELETE_STEP =
+  'DELETE FROM steps WHERE pipeline = ? AND run_id = ? AND computation = ? AND step_index = ?';
+const DELETE_RESULT = 'DELETE FROM results WHERE pipeline = ? AND run_id = ? AND computation = ?';
+/**
+ * The statements deleting all the rows of the pipeline
+ */
+const DELETE_PIPELINE = [
+  ['DELETE FROM results WHERE pipeline = ?'],
+  ['DELETE FROM steps WHERE pipeline = ?'],
+  ['DELETE FROM runs WHERE pipeline = ?'],
+];
+
+/**
+ * The step signatures and the results are stored in their own rows,
+ * so the run record does not grow with the number of steps and computations
+ */
+function getRunRow(run, transformer) {
+  const record = { ...run };
+  delete record.computations;
+  delete record.steps;
+  delete record.results;
+  const { id, status, startedAt, endedAt } = record;
+
+  return [
+    UPSERT_RUN,
+    id,
+    status,
+    startedAt?.toISOString() ?? null,
+    endedAt?.toISOString() ?? null,
+    transformer.serialize(record),
+  ];
+}
+
+function getStepRow(run, computation, index, transformer) {
+  const signature = run.steps?.[computation]?.[index];
+
+  return [
+    UPSERT_STEP,
+    run.id,
+    computation,
+    Number(index),
+    transformer.serialize(run.computations[computation][index]),
+    signature === undefined ? null : transformer.serialize(signature),
+  ];
+}
+
+function getResultRow(run, computation, transformer) {
+  return [UPSERT_RESULT, run.id, computation, transformer.serialize(run.results[computation])];
+}
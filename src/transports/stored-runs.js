@@ -0,0 +1,184 @@
+/**
+ * What a structured transport stored for a location: the runs, and by run the steps by computation
+ * and index and the results by computation, with what the transport keeps about each of them
+ * (e.g. where the value is stored). It tells the parts to write from the `StoreChanges`.
+ * @template T
+ * @typedef {Map<string, StoredRun<T>>} StoredRuns
+ */
+
+/**
+ * @template T
+ * @typedef {{
+ *   steps: Map<string, Map<number, T>>,
+ *   results: Map<string, { result: unknown, stored: T }>,
+ * }} StoredRun
+ */
+
+/**
+ * Writes and deletes the parts of the recovery data for a transport.
+ * The `save` callbacks return what the transport keeps about the saved part,
+ * and get what it kept about the part they replace, if any.
+ * @template T
+ * @typedef {{
+ *   deleteRun(runId: string, run: StoredRun<T>): void,
+ *   saveRun?(run: import('../runs.js').RunRecord): void,
+ *   saveStep(run: import('../runs.js').RunRecord, computation: string, index: number, previous: T | undefined): T,
+ *   deleteStep(runId: string, computation: string, index: number, stored: T): void,
+ *   saveResult(run: import('../runs.js').RunRecord, computation: string, previous: T | undefined): T,
+ *   deleteResult(runId: string, computation: string, stored: T): void,
+ * }} StoreWriter
+ */
+
+/**
+ * Takes the stored runs of a location out of `storedRuns`, so they are only known again
+ * when the write succeeds and the transport puts them back, or after the next read
+ * @template S
+ * @param {Map<string, S>} storedRuns by location
+ * @param {string} location
+ * @param {import('../persistent-computation-context.js').StoreChanges} [changes]
+ * @return {S | undefined} undefined when the whole recovery data must be written: the changes are
+ *   not given, the location was neither read nor written, or the last write failed
+ */
+export function takeStoredRuns(storedRuns, location, changes) {
+  const stored = changes && storedRuns.get(location);
+  storedRuns.delete(location);
+
+  return stored;
+}
+
+/**
+ * Calls the writer for the parts of the recovery data that changed since they were stored,
+ * and updates `stored` to match: deletes the removed runs and the steps and results removed
+ * from the changed runs, and saves the changed runs, the saved steps and the new results.
+ * The results are replaced by new objects when they change, so they are compared by identity.
+ * Everything is saved when the changes are not given.
+ * @template T
+ * @param {StoredRuns<T>} stored
+ * @param {import('../runs.js').RunStore} store
+ * @param {import('../persistent-computation-context.js').StoreChanges | undefined} changes
+ * @param {StoreWriter<T>} writer
+ */
+export function writeChanges(stored, store, changes, writer) {
+  const { runs, steps } = changes ?? getAllChanges(store);
+  for (const [runId, run] of stored) {
+    if (!Object.hasOwn(store.runs, runId)) {
+      writer.deleteRun(runId, run);
+      stored.delete(runId);
+    }
+  }
+
+  for (const runId of runs) {
+    const run = store.runs[runId];
+    if (!run) {
+      continue;
+    }
+    writer.saveRun?.(run);
+    const storedRun = getStoredRun(stored, runId);
+    for (const [computation, values] of storedRun.steps) {
+      for (const [index, value] of values) {
+        if (!Object.hasOwn(run.computations?.[computation] ?? {}, index)) {
+          writer.deleteStep(runId, computation, index, value);
+          setStoredStep(stored, [runId, computation, index], undefined);
+        }
+      }
+    }
+    const results = run.results ?? {};
+    for (const [computation, { stored: value }] of storedRun.results) {
+      if (!Object.hasOwn(results, computation)) {
+        writer.deleteResult(runId, computation, value);
+        setStoredResult(stored, [runId, computation], undefined);
+      }
+    }
+    for (const [computation, result] of Object.entries(results)) {
+      const previous = storedRun.results.get(computation);
+      if (previous?.result !== result) {
+        const value = writer.saveResult(run, computation, previous?.stored);
+        setStoredResult(stored, [runId, computation], result, value);
+      }
+    }
+  }
+
+  for (const [runId, computation, index] of steps) {
+    const run = store.runs[runId];
+    const values = run?.computations?.[computation];
+    if (values && Object.hasOwn(values, index)) {
+      const previous = stored.get(runId)?.steps.get(computation)?.get(index);
+      const value = writer.saveStep(run, computation, index, previous);
+      setStoredStep(stored, [runId, computation, index], value);
+    }
+  }
+}
+
+/**
+ * @template T
+ * @param {StoredRuns<T>} stored
+ * @param {string} runId
+ * @return {StoredRun<T>} the stored run, added if it is not stored yet
+ */
+export function getStoredRun(stored, runId) {
+  if (!stored.has(runId)) {
+    stored.set(runId, { steps: new Map(), results: new Map() });
+  }
+
+  return stored.get(runId);
+}
+
+/**
+ * Sets, or removes when `value` is undefined, what the transport keeps about a stored step
+ * @template T
+ * @param {StoredRuns<T>} stored
+ * @param {[runId: string, computation: string, index: number]} key
+ * @param {T | undefined} value
+ */
+export function setStoredStep(stored, [runId, computation, index], value) {
+  const { steps } = getStoredRun(stored, runId);
+  if (!steps.has(computation)) {
+    steps.set(computation, new Map());
+  }
+  const values = steps.get(computation);
+  if (value === undefined) {
+    values.delete(index);
+    if (!values.size) {
+      steps.delete(computation);
+    }
+  } else {
+    values.set(index, value);
+  }
+}
+
+/**
+ * Sets, or removes when `result` is undefined, a stored result
+ * and what the transport keeps about it
+ * @template T
+ * @param {StoredRuns<T>} stored
+ * @param {[runId: string, computation: string]} key
+ * @param {unknown} result
+ * @param {T} [value]
+ */
+export function setStoredResult(stored, [runId, computation], result, value) {
+  const { results } = getStoredRun(stored, runId);
+  if (result === undefined) {
+    results.delete(computation);
+  } else {
+    results.set(computation, { result, stored: value });
+  }
+}
+
+/**
+ * The changes of a write of the whole recovery data
+ * @param {import('../runs.js').RunStore} store
+ * @return {import('../persistent-computation-context.js').StoreChanges}
+ */
+function getAllChanges(store) {
+  const changes = { runs: Object.keys(store.runs), steps: [] };
+  for (const run of Object.values(store.runs)) {
+    for (const [computation, values] of Object.entries(run.computations ?? {})) {
+      // `Object.keys` skips the holes left by deleted steps
+      for (const index of Object.keys(values)) {
+        changes.steps.push([run.id, computation, Number(index)]);
+      }
+    }
+  }
+
+  return changes;
+}
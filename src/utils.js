@@ -7,3 +7,161 @@ export const DEBUG_LEVEL = Object.freeze({
   DEBUG: 1,
   VERBOSE: 2,
 });
+
+/**
+ * @typedef {Readonly<{FAILURE: 'failure', STEP: 'step'}>} CheckpointPolicies
+ */
+
+/**
+ * When to flush the recovery data during a run.
+ * Besides these, the `checkpoint` option accepts `{ steps: number }` and `{ interval: number }`
+ * to flush after every N steps or when at least N milliseconds passed since the last flush.
+ */
+export const CHECKPOINT_POLICY = Object.freeze({
+  FAILURE: 'failure',
+  STEP: 'step',
+});
+
+/**
+ * @typedef {Readonly<{THROW: 'throw', INVALIDATE: 'invalidate'}>} StepMismatchStrategies
+ */
+
+/**
+ * What to do when a named step does not match the step recorded at the same position,
+ * i.e. when steps were added, removed or reordered since the recovery data was saved.
+ * `THROW` fails the computation with `StepMismatchError`,
+ * `INVALIDATE` drops the recovery data from the mismatched step onwards and recomputes it.
+ */
+export const STEP_MISMATCH = Object.freeze({
+  THROW: 'throw',
+  INVALIDATE: 'invalidate',
+});
+
+/**
+ * @typedef {'running' | 'completed' | 'failed' | 'interrupted' | 'rolled-back' | 'superseded'} RunStatus
+ */
+
+/**
+ * Status of a run in the recovery data. All the runs except the completed, the rolled back
+ * (see `PersistentComputationContext#rollback`) and the superseded ones can be resumed.
+ * An unfinished run is superseded when a run started after it completes,
+ * so its stale data is not resumed by the next run.
+ */
+export const RUN_STATUS = Object.freeze({
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted',
+  ROLLED_BACK: 'rolled-back',
+  SUPERSEDED: 'superseded',
+});
+
+/**
+ * What to do with the recovery data of a run after it completes.
+ * `KEEP` marks the run as completed in the recovery file, if the file holds the run
+ * (i.e. it was resumed or checkpointed) or runs it supersedes (see `RUN_STATUS`),
+ * and otherwise leaves the file as it is.
+ * `ARCHIVE` marks the run as completed, so it is kept in the run history
+ * (subject to the `retention` option), but not resumed unless its id is passed to `run`.
+ * `CLEAR` removes the run from the recovery file.
+ */
+export const ON_SUCCESS = Object.freeze({
+  KEEP: 'keep',
+  ARCHIVE: 'archive',
+  CLEAR: 'clear',
+});
+
+/**
+ * The version of the recovery data format, stored in its `version` field.
+ * Version 1 is the data of a single run, written before runs had ids,
+ * and version 2 holds the runs by id. Older versions are upgraded when they are read
+ * (see `registerMigration`).
+ */
+export const RECOVERY_DATA_VERSION = 2;
+
+/**
+ * Picks values from the dependencies object by keys or dot-separated paths
+ * @param {Object} dependencies
+ * @param {string[]} paths
+ * @return {Record<string, unknown>}
+ */
+export function pickDependencies(dependencies, paths) {
+  const picked = {};
+  for (const path of paths) {
+    picked[path] = path.split('.').reduce((value, key) => value?.[key], dependencies);
+  }
+
+  return picked;
+}
+
+/**
+ * Creates a signal that is aborted when the parent signal is aborted
+ * or, if `timeout` is set, when it runs out
+ * @param {AbortSignal | undefined} parent
+ * @param {number | undefined} timeout
+ * @param {() => unknown} createTimeoutReason
+ * @return {{ signal: AbortSignal, dispose(): void }} call `dispose` when the signal is not needed anymore
+ */
+export function createChildSignal(parent, timeout, createTimeoutReason) {
+  const controller = new AbortController();
+  const abortWithParent = () => controller.abort(parent.reason);
+  let timer;
+
+  if (parent?.aborted) {
+    abortWithParent();
+  } else {
+    parent?.addEventListener('abort', abortWithParent, { once: true });
+  }
+
+  if (timeout !== undefined && !controller.signal.aborted) {
+    timer = setTimeout(() => controller.abort(createTimeoutReason()), timeout);
+  }
+
+  return {
+    signal: controller.signal,
+    dispose() {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', abortWithParent);
+    },
+  };
+}
+
+/**
+ * Rejects with the abort reason as soon as the signal is aborted, even if the promise is still pending
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} signal
+ * @return {Promise<T>}
+ */
+export function raceWithSignal(promise, signal) {
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Lifecycle events emitted by `PersistentComputationContext`, see `ContextEvents` for their payloads
+ */
+export const EVENTS = Object.freeze({
+  RUN_START: 'run:start',
+  RUN_COMPLETE: 'run:complete',
+  RUN_FAILED: 'run:failed',
+  RUN_INTERRUPTED: 'run:interrupted',
+  COMPUTATION_START: 'computation:start',
+  COMPUTATION_COMPLETE: 'computation:complete',
+  COMPUTATION_FAILED: 'computation:failed',
+  COMPUTATION_RECOVERED: 'computation:recovered',
+  STEP_RECOVERED: 'step:recovered',
+  STEP_CACHED: 'step:cached',
+  STEP_EXECUTED: 'step:executed',
+  STEP_FAILED: 'step:failed',
+  COMPENSATION_EXECUTED: 'compensation:executed',
+  COMPENSATION_FAILED: 'compensation:failed',
+  CHECKPOINT: 'checkpoint',
+});
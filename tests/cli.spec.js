@@ -0,0 +1,163 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import * as assert from 'node:assert';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import * as v8 from 'node:v8';
+import { main } from '../src/cli.js';
+import { PCContext } from '../src/index.js';
+import { MultiStepComputation, NamedStepComputation } from './utils.js';
+
+describe('CLI', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-cli-'));
+    file = path.join(directory, '.recovery');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true });
+    MultiStepComputation.stepOneDataProvider.mock.resetCalls();
+    MultiStepComputation.stepTwoDataProvider.mock.resetCalls();
+    NamedStepComputation.dataProvider.mock.resetCalls();
+  });
+
+  function writeRecoveryData(data) {
+    fs.writeFileSync(file, v8.serialize(data));
+  }
+
+  async function cli(...args) {
+    let stdout = '';
+    let stderr = '';
+    const code = await main([...args, '--file', file], {
+      stdout: { write: (text) => (stdout += text) },
+      stderr: { write: (text) => (stderr += text) },
+    });
+
+    return { code, stdout, stderr };
+  }
+
+  it('should print the recorded dependencies', async () => {
+    writeRecoveryData({ dependencies: { url: 'https://example.com', version: 2n } });
+
+    const { code, stdout } = await cli('deps');
+
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout), { url: 'https://example.com', version: '2n' });
+  });
+
+  it('should list computations and their steps', async () => {
+    writeRecoveryData({
+      computations: { First: ['a', 'b'], Second: ['c'] },
+      steps: { First: [{ name: 'users' }, { name: 'posts' }] },
+    });
+
+    const { stdout } = await cli('list');
+
+    assert.equal(stdout, 'First: 2 step(s)\n  0  users\n  1  posts\nSecond: 1 step(s)\n  0\n');
+  });
+
+  it('should print a step value by index or name', async () => {
+    const value = { date: new Date(0), tags: new Set(['a']), lookup: new Map([['k', 1]]) };
+    writeRecoveryData({ computations: { First: [value] }, steps: { First: [{ name: 'users' }] } });
+    const expected = { date: '1970-01-01T00:00:00.000Z', tags: ['a'], lookup: { k: 1 } };
+
+    assert.deepEqual(JSON.parse((await cli('show', 'First', '0')).stdout), expected);
+    assert.deepEqual(JSON.parse((await cli('show', 'First', 'users')).stdout), expected);
+
+    const { code, stderr } = await cli('show', 'First', 'posts');
+    assert.equal(code, 1);
+    assert.equal(stderr, 'No step posts of First in the recovery data\n');
+  });
+
+  it('should print the stored error with its stack', async () => {
+    const error = new Error('Step failed', { cause: new Error('Connection reset') });
+    writeRecoveryData({ computations: {}, error });
+
+    const { stdout } = await cli('error');
+
+    assert.ok(stdout.startsWith(error.stack));
+    assert.ok(stdout.includes('Caused by: Error: Connection reset'));
+  });
+
+  it('should delete a step, so the next run recomputes just that step', async () => {
+    const options = { recoveryDataLocation: file, runId: 'nightly' };
+    await new PCContext({ ...options, checkpoint: 'step' }).run([
+      MultiStepComputation,
+      NamedStepComputation,
+    ]);
+    MultiStepComputation.stepOneDataProvider.mock.resetCalls();
+    MultiStepComputation.stepTwoDataProvider.mock.resetCalls();
+    NamedStepComputation.dataProvider.mock.resetCalls();
+
+    assert.equal((await cli('delete', 'MultiStepComputation', '0')).code, 0);
+    assert.equal((await cli('delete', 'NamedStepComputation')).code, 0);
+    await new PCContext(options).run([MultiStepComputation, NamedStepComputation]);
+
+    assert.equal(MultiStepComputation.stepOneDataProvider.mock.calls.length, 1);
+    assert.equal(MultiStepComputation.stepTwoDataProvider.mock.calls.length, 0);
+    assert.equal(NamedStepComputation.dataProvider.mock.calls.length, 2);
+  });
+
+  it('should not delete while a process holds the lock', async () => {
+    writeRecoveryData({ computations: { First: ['a'] } });
+    const owner = { pid: process.ppid, hostname: os.hostname(), time: 'now', token: 'other' };
+    fs.writeFileSync(`${file}.lock`, JSON.stringify(owner));
+
+    const { code, stderr } = await cli('delete', 'First');
+
+    assert.equal(code, 1);
+    assert.equal(
+      stderr,
+      `Recovery data ${file} is locked by process ${process.ppid} on ${os.hostname()} since now\n`,
+    );
+    assert.deepEqual(v8.deserialize(fs.readFileSync(file)).computations, { First: ['a'] });
+    fs.rmSync(`${file}.lock`);
+    assert.equal((await cli('delete', 'First')).code, 0);
+    assert.equal(fs.existsSync(`${file}.lock`), false);
+  });
+
+  it('should list the runs and inspect a run by its id', async () => {
+    const run = (id, startedAt, computations) => ({
+      id,
+      status: 'failed',
+      startedAt: new Date(startedAt),
+      endedAt: new Date(startedAt + 1000),
+      computations,
+      error: new Error(`${id} failed`),
+    });
+    writeRecoveryData({
+      runs: {
+        first: run('first', 0, { First: ['a'] }),
+        second: run('second', 2000, { Second: ['b'] }),
+      },
+    });
+
+    assert.equal(
+      (await cli('runs')).stdout,
+      'second  failed  1970-01-01T00:00:02.000Z - 1970-01-01T00:00:03.000Z  second failed\n' +
+        'first  failed  1970-01-01T00:00:00.000Z - 1970-01-01T00:00:01.000Z  first failed\n',
+    );
+    assert.equal((await cli('list')).stdout, 'Second: 1 step(s)\n  0\n');
+    assert.equal((await cli('list', '--run', 'first')).stdout, 'First: 1 step(s)\n  0\n');
+
+    const { code, stderr } = await cli('list', '--run', 'third');
+    assert.equal(code, 1);
+    assert.equal(stderr, `No run third in ${file}\n`);
+  });
+
+  it('should fail on unknown commands, missing arguments and missing files', async () => {
+    writeRecoveryData({ computations: {} });
+
+    assert.equal((await cli('unknown')).code, 2);
+    assert.equal((await cli('show', 'First')).code, 2);
+    assert.equal((await cli('delete', 'First')).code, 1);
+
+    fs.unlinkSync(file);
+    const { code, stderr } = await cli('list');
+    assert.equal(code, 1);
+    assert.equal(stderr, `Recovery file ${file} does not exist\n`);
+  });
+});
@@ -0,0 +1,238 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as assert from 'node:assert';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import {
+  directoryTransport,
+  EVENTS,
+  LazyValue,
+  ON_SUCCESS,
+  PC,
+  PCContext,
+  v8Transformer,
+} from '../src/index.js';
+import { ThrowingComputation } from './utils.js';
+
+describe('Directory transport', () => {
+  let directory;
+  let recoveryDataLocation;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-directory-'));
+    recoveryDataLocation = path.join(directory, 'recovery');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  const listFiles = (folder) => fs.readdirSync(path.join(recoveryDataLocation, folder)).sort();
+
+  function createComputation({ fail = false } = {}) {
+    const small = mock.fn(() => ({ small: true }));
+    const large = mock.fn(() => Buffer.alloc(2048, 1));
+    class BlobComputation extends PC {
+      async run() {
+        const first = await this.step('small', small);
+        const second = await this.step('large', large);
+        if (fail) {
+          throw new Error('Failed after the steps');
+        }
+
+        return [first, second.length];
+      }
+    }
+
+    return { small, large, BlobComputation };
+  }
+
+  const createContext = () =>
+    new PCContext({ recoveryDataLocation, transport: directoryTransport({ blobThreshold: 1024 }) });
+
+  it('should write a file per step and blobs for large values', async () => {
+    const { BlobComputation } = createComputation({ fail: true });
+    await assert.rejects(() => createContext().run([BlobComputation]));
+
+    assert.ok(fs.existsSync(path.join(recoveryDataLocation, 'manifest.bin')));
+    assert.equal(listFiles('steps').length, 1);
+    assert.equal(listFiles('blobs').length, 1);
+  });
+
+  it('should load blobs lazily when their steps are recovered', async () => {
+    const failing = createComputation({ fail: true });
+    await assert.rejects(() => createContext().run([failing.BlobComputation]));
+
+    const { small, large, BlobComputation } = createComputation();
+    const ctx = createContext();
+    await ctx.maybeRecover();
+    const stored = ctx.recoveryData.computations.BlobComputation;
+    assert.deepEqual(stored[0], { small: true });
+    assert.ok(stored[1] instanceof LazyValue);
+
+    await ctx.run([BlobComputation]);
+    assert.equal(small.mock.calls.length, 0);
+    assert.equal(large.mock.calls.length, 0);
+    assert.deepEqual(ctx.getLastResult().value, [{ small: true }, 2048]);
+  });
+
+  it('should store the results in their own files instead of the manifest', async () => {
+    const compute = mock.fn(() => Buffer.alloc(4096, 1));
+    class LargeResultComputation extends PC {
+      async run() {
+        const value = await this.step(compute);
+
+        return Buffer.concat([value, value]);
+      }
+    }
+    const pipeline = [LargeResultComputation, ThrowingComputation];
+    await assert.rejects(() => createContext().run(pipeline));
+
+    assert.ok(fs.statSync(path.join(recoveryDataLocation, 'manifest.bin')).size < 4096);
+    assert.equal(listFiles('blobs').length, 2);
+
+    const ctx = createContext();
+    await assert.rejects(() => ctx.run(pipeline));
+    assert.equal(ctx.getResultByName('LargeResultComputation').value.length, 8192);
+    assert.equal(compute.mock.callCount(), 1);
+  });
+
+  it('should recompute steps whose files do not match their checksum', async () => {
+    const failing = createComputation({ fail: true });
+    await assert.rejects(() => createContext().run([failing.BlobComputation]));
+    const [stepFile] = listFiles('steps');
+    fs.writeFileSync(path.join(recoveryDataLocation, 'steps', stepFile), 'corrupted');
+
+    const { small, BlobComputation } = createComputation();
+    await createContext().run([BlobComputation]);
+
+    assert.equal(small.mock.calls.length, 1);
+  });
+
+  it('should fail the step when its blob does not match its checksum', async () => {
+    const failing = createComputation({ fail: true });
+    await assert.rejects(() => createContext().run([failing.BlobComputation]));
+    const [blobFile] = listFiles('blobs');
+    fs.truncateSync(path.join(recoveryDataLocation, 'blobs', blobFile), 10);
+
+    const { BlobComputation } = createComputation();
+    await assert.rejects(
+      () => createContext().run([BlobComputation]),
+      (error) => {
+        assert.equal(error.cause.name, 'ChecksumMismatchError');
+
+        return true;
+      },
+    );
+  });
+
+  it('should remove the files no run refers to', async () => {
+    const transport = directoryTransport();
+    let calls = 0;
+    class ChangingComputation extends PC {
+      async run() {
+        calls += 1;
+        return this.step(() => `value ${calls}`);
+      }
+    }
+    await assert.rejects(() =>
+      new PCContext({ recoveryDataLocation, transport }).run([
+        ChangingComputation,
+        ThrowingComputation,
+      ]),
+    );
+    const [firstFile] = listFiles('steps');
+
+    await assert.rejects(() =>
+      new PCContext({
+        recoveryDataLocation,
+        transport,
+        fromScratch: true,
+        retention: { keepLast: 1 },
+      }).run([ChangingComputation, ThrowingComputation]),
+    );
+
+    const files = listFiles('steps');
+    assert.equal(files.length, 1);
+    assert.notEqual(files[0], firstFile);
+  });
+
+  it('should only remove its own files when the recovery data is cleared', async () => {
+    const { BlobComputation } = createComputation();
+    fs.mkdirSync(path.join(recoveryDataLocation, 'out'), { recursive: true });
+    fs.writeFileSync(path.join(recoveryDataLocation, 'out', 'report.csv'), 'report');
+    const options = { recoveryDataLocation, onSuccess: ON_SUCCESS.CLEAR, checkpoint: 'step' };
+
+    await new PCContext({ ...options, transport: directoryTransport() }).run([BlobComputation]);
+
+    assert.deepEqual(fs.readdirSync(recoveryDataLocation), ['out']);
+    assert.equal(
+      fs.readFileSync(path.join(recoveryDataLocation, 'out', 'report.csv'), 'utf8'),
+      'report',
+    );
+
+    fs.rmSync(path.join(recoveryDataLocation, 'out'), { recursive: true });
+    await new PCContext({ ...options, transport: directoryTransport() }).run([BlobComputation]);
+
+    assert.ok(!fs.existsSync(recoveryDataLocation));
+  });
+
+  it('should only serialize the values of the steps saved since the last write', async () => {
+    const transformer = {
+      serialize: mock.fn(v8Transformer.serialize),
+      deserialize: v8Transformer.deserialize,
+    };
+    class CountingComputation extends PC {
+      async run() {
+        for (let index = 0; index < 10; index += 1) {
+          await this.step(() => index);
+        }
+      }
+    }
+    const ctx = new PCContext({
+      recoveryDataLocation,
+      transport: directoryTransport(),
+      transformer,
+      checkpoint: 'step',
+    });
+    const counts = [];
+    ctx.on(EVENTS.CHECKPOINT, () => {
+      counts.push(transformer.serialize.mock.callCount());
+      transformer.serialize.mock.resetCalls();
+    });
+    await ctx.run([CountingComputation]);
+
+    // the value of the saved step, then the manifest
+    assert.deepEqual(counts.slice(0, 10), new Array(10).fill(2));
+  });
+
+  it('should remove the files of invalidated steps', async () => {
+    const transport = directoryTransport();
+    let fail = false;
+    class FlakyComputation extends PC {
+      async run() {
+        await this.step('first', () => {
+          if (fail) {
+            throw new Error('Flaky');
+          }
+
+          return 1;
+        });
+        await this.step('second', () => 2);
+      }
+    }
+    const options = { recoveryDataLocation, transport };
+    await assert.rejects(() => new PCContext(options).run([FlakyComputation, ThrowingComputation]));
+    // the values of the steps and the result of the computation
+    assert.equal(listFiles('steps').length, 3);
+
+    fail = true;
+    await assert.rejects(() =>
+      new PCContext(options).run([FlakyComputation, ThrowingComputation], undefined, {
+        invalidate: [{ computation: 'FlakyComputation', step: 'first' }],
+      }),
+    );
+
+    assert.deepEqual(listFiles('steps'), []);
+  });
+});
@@ -1,2 +1,7 @@
 import './persistent-computation-context.spec.js';
 import './persistent-computation.spec.js';
+import './retry.spec.js';
+import './cli.spec.js';
+import './sqlite-transport.spec.js';
+import './directory-transport.spec.js';
+import './transformers.spec.js';
@@ -1,16 +1,46 @@
-import { afterEach, describe, it, mock } from 'node:test';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
 import * as assert from 'node:assert';
+import * as childProcess from 'node:child_process';
 import * as fs from 'node:fs';
+import { syncBuiltinESMExports } from 'node:module';
+import * as os from 'node:os';
 import * as path from 'node:path';
 import * as v8 from 'node:v8';
-import { PCContext, PCContextOptions } from '../src/index.js';
-import { DEBUG_LEVEL } from '../src/utils.js';
+import { setImmediate as nextTurn, setTimeout as sleep } from 'node:timers/promises';
+import {
+  CHECKPOINT_POLICY,
+  CompensationFailedError,
+  ComputationFailedError,
+  DEBUG_LEVEL,
+  EVENTS,
+  InvalidRecoveryDataError,
+  NonRetriableError,
+  ON_SUCCESS,
+  PC,
+  PCContext,
+  PCContextOptions,
+  RUN_STATUS,
+  STEP_MISMATCH,
+  tracingPlugin,
+  v8Transformer,
+} from '../src/index.js';
+import { RECOVERY_DATA_VERSION } from '../src/utils.js';
+import { acquireFileLock } from '../src/fs-lock.js';
+import { registerMigration } from '../src/migrations.js';
+import { LEGACY_RUN_ID } from '../src/runs.js';
 import {
   ConfigurableComputation,
+  createRecordingComputation,
+  inMemoryTracing,
   mockTransport,
+  memoryTransport,
   MultiStepComputation,
+  NamedStepComputation,
   NOOP,
   OneStepComputation,
+  readRun,
+  recordingProvider,
+  runTwice,
   TestTransformer,
   ThrowingComputation,
   transportWithData,
@@ -20,6 +50,9 @@ afterEach(() => {
   OneStepComputation.dataProvider.mock.resetCalls();
   MultiStepComputation.stepOneDataProvider.mock.resetCalls();
   MultiStepComputation.stepTwoDataProvider.mock.resetCalls();
+  NamedStepComputation.dataProvider.mock.resetCalls();
+  NamedStepComputation.stepNames = ['first', 'second'];
+  NamedStepComputation.key = undefined;
 });
 
 describe('PersistentComputationContext', () => {
@@ -30,11 +63,114 @@ describe('PersistentComputationContext', () => {
       await ctx.run([new ConfigurableComputation(42)]);
 
       assert.deepEqual(ctx.getResult(ConfigurableComputation), {
+        id: 'ConfigurableComputation',
         name: 'ConfigurableComputation',
         value: 42,
       });
     });
   });
+  describe('Identity', () => {
+    it('should keep the results and the recovery data of the same class apart', async () => {
+      const transport = transportWithData();
+      const ctx = new PCContext({ transport });
+      const first = new ConfigurableComputation(1);
+      const second = new ConfigurableComputation(2);
+      await ctx.run([first, second]);
+
+      assert.deepEqual(ctx.getResultsByName('ConfigurableComputation'), [
+        { id: 'ConfigurableComputation#0', name: 'ConfigurableComputation', value: 1 },
+        { id: 'ConfigurableComputation#1', name: 'ConfigurableComputation', value: 2 },
+      ]);
+      assert.equal(ctx.getResultByName('ConfigurableComputation').value, 1);
+      assert.equal(ctx.getResult(second).value, 2);
+      assert.equal(ctx.getResultById('ConfigurableComputation#1').value, 2);
+    });
+
+    it('should only return the results of the last run', async () => {
+      const ctx = new PCContext({ transport: mockTransport({ exists: false }) });
+      await ctx.run([new ConfigurableComputation(10)]);
+      await ctx.run([new ConfigurableComputation(20)]);
+
+      assert.equal(ctx.getResultById('ConfigurableComputation').value, 20);
+      assert.equal(ctx.getResult(ConfigurableComputation).value, 20);
+      assert.equal(ctx.getResultsByName('ConfigurableComputation').length, 1);
+    });
+
+    it('should recover each instance of the same class from its own data', async () => {
+      class StepComputation extends PC {
+        constructor(value) {
+          super(null);
+          this.value = value;
+        }
+
+        async run() {
+          return this.step(() => this.value);
+        }
+      }
+      const transport = transportWithData({ 'StepComputation#1': ['recovered'] });
+      const ctx = new PCContext({ transport });
+      await ctx.run([new StepComputation('first'), new StepComputation('second')]);
+
+      assert.deepEqual(
+        ctx.getResultsByName('StepComputation').map(({ value }) => value),
+        ['first', 'recovered'],
+      );
+      assert.deepEqual(ctx.recoveryData.computations, {
+        'StepComputation#0': ['first'],
+        'StepComputation#1': ['recovered'],
+      });
+    });
+
+    it('should use explicit ids', async () => {
+      class StaticIdComputation extends PC {
+        static id = 'static-id';
+
+        async run() {
+          return this.step(() => 'static');
+        }
+      }
+      const instanceWithId = new ConfigurableComputation('instance');
+      instanceWithId.id = 'instance-id';
+      const transport = transportWithData();
+      const ctx = new PCContext({ transport });
+      await ctx.run([StaticIdComputation, instanceWithId, new ConfigurableComputation('other')]);
+
+      assert.deepEqual(
+        ctx.getResultsByName('ConfigurableComputation').map(({ id }) => id),
+        ['instance-id', 'ConfigurableComputation'],
+      );
+      assert.deepEqual(Object.keys(ctx.recoveryData.computations), ['static-id']);
+    });
+
+    it('should not mix up different classes with the same name', async () => {
+      const createComputation = (value) =>
+        class Minified extends PC {
+          async run() {
+            return this.step(() => value);
+          }
+        };
+      const transport = transportWithData();
+      const ctx = new PCContext({ transport });
+      await ctx.run([createComputation('a'), createComputation('b')]);
+
+      assert.deepEqual(ctx.recoveryData.computations, {
+        'Minified#0': ['a'],
+        'Minified#1': ['b'],
+      });
+    });
+
+    it('should throw when explicit ids are not unique', async () => {
+      const first = new ConfigurableComputation(1);
+      const second = new ConfigurableComputation(2);
+      first.id = second.id = 'same';
+      const ctx = new PCContext({ transport: transportWithData() });
+
+      await assert.rejects(() => ctx.run([first, second]), {
+        name: 'DuplicateComputationIdError',
+      });
+    });
+  });
+
   describe('Options', () => {
     it('should be able to be created with no options', () => {
       const ctx = new PCContext();
@@ -44,6 +180,21 @@ describe('PersistentComputationContext', () => {
           fromScratch: false,
           recoveryDataLocation: path.resolve(process.cwd(), '.recovery'),
           debugLevel: DEBUG_LEVEL.NONE,
+          checkpoint: CHECKPOINT_POLICY.FAILURE,
+          onStepMismatch: STEP_MISMATCH.THROW,
+          fingerprintInput: false,
+          handleSignals: false,
+          plugins: [],
+          rerunFrom: null,
+          only: [],
+          invalidate: [],
+          runId: null,
+          onSuccess: ON_SUCCESS.KEEP,
+          retention: { keepLast: 10 },
+          lock: true,
+          lockWait: 0,
+          lockStaleAfter: 60_000,
+          cache: null,
           logger: PCContextOptions.defaultOptions.logger,
           transformer: PCContextOptions.defaultOptions.transformer,
           transport: PCContextOptions.defaultOptions.transport,
@@ -94,13 +245,28 @@ describe('PersistentComputationContext', () => {
     });
 
     it('should not recover if `fromScratch` options is true', async () => {
-      const transport = mockTransport();
+      const transport = transportWithData({ OneStepComputation: ['recovered'] });
       const ctx = new PCContext({ transport, fromScratch: true });
       const recovered = await ctx.maybeRecover();
 
-      assert.equal(transport.exists.mock.calls.length, 0);
-      assert.equal(transport.read.mock.calls.length, 0);
       assert.equal(recovered, false);
+      assert.notEqual(ctx.runId, LEGACY_RUN_ID);
+      assert.deepEqual(ctx.recoveryData.computations, {});
+    });
+
+    it('should discard unreadable recovery data if `fromScratch` options is true', async () => {
+      const unreadable = [
+        Buffer.from('garbage'),
+        v8.serialize({ version: RECOVERY_DATA_VERSION + 1, runs: {} }),
+      ];
+
+      for (const data of unreadable) {
+        const transport = mockTransport({ read: () => data });
+        const ctx = new PCContext({ transport, fromScratch: true });
+        await ctx.run([OneStepComputation]);
+
+        assert.deepEqual(ctx.getLastResult().value, OneStepComputation.STEP_DATA);
+      }
     });
 
     it('should not recover from false values', async () => {
@@ -136,6 +302,7 @@ describe('PersistentComputationContext', () => {
       assert.equal(MultiStepComputation.stepOneDataProvider.mock.calls.length, 1);
       assert.equal(MultiStepComputation.stepTwoDataProvider.mock.calls.length, 1);
       assert.deepEqual(ctx.getLastResult(), {
+        id: 'MultiStepComputation',
         name: 'MultiStepComputation',
         value: {
           stepOneData: MultiStepComputation.STEP_DATA[0],
@@ -154,6 +321,7 @@ describe('PersistentComputationContext', () => {
       assert.equal(MultiStepComputation.stepOneDataProvider.mock.calls.length, 0);
       assert.equal(MultiStepComputation.stepTwoDataProvider.mock.calls.length, 1);
       assert.deepEqual(ctx.getLastResult(), {
+        id: 'MultiStepComputation',
         name: 'MultiStepComputation',
         value: {
           stepOneData: MultiStepComputation.STEP_DATA[0],
@@ -169,6 +337,7 @@ describe('PersistentComputationContext', () => {
 
       assert.equal(OneStepComputation.dataProvider.mock.calls.length, 0);
       assert.deepEqual(ctx.getLastResult(), {
+        id: 'OneStepComputation',
         name: 'OneStepComputation',
         value: OneStepComputation.STEP_DATA,
       });
@@ -182,6 +351,7 @@ describe('PersistentComputationContext', () => {
       assert.equal(MultiStepComputation.stepOneDataProvider.mock.calls.length, 0);
       assert.equal(MultiStepComputation.stepTwoDataProvider.mock.calls.length, 1);
       assert.deepEqual(ctx.getLastResult(), {
+        id: 'MultiStepComputation',
         name: 'MultiStepComputation',
         value: {
           stepOneData: false,
@@ -191,56 +361,2552 @@ describe('PersistentComputationContext', () => {
     });
   });
 
-  describe('Save', () => {
-    it('should save when a computation run throws', async () => {
+  describe('Named steps', () => {
+    const recordedSteps = {
+      NamedStepComputation: [
+        { name: 'first', key: undefined },
+        { name: 'second', key: undefined },
+      ],
+    };
+    const recordedData = { NamedStepComputation: ['recovered first', 'recovered second'] };
+
+    it('should record step names in the recovery data', async () => {
       const transport = transportWithData();
       const ctx = new PCContext({ transport });
+      await ctx.run([NamedStepComputation]);
+
+      assert.deepEqual(ctx.recoveryData.steps, recordedSteps);
+    });
+
+    it('should recover steps with matching names', async () => {
+      const transport = transportWithData(recordedData, recordedSteps);
+      const ctx = new PCContext({ transport });
+      await ctx.run([NamedStepComputation]);
+
+      assert.equal(NamedStepComputation.dataProvider.mock.calls.length, 0);
+      assert.deepEqual(ctx.getLastResult().value, ['recovered first', 'recovered second']);
+    });
+
+    it('should throw if the step sequence does not match the recovery data', async () => {
+      NamedStepComputation.stepNames = ['inserted', 'first', 'second'];
+      const transport = transportWithData(recordedData, recordedSteps);
+      const ctx = new PCContext({ transport });
 
       await assert.rejects(
-        () => ctx.run([ThrowingComputation]),
+        () => ctx.run([NamedStepComputation]),
         (error) => {
           assert.equal(error.name, 'ComputationFailedError');
-          assert.equal(error.message.includes('ThrowingComputation'), true);
-          assert.equal(error.message.includes('ComputationErrorMessage'), true);
+          assert.equal(error.cause.name, 'StepMismatchError');
+          assert.equal(error.cause.stepIndex, 0);
+          assert.equal(error.cause.expected.name, 'first');
+          assert.equal(error.cause.actual.name, 'inserted');
 
           return true;
         },
       );
+      assert.equal(NamedStepComputation.dataProvider.mock.calls.length, 0);
+    });
 
-      assert.deepEqual(transport.write.mock.calls.length, 1);
+    it('should recompute steps starting from the mismatched one with `onStepMismatch: invalidate`', async () => {
+      NamedStepComputation.stepNames = ['first', 'inserted', 'second'];
+      const transport = transportWithData(recordedData, recordedSteps);
+      const ctx = new PCContext({ transport, onStepMismatch: STEP_MISMATCH.INVALIDATE });
+      await ctx.run([NamedStepComputation]);
+
+      assert.deepEqual(
+        NamedStepComputation.dataProvider.mock.calls.map((call) => call.arguments[0]),
+        ['inserted', 'second'],
+      );
+      assert.deepEqual(ctx.getLastResult().value, [
+        'recovered first',
+        'inserted data',
+        'second data',
+      ]);
+    });
+
+    it('should recompute a step and the following ones when its key changes', async () => {
+      NamedStepComputation.key = 'new key';
+      const transport = transportWithData(recordedData, {
+        NamedStepComputation: [
+          { name: 'first', key: 'new key' },
+          { name: 'second', key: 'old key' },
+        ],
+      });
+      const ctx = new PCContext({ transport });
+      await ctx.run([NamedStepComputation]);
+
+      assert.equal(NamedStepComputation.dataProvider.mock.calls.length, 1);
+      assert.deepEqual(ctx.getLastResult().value, ['recovered first', 'second data']);
+      assert.deepEqual(ctx.recoveryData.steps.NamedStepComputation[1], {
+        name: 'second',
+        key: 'new key',
+      });
+    });
+
+    it('should recover unnamed steps recorded by older versions', async () => {
+      const transport = transportWithData({ NamedStepComputation: ['old first'] });
+      const ctx = new PCContext({ transport });
+      await ctx.run([NamedStepComputation]);
+
+      assert.equal(NamedStepComputation.dataProvider.mock.calls.length, 1);
+      assert.deepEqual(ctx.getLastResult().value, ['old first', 'second data']);
     });
   });
 
-  describe('Default FS transport', () => {
-    const recoveryDataLocation = '.test-recovery-data';
-    const recoveryFilePath = path.resolve(process.cwd(), recoveryDataLocation);
+  describe('Dependencies', () => {
+    const { provider, executed } = recordingProvider((id, input) => `${id}(${input})`);
+    const First = createRecordingComputation('first', provider, { dependencies: ['a'] });
+    const Second = createRecordingComputation('second', provider, { dependencies: ['b.value'] });
+    const Undeclared = createRecordingComputation('undeclared', provider);
 
-    afterEach(() => {
-      if (fs.existsSync(recoveryFilePath)) {
-        fs.unlinkSync(recoveryFilePath);
+    /**
+     * The arguments of `runTwice` for runs with the given dependencies,
+     * the second run resumes the completed one by its id
+     */
+    const resumeWith = (firstDeps, secondDeps, { firstInput, secondInput, ...options } = {}) => [
+      { dependencies: firstDeps, input: firstInput, options: { runId: 'run', ...options } },
+      { dependencies: secondDeps, input: secondInput, options: { runId: 'run', ...options } },
+    ];
+
+    afterEach(() => provider.mock.resetCalls());
+
+    it('should only recompute computations whose declared dependencies have changed', async () => {
+      const ctx = await runTwice(
+        provider,
+        [First, Second],
+        ...resumeWith({ a: 1, b: { value: 1 }, c: 1 }, { a: 1, b: { value: 2 }, c: 2 }),
+      );
+
+      assert.deepEqual(executed(), ['second']);
+      assert.deepEqual(ctx.recoveryData.fingerprints, {
+        first: { a: 1 },
+        second: { 'b.value': 2 },
+      });
+    });
+
+    it('should recompute computations after an invalidated one', async () => {
+      await runTwice(
+        provider,
+        [First, Second],
+        ...resumeWith({ a: 1, b: { value: 1 } }, { a: 2, b: { value: 1 } }),
+      );
+
+      assert.deepEqual(executed(), ['first', 'second']);
+    });
+
+    it('should treat computations without declared dependencies as depending on all of them', async () => {
+      await runTwice(provider, [First, Undeclared], ...resumeWith({ a: 1, c: 1 }, { a: 1, c: 2 }));
+
+      assert.deepEqual(executed(), ['undeclared']);
+    });
+
+    it('should invalidate steps whose declared dependencies have changed', async () => {
+      class StepDependenciesComputation extends PC {
+        static dependencies = [];
+
+        async run() {
+          const a = await this.step(() => provider('step a'), { dependencies: ['a'] });
+          const b = await this.step(() => provider('step b'), { dependencies: ['b'] });
+
+          return [a, b];
+        }
       }
+      await runTwice(
+        provider,
+        [StepDependenciesComputation, Second],
+        ...resumeWith({ a: 1, b: 1 }, { a: 1, b: 2 }),
+      );
+
+      assert.deepEqual(executed(), ['step b', 'second']);
     });
 
-    it('should write recoveryData to a file and be able to recover from it', async () => {
-      const ctx = new PCContext({ recoveryDataLocation });
+    it('should invalidate computations receiving the input when it has changed', async () => {
+      const options = { fingerprintInput: true, firstInput: 'foo', secondInput: 'foo' };
+      let ctx = await runTwice(provider, [First, Second], ...resumeWith({}, {}, options));
 
-      await assert.rejects(() => ctx.run([OneStepComputation, ThrowingComputation]));
+      assert.deepEqual(executed(), []);
+      assert.equal(ctx.getLastResult().value, 'second(first(foo))');
 
-      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 1);
-      assert.deepEqual(ctx.getLastResult(), {
-        name: 'OneStepComputation',
-        value: OneStepComputation.STEP_DATA,
+      ctx = await runTwice(
+        provider,
+        [First, Second],
+        ...resumeWith({}, {}, { ...options, secondInput: 'bar' }),
+      );
+
+      assert.deepEqual(executed(), ['first', 'second']);
+      assert.equal(ctx.getLastResult().value, 'second(first(bar))');
+    });
+  });
+
+  describe('Retries', () => {
+    it('should retry a failed step in-process', async () => {
+      let calls = 0;
+      class FlakyStepComputation extends PC {
+        async run() {
+          const first = await this.step(() => 'first');
+          const second = await this.step(
+            () => {
+              calls += 1;
+              if (calls < 3) {
+                throw new Error('transient');
+              }
+
+              return 'second';
+            },
+            { retry: { attempts: 3, delay: 0 } },
+          );
+
+          return [first, second];
+        }
+      }
+      const transport = mockTransport({ exists: false });
+      const ctx = new PCContext({ transport });
+      await ctx.run([FlakyStepComputation]);
+
+      assert.equal(calls, 3);
+      assert.deepEqual(ctx.getLastResult().value, ['first', 'second']);
+      assert.deepEqual(ctx.recoveryData.computations.FlakyStepComputation, ['first', 'second']);
+      assert.equal(transport.write.mock.calls.length, 0);
+    });
+
+    it('should re-run a failed computation, recovering its finished steps', async () => {
+      const stepOne = mock.fn(() => 'one');
+      let runs = 0;
+      class FlakyComputation extends PC {
+        static retry = { attempts: 2, delay: 0 };
+
+        async run() {
+          const one = await this.step(stepOne);
+          runs += 1;
+          if (runs === 1) {
+            throw new Error('transient');
+          }
+
+          return one;
+        }
+      }
+      const transport = transportWithData();
+      const ctx = new PCContext({ transport });
+      await ctx.run([FlakyComputation]);
+
+      assert.equal(runs, 2);
+      assert.equal(stepOne.mock.calls.length, 1);
+      assert.equal(ctx.getLastResult().value, 'one');
+      assert.equal(ctx.recoveryData.error, undefined);
+
+      // the failed attempt, then the completion of the run
+      assert.equal(transport.write.mock.calls.length, 2);
+      const written = readRun(transport.write.mock.calls[0].arguments[1]);
+      assert.deepEqual(written.computations, { FlakyComputation: ['one'] });
+      assert.equal(written.error.message, 'transient');
+    });
+
+    it('should not re-run a computation that failed with `NonRetriableError`', async () => {
+      const run = mock.fn(() => {
+        throw new NonRetriableError('permanent');
       });
+      class PermanentlyFailingComputation extends PC {
+        static retry = 3;
+        run = run;
+      }
+      const ctx = new PCContext({ transport: transportWithData() });
 
-      OneStepComputation.dataProvider.mock.resetCalls();
+      await assert.rejects(() => ctx.run([PermanentlyFailingComputation]), {
+        name: 'ComputationFailedError',
+      });
+      assert.equal(run.mock.calls.length, 1);
+    });
+  });
 
-      await assert.rejects(() => ctx.run([OneStepComputation, ThrowingComputation]));
+  describe('Cancellation and timeouts', () => {
+    const never = () => new Promise(NOOP);
+
+    it('should pass an AbortSignal to the step callback', async () => {
+      const stepFunction = mock.fn();
+      class SignalComputation extends PC {
+        async run() {
+          return this.step(stepFunction);
+        }
+      }
+      const ctx = new PCContext({ transport: transportWithData() });
+      await ctx.run([SignalComputation]);
+
+      assert.ok(stepFunction.mock.calls[0].arguments[0] instanceof AbortSignal);
+    });
+
+    it('should fail a step that takes longer than its timeout', async () => {
+      let stepSignal;
+      class SlowComputation extends PC {
+        async run() {
+          await this.step(() => 'fast');
+          return this.step(
+            (signal) => {
+              stepSignal = signal;
+              return never();
+            },
+            { timeout: 10 },
+          );
+        }
+      }
+      const transport = transportWithData();
+      const ctx = new PCContext({ transport });
+
+      await assert.rejects(
+        () => ctx.run([SlowComputation]),
+        (error) => {
+          assert.equal(error.name, 'ComputationFailedError');
+          assert.equal(error.cause.name, 'StepTimeoutError');
+          assert.equal(error.cause.stepIndex, 1);
+          assert.equal(error.cause.timeout, 10);
+
+          return true;
+        },
+      );
+      assert.equal(stepSignal.aborted, true);
+      assert.deepEqual(ctx.recoveryData.computations.SlowComputation, ['fast']);
+    });
+
+    it('should retry timed out steps', async () => {
+      let calls = 0;
+      class SlowOnceComputation extends PC {
+        async run() {
+          return this.step(
+            () => {
+              calls += 1;
+              return calls === 1 ? never() : 'done';
+            },
+            { timeout: 10, retry: { attempts: 2, delay: 0 } },
+          );
+        }
+      }
+      const ctx = new PCContext({ transport: transportWithData() });
+      await ctx.run([SlowOnceComputation]);
+
+      assert.equal(ctx.getLastResult().value, 'done');
+    });
+
+    it('should abort the run, flush the finished steps and resume from there', async () => {
+      const transport = memoryTransport();
+      const controller = new AbortController();
+      const firstStep = mock.fn(() => 'first');
+      let abortedSignal;
+      class AbortableComputation extends PC {
+        async run() {
+          const first = await this.step(firstStep);
+          const second = await this.step((signal) => {
+            if (controller.signal.aborted) {
+              return 'second';
+            }
+            abortedSignal = signal;
+            setImmediate(() => controller.abort(new Error('Stopped by user')));
+
+            return never();
+          });
+
+          return [first, second];
+        }
+      }
+
+      await assert.rejects(
+        () =>
+          new PCContext({ transport }).run([AbortableComputation], null, {
+            signal: controller.signal,
+          }),
+        (error) => {
+          assert.equal(error.name, 'ComputationAbortedError');
+          assert.ok(error instanceof ComputationFailedError);
+          assert.equal(error.cause.message, 'Stopped by user');
+          assert.equal(error.message.includes('AbortableComputation'), true);
+
+          return true;
+        },
+      );
+      assert.equal(abortedSignal.aborted, true);
+
+      const ctx = new PCContext({ transport });
+      await ctx.run([AbortableComputation]);
+
+      assert.equal(firstStep.mock.calls.length, 1);
+      assert.deepEqual(ctx.getLastResult().value, ['first', 'second']);
+    });
+
+    it('should not run anything with an aborted signal', async () => {
+      const ctx = new PCContext({ transport: transportWithData() });
+
+      await assert.rejects(
+        () => ctx.run([OneStepComputation], null, { signal: AbortSignal.abort('reason') }),
+        (error) => {
+          assert.equal(error.name, 'ComputationAbortedError');
+          assert.equal(error.cause, 'reason');
 
+          return true;
+        },
+      );
       assert.equal(OneStepComputation.dataProvider.mock.calls.length, 0);
-      assert.deepEqual(ctx.getLastResult(), {
-        name: 'OneStepComputation',
-        value: OneStepComputation.STEP_DATA,
+    });
+  });
+
+  describe('Parallel steps', () => {
+    it('should keep the results in the slot order regardless of the completion order', async () => {
+      class ParallelComputation extends PC {
+        async run() {
+          const first = await this.step(() => 'first');
+          const [slow, fast] = await this.parallel([
+            () => new Promise((resolve) => setTimeout(() => resolve('slow'), 10)),
+            () => 'fast',
+          ]);
+          const last = await this.step(() => 'last');
+
+          return [first, slow, fast, last];
+        }
+      }
+      const ctx = new PCContext({ transport: transportWithData() });
+      await ctx.run([ParallelComputation]);
+
+      assert.deepEqual(ctx.getLastResult().value, ['first', 'slow', 'fast', 'last']);
+      assert.deepEqual(ctx.recoveryData.computations.ParallelComputation, [
+        'first',
+        ['slow', 'fast'],
+        'last',
+      ]);
+      assert.deepEqual(ctx.recoveryData.steps.ParallelComputation[1], {
+        name: undefined,
+        key: undefined,
+        kind: 'parallel',
+      });
+    });
+
+    it('should limit the number of concurrent callbacks', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      class MapComputation extends PC {
+        async run() {
+          return this.map(
+            'squares',
+            [1, 2, 3, 4, 5],
+            async (item) => {
+              running += 1;
+              maxRunning = Math.max(maxRunning, running);
+              await nextTurn();
+              running -= 1;
+
+              return item * item;
+            },
+            { concurrency: 2 },
+          );
+        }
+      }
+      const ctx = new PCContext({ transport: transportWithData() });
+      await ctx.run([MapComputation]);
+
+      assert.equal(maxRunning, 2);
+      assert.deepEqual(ctx.getLastResult().value, [1, 4, 9, 16, 25]);
+      assert.equal(ctx.recoveryData.steps.MapComputation[0].name, 'squares');
+    });
+
+    it('should reject a concurrency below 1', async () => {
+      for (const concurrency of [0, -1, NaN]) {
+        class MapComputation extends PC {
+          async run() {
+            return this.map([1, 2], (item) => item, { concurrency });
+          }
+        }
+        const ctx = new PCContext({ transport: mockTransport({ exists: false }) });
+
+        await assert.rejects(
+          () => ctx.run([MapComputation]),
+          (error) => {
+            assert.ok(error.cause instanceof TypeError);
+            assert.equal(
+              error.cause.message,
+              `The concurrency must be at least 1, got ${concurrency}`,
+            );
+            return true;
+          },
+        );
+      }
+    });
+
+    it('should only run the unfinished slots on recovery', async () => {
+      const transport = memoryTransport();
+      let failed = false;
+      const callback = mock.fn((item) => {
+        if (item === 'b' && !failed) {
+          failed = true;
+          throw new Error('transient');
+        }
+
+        return item.toUpperCase();
+      });
+      class MapComputation extends PC {
+        async run() {
+          return this.map(['a', 'b', 'c'], callback, { concurrency: 1 });
+        }
+      }
+
+      await assert.rejects(() => new PCContext({ transport }).run([MapComputation]), {
+        name: 'ComputationFailedError',
+      });
+      // no more callbacks are started after a failure
+      assert.equal(callback.mock.calls.length, 2);
+      const written = readRun(transport.write.mock.calls.at(-1).arguments[1]);
+      assert.equal(written.computations.MapComputation[0].length, 3);
+      assert.equal(Object.hasOwn(written.computations.MapComputation[0], 1), false);
+      assert.equal(written.steps.MapComputation[0].partial, true);
+
+      const ctx = new PCContext({ transport });
+      await ctx.run([MapComputation]);
+
+      assert.deepEqual(
+        callback.mock.calls.map((call) => call.arguments[0]),
+        ['a', 'b', 'b', 'c'],
+      );
+      assert.deepEqual(ctx.getLastResult().value, ['A', 'B', 'C']);
+      assert.equal(ctx.recoveryData.steps.MapComputation[0].partial, undefined);
+    });
+
+    it('should wait for the running callbacks and record their results before failing', async () => {
+      const transport = memoryTransport();
+      class FailingParallelComputation extends PC {
+        async run() {
+          return this.parallel('both', [
+            () => Promise.reject(new Error('first failed')),
+            () => new Promise((resolve) => setTimeout(() => resolve('second'), 10)),
+          ]);
+        }
+      }
+
+      await assert.rejects(
+        () => new PCContext({ transport }).run([FailingParallelComputation]),
+        (error) => {
+          assert.equal(error.cause.message, 'first failed');
+
+          return true;
+        },
+      );
+      const written = readRun(transport.write.mock.calls.at(-1).arguments[1]);
+      assert.equal(written.computations.FailingParallelComputation[0][1], 'second');
+    });
+
+    it('should treat a parallel step recovered as a regular step as a mismatch', async () => {
+      const transport = transportWithData(
+        { MismatchComputation: [['recorded']] },
+        { MismatchComputation: [{ name: 'items' }] },
+      );
+      class MismatchComputation extends PC {
+        async run() {
+          return this.map('items', ['value'], (item) => item);
+        }
+      }
+      const ctx = new PCContext({ transport });
+
+      await assert.rejects(
+        () => ctx.run([MismatchComputation]),
+        (error) => {
+          assert.equal(error.cause.name, 'StepMismatchError');
+
+          return true;
+        },
+      );
+    });
+
+    it('should emit the step events with the slot', async () => {
+      class ParallelComputation extends PC {
+        async run() {
+          return this.parallel([() => 'a', () => 'b']);
+        }
+      }
+      const ctx = new PCContext({ transport: transportWithData() });
+      const executed = mock.fn();
+      ctx.on(EVENTS.STEP_EXECUTED, executed);
+      await ctx.run([ParallelComputation]);
+
+      assert.deepEqual(
+        executed.mock.calls.map(({ arguments: [event] }) => [event.stepIndex, event.slot]),
+        [
+          [0, 0],
+          [0, 1],
+        ],
+      );
+    });
+
+    it('should not overlap the writes of concurrent checkpoints', async () => {
+      let writing = false;
+      let overlapped = false;
+      const transport = mockTransport({
+        exists: false,
+        write: async () => {
+          overlapped ||= writing;
+          writing = true;
+          await nextTurn();
+          writing = false;
+        },
+      });
+      class ParallelComputation extends PC {
+        async run() {
+          return this.map([1, 2, 3], (item) => item);
+        }
+      }
+      const ctx = new PCContext({ transport, checkpoint: CHECKPOINT_POLICY.STEP });
+      await ctx.run([ParallelComputation]);
+
+      assert.ok(transport.write.mock.calls.length >= 3);
+      assert.equal(overlapped, false);
+    });
+  });
+
+  describe('Iterations', () => {
+    async function* generate(count) {
+      for (let item = 0; item < count; item += 1) {
+        yield item;
+      }
+    }
+
+    it('should record the cursor and the accumulator every `commitEvery` items', async () => {
+      const transport = memoryTransport();
+      let failed = false;
+      const reducer = mock.fn((sum, item) => {
+        if (item === 7 && !failed) {
+          failed = true;
+          throw new Error('transient');
+        }
+
+        return sum + item;
       });
+      class SumComputation extends PC {
+        async run() {
+          return this.reduce('sum', generate(10), reducer, 0, { commitEvery: 3 });
+        }
+      }
+
+      await assert.rejects(() => new PCContext({ transport }).run([SumComputation]));
+      const written = readRun(transport.write.mock.calls.at(-1).arguments[1]);
+      assert.deepEqual(written.computations.SumComputation, [{ cursor: 6, accumulator: 15 }]);
+      assert.deepEqual(written.steps.SumComputation, [
+        { name: 'sum', key: undefined, kind: 'iteration', partial: true },
+      ]);
+
+      reducer.mock.resetCalls();
+      const ctx = new PCContext({ transport });
+      await ctx.run([SumComputation]);
+
+      assert.deepEqual(
+        reducer.mock.calls.map((call) => call.arguments[1]),
+        [6, 7, 8, 9],
+      );
+      assert.equal(ctx.getLastResult().value, 45);
+      assert.deepEqual(ctx.recoveryData.computations.SumComputation, [
+        { cursor: 10, accumulator: 45 },
+      ]);
+      assert.equal(ctx.recoveryData.steps.SumComputation[0].partial, undefined);
+    });
+
+    it('should record a copy of an accumulator changed in place', async () => {
+      const transport = memoryTransport();
+      class CollectComputation extends PC {
+        async run() {
+          return this.reduce(
+            [1, 2, 3],
+            (collected, item) => {
+              if (item === 3) {
+                throw new Error('Failed');
+              }
+              collected.push(item);
+
+              return collected;
+            },
+            [],
+            { commitEvery: 1 },
+          );
+        }
+      }
+
+      await assert.rejects(() => new PCContext({ transport }).run([CollectComputation]));
+      const written = readRun(transport.write.mock.calls.at(-1).arguments[1]);
+      assert.deepEqual(written.computations.CollectComputation, [
+        { cursor: 2, accumulator: [1, 2] },
+      ]);
+    });
+
+    it('should skip a finished iteration on recovery', async () => {
+      const transport = transportWithData(
+        { ImportComputation: [{ cursor: 2, accumulator: undefined }] },
+        { ImportComputation: [{ name: 'import', kind: 'iteration' }] },
+      );
+      const callback = mock.fn();
+      class ImportComputation extends PC {
+        async run() {
+          await this.forEach('import', ['a', 'b'], callback);
+          return 'imported';
+        }
+      }
+      const ctx = new PCContext({ transport });
+      await ctx.run([ImportComputation]);
+
+      assert.equal(callback.mock.calls.length, 0);
+      assert.equal(ctx.getLastResult().value, 'imported');
+    });
+
+    it('should pass the item, its index and a signal to the `forEach` callback', async () => {
+      const callback = mock.fn();
+      class ImportComputation extends PC {
+        async run() {
+          return this.forEach(new Set(['a', 'b']), callback);
+        }
+      }
+      const ctx = new PCContext({ transport: transportWithData() });
+      await ctx.run([ImportComputation]);
+
+      assert.deepEqual(
+        callback.mock.calls.map(({ arguments: [item, index] }) => [item, index]),
+        [
+          ['a', 0],
+          ['b', 1],
+        ],
+      );
+      assert.ok(callback.mock.calls[0].arguments[2] instanceof AbortSignal);
+      assert.deepEqual(ctx.recoveryData.computations.ImportComputation, [
+        { cursor: 2, accumulator: undefined },
+      ]);
+    });
+  });
+
+  describe('Process signals', () => {
+    const events = ['SIGINT', 'SIGTERM', 'beforeExit', 'uncaughtException'];
+    const listenerCounts = () => events.map((event) => process.listenerCount(event));
+
+    async function runUntilBlocked(options) {
+      const transport = memoryTransport();
+      const ctx = new PCContext({ transport, handleSignals: true, ...options });
+      let unblock;
+      const blocked = new Promise((resolve) => {
+        class BlockingComputation extends PC {
+          async run() {
+            const first = await this.step(() => 'first');
+            const second = await this.step(
+              () =>
+                new Promise((resolveStep) => {
+                  unblock = resolveStep;
+                  resolve();
+                }),
+            );
+
+            return [first, second];
+          }
+        }
+        ctx.result = ctx.run([BlockingComputation]);
+      });
+      await blocked;
+
+      return { ctx, transport, unblock };
+    }
+
+    const writtenData = (transport) => readRun(transport.write.mock.calls.at(-1).arguments[1]);
+
+    it('should only install the handlers during the run', async () => {
+      const before = listenerCounts();
+      const { ctx, unblock } = await runUntilBlocked();
+
+      assert.deepEqual(
+        listenerCounts(),
+        before.map((count) => count + 1),
+      );
+
+      unblock('second');
+      await ctx.result;
+
+      assert.deepEqual(listenerCounts(), before);
+    });
+
+    it('should not install the handlers by default', async () => {
+      const before = listenerCounts();
+      const { ctx, unblock } = await runUntilBlocked({ handleSignals: undefined });
+
+      assert.deepEqual(listenerCounts(), before);
+      unblock('second');
+      await ctx.result;
+    });
+
+    it('should flush the recovery data once on repeated signals', async () => {
+      // keeps the handler from re-raising the signal, which would kill the test process
+      const keepAlive = mock.fn();
+      process.on('SIGTERM', keepAlive);
+      process.on('SIGINT', keepAlive);
+
+      try {
+        const { ctx, transport, unblock } = await runUntilBlocked();
+        process.emit('SIGTERM', 'SIGTERM');
+        process.emit('SIGINT', 'SIGINT');
+        await nextTurn();
+
+        assert.equal(transport.write.mock.calls.length, 1);
+        const written = writtenData(transport);
+        assert.deepEqual(written.computations, { BlockingComputation: ['first'] });
+        assert.equal(written.interruption.reason, 'SIGTERM');
+        assert.ok(written.interruption.time instanceof Date);
+
+        unblock('second');
+        await ctx.result;
+      } finally {
+        process.off('SIGTERM', keepAlive);
+        process.off('SIGINT', keepAlive);
+      }
+    });
+
+    /**
+     * Runs a computation that gets stuck on its second step in a child process
+     * @param {string} afterFirstStep code to run after the first step has finished
+     */
+    function runStuckComputation(afterFirstStep) {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-'));
+      const recoveryDataLocation = path.join(directory, '.recovery');
+      const script = `
+        import { PC, PCContext } from ${JSON.stringify(new URL('../src/index.js', import.meta.url))};
+        class StuckComputation extends PC {
+          async run() {
+            await this.step(() => 'first');
+            ${afterFirstStep}
+            return this.step(() => new Promise(() => {}));
+          }
+        }
+        const ctx = new PCContext({
+          handleSignals: true,
+          recoveryDataLocation: ${JSON.stringify(recoveryDataLocation)},
+        });
+        await ctx.run([StuckComputation]);
+      `;
+
+      const { status } = childProcess.spawnSync(
+        process.execPath,
+        ['--input-type=module', '-e', script],
+        { stdio: 'ignore', timeout: 10_000 },
+      );
+
+      try {
+        return { status, written: readRun(fs.readFileSync(recoveryDataLocation)) };
+      } finally {
+        fs.rmSync(directory, { recursive: true });
+      }
+    }
+
+    it('should flush the recovery data when the event loop empties before the run completes', () => {
+      const { written } = runStuckComputation('');
+
+      assert.deepEqual(written.computations, { StuckComputation: ['first'] });
+      assert.equal(written.interruption.reason, 'beforeExit');
+    });
+
+    it('should flush the recovery data on uncaught errors and rethrow them', () => {
+      const { status, written } = runStuckComputation(
+        "setImmediate(() => { throw new Error('Uncaught'); });",
+      );
+
+      assert.equal(status, 1);
+      assert.deepEqual(written.computations, { StuckComputation: ['first'] });
+      assert.equal(written.interruption.reason, 'uncaughtException');
+      assert.equal(written.interruption.error.message, 'Uncaught');
+    });
+
+    it('should re-raise signals after flushing the recovery data', () => {
+      const { status, written } = runStuckComputation(
+        "setTimeout(() => {}, 5000); process.kill(process.pid, 'SIGTERM');",
+      );
+
+      assert.equal(status, null);
+      assert.equal(written.interruption.reason, 'SIGTERM');
+    });
+  });
+
+  describe('Events', () => {
+    function recordEvents(ctx) {
+      const events = [];
+      for (const name of Object.values(EVENTS)) {
+        ctx.on(name, (payload) => events.push({ name, payload }));
+      }
+
+      return events;
+    }
+
+    it('should emit lifecycle events', async () => {
+      const transport = transportWithData({
+        MultiStepComputation: [MultiStepComputation.STEP_DATA[0]],
+      });
+      const ctx = new PCContext({ transport, checkpoint: CHECKPOINT_POLICY.STEP });
+      const events = recordEvents(ctx);
+      await ctx.run([MultiStepComputation]);
+
+      assert.deepEqual(
+        events.map(({ name }) => name),
+        [
+          EVENTS.RUN_START,
+          EVENTS.COMPUTATION_START,
+          EVENTS.STEP_RECOVERED,
+          EVENTS.STEP_EXECUTED,
+          EVENTS.CHECKPOINT,
+          EVENTS.COMPUTATION_COMPLETE,
+          EVENTS.CHECKPOINT,
+          EVENTS.RUN_COMPLETE,
+        ],
+      );
+      const [runStart, computationStart, stepRecovered, stepExecuted, checkpoint, , completion] =
+        events.map(({ payload }) => payload);
+      assert.deepEqual(runStart, {
+        runId: ctx.runId,
+        computationIds: ['MultiStepComputation'],
+        input: undefined,
+      });
+      assert.equal(computationStart.computationId, 'MultiStepComputation');
+      assert.equal(computationStart.recovered, true);
+      assert.equal(stepRecovered.stepIndex, 0);
+      assert.deepEqual(stepRecovered.value, MultiStepComputation.STEP_DATA[0]);
+      assert.equal(stepExecuted.stepIndex, 1);
+      assert.equal(stepExecuted.attempts, 1);
+      assert.equal(typeof stepExecuted.duration, 'number');
+      assert.equal(checkpoint.reason, 'policy');
+      assert.equal(checkpoint.steps, 1);
+      assert.equal(completion.reason, 'complete');
+    });
+
+    it('should emit failure events', async () => {
+      class FailingStepComputation extends PC {
+        async run() {
+          return this.step(
+            'failing',
+            () => {
+              throw new Error('Step error');
+            },
+            { retry: { attempts: 2, delay: 0 } },
+          );
+        }
+      }
+      const ctx = new PCContext({ transport: transportWithData() });
+      const events = recordEvents(ctx);
+      await assert.rejects(() => ctx.run([FailingStepComputation]));
+
+      assert.deepEqual(
+        events.map(({ name }) => name),
+        [
+          EVENTS.RUN_START,
+          EVENTS.COMPUTATION_START,
+          EVENTS.STEP_FAILED,
+          EVENTS.STEP_FAILED,
+          EVENTS.COMPUTATION_FAILED,
+          EVENTS.CHECKPOINT,
+          EVENTS.RUN_FAILED,
+        ],
+      );
+      const [, , retried, failed] = events.map(({ payload }) => payload);
+      assert.equal(retried.stepName, 'failing');
+      assert.equal(retried.attempt, 1);
+      assert.equal(retried.retryIn, 0);
+      assert.equal(failed.attempt, 2);
+      assert.equal(failed.retryIn, undefined);
+      assert.equal(typeof failed.duration, 'number');
+      assert.equal(failed.error.message, 'Step error');
+      assert.equal(events.at(-2).payload.reason, 'failure');
+      assert.equal(events.at(-1).payload.error.name, 'ComputationFailedError');
+    });
+
+    it('should install plugins from the options', () => {
+      const functionPlugin = mock.fn();
+      const objectPlugin = { apply: mock.fn() };
+      const ctx = new PCContext({ plugins: [functionPlugin, objectPlugin] });
+
+      assert.deepEqual(functionPlugin.mock.calls[0].arguments, [ctx]);
+      assert.deepEqual(objectPlugin.apply.mock.calls[0].arguments, [ctx]);
+    });
+
+    it('should log the events with the default logging plugin', async () => {
+      const logger = { log: mock.fn() };
+      const ctx = new PCContext({
+        transport: transportWithData(),
+        logger,
+        debugLevel: DEBUG_LEVEL.VERBOSE,
+      });
+      await ctx.run([OneStepComputation]);
+
+      const messages = logger.log.mock.calls.map((call) => call.arguments.join(' '));
+      assert.ok(messages.includes('debug Running OneStepComputation'));
+      assert.ok(messages.some((message) => message.startsWith('verbose Executed step 0')));
+    });
+  });
+
+  describe('Tracing', () => {
+    function describeSpans(spans) {
+      return spans.map(({ name, parent, attributes, status }) => ({
+        name,
+        parent: parent?.name,
+        recovered: attributes['pc.recovered'],
+        error: status.code === 2 ? status.message : undefined,
+      }));
+    }
+
+    it('should create nested spans for the run, the computations and the steps', async () => {
+      const { api, spans } = inMemoryTracing();
+      const ctx = new PCContext({
+        transport: memoryTransport(),
+        plugins: [tracingPlugin({ api })],
+      });
+      await ctx.run([MultiStepComputation, NamedStepComputation]);
+
+      assert.equal(api.trace.getTracer.mock.calls[0].arguments[0], 'persistent-computations');
+      assert.deepEqual(
+        describeSpans(spans),
+        [
+          { name: 'step 0', parent: 'computation MultiStepComputation' },
+          { name: 'step 1', parent: 'computation MultiStepComputation' },
+          { name: 'computation MultiStepComputation', parent: 'pipeline run' },
+          { name: 'step first', parent: 'computation NamedStepComputation' },
+          { name: 'step second', parent: 'computation NamedStepComputation' },
+          { name: 'computation NamedStepComputation', parent: 'pipeline run' },
+          { name: 'pipeline run', parent: undefined },
+        ].map((span) => ({ recovered: undefined, error: undefined, ...span })),
+      );
+
+      const [step, , computation] = spans;
+      assert.deepEqual(step.attributes, {
+        'pc.run_id': ctx.runId,
+        'pc.computation_id': 'MultiStepComputation',
+        'pc.step_index': 0,
+        'pc.attempts': 1,
+      });
+      assert.equal(computation.attributes['pc.resumed'], false);
+      assert.deepEqual(spans.at(-1).attributes, {
+        'pc.run_id': ctx.runId,
+        'pc.computations': ['MultiStepComputation', 'NamedStepComputation'],
+      });
+      assert.ok(spans.every(({ startTime, endTime }) => startTime <= endTime));
+      assert.ok(spans.at(-1).startTime <= step.startTime);
+    });
+
+    it('should tag the recovered steps and computations', async () => {
+      const { tracer, spans } = inMemoryTracing();
+      const transport = transportWithData({
+        MultiStepComputation: [MultiStepComputation.STEP_DATA[0]],
+      });
+      await new PCContext({ transport, plugins: [tracingPlugin({ tracer })] }).run([
+        MultiStepComputation,
+      ]);
+
+      assert.deepEqual(
+        spans.map(({ name, attributes }) => [name, attributes['pc.recovered']]),
+        [
+          ['step 0', true],
+          ['step 1', undefined],
+          ['computation MultiStepComputation', undefined],
+          ['pipeline run', undefined],
+        ],
+      );
+      assert.equal(spans[2].attributes['pc.resumed'], true);
+      // without the API, the spans are not nested
+      assert.ok(spans.every(({ parent }) => parent === undefined));
+
+      const completed = memoryTransport();
+      await assert.rejects(() =>
+        new PCContext({ transport: completed }).run([OneStepComputation, ThrowingComputation]),
+      );
+      spans.length = 0;
+      await assert.rejects(() =>
+        new PCContext({ transport: completed, plugins: [tracingPlugin({ tracer })] }).run([
+          OneStepComputation,
+          ThrowingComputation,
+        ]),
+      );
+
+      assert.equal(spans[0].name, 'computation OneStepComputation');
+      assert.equal(spans[0].attributes['pc.recovered'], true);
+    });
+
+    it('should record the exceptions of the failed spans', async () => {
+      let attempts = 0;
+      class FlakyComputation extends PC {
+        async run() {
+          await this.step(
+            'flaky',
+            () => {
+              attempts += 1;
+              if (attempts === 1) {
+                throw new Error('Flaky');
+              }
+            },
+            { retry: { attempts: 2, delay: 0 } },
+          );
+          await this.step('failing', () => {
+            throw new TypeError('Broken');
+          });
+        }
+      }
+      const { api, spans } = inMemoryTracing();
+      const ctx = new PCContext({
+        transport: memoryTransport(),
+        plugins: [tracingPlugin({ api })],
+      });
+      const error = await ctx.run([FlakyComputation]).catch((runError) => runError);
+
+      assert.ok(error instanceof ComputationFailedError);
+      assert.deepEqual(
+        describeSpans(spans),
+        [
+          { name: 'step flaky', parent: 'computation FlakyComputation' },
+          { name: 'step failing', parent: 'computation FlakyComputation', error: 'Broken' },
+          { name: 'computation FlakyComputation', parent: 'pipeline run', error: 'Broken' },
+          { name: 'pipeline run', parent: undefined, error: error.message },
+        ].map((span) => ({ recovered: undefined, error: undefined, ...span })),
+      );
+
+      const [flaky, failing, computation, run] = spans;
+      assert.deepEqual(
+        flaky.events.map(({ name, exception }) => [name, exception.message]),
+        [['exception', 'Flaky']],
+      );
+      assert.equal(flaky.attributes['pc.attempts'], 2);
+      assert.equal(failing.events[0].exception.name, 'TypeError');
+      assert.equal(computation.events[0].exception.message, 'Broken');
+      assert.equal(run.events[0].exception, error);
+      assert.equal(run.attributes['pc.failed_computation'], 'FlakyComputation');
+    });
+
+    it('should record the errors of the retried computations', async () => {
+      let attempts = 0;
+      class RetriedComputation extends PC {
+        static retry = { attempts: 2, delay: 0 };
+
+        async run() {
+          attempts += 1;
+          if (attempts === 1) {
+            throw new Error('First attempt');
+          }
+        }
+      }
+      const { api, spans } = inMemoryTracing();
+      await new PCContext({
+        transport: memoryTransport(),
+        plugins: [tracingPlugin({ api })],
+      }).run([RetriedComputation]);
+
+      const [computation] = spans;
+      assert.equal(computation.name, 'computation RetriedComputation');
+      assert.equal(computation.status.code, 0);
+      assert.equal(computation.events[0].exception.message, 'First attempt');
+    });
+
+    it('should not trace the steps replayed by a rollback', async () => {
+      const { api, spans } = inMemoryTracing();
+      const ctx = new PCContext({
+        transport: memoryTransport(),
+        plugins: [tracingPlugin({ api })],
+      });
+      await ctx.run([MultiStepComputation]);
+      const count = spans.length;
+      await ctx.rollback([MultiStepComputation]);
+
+      assert.equal(spans.length, count);
+    });
+
+    it('should require a tracer', () => {
+      assert.throws(() => tracingPlugin({}), {
+        name: 'TypeError',
+        message: 'The tracing plugin requires a tracer or the OpenTelemetry API',
+      });
+    });
+  });
+
+  describe('Rerun controls', () => {
+    const { provider, executed } = recordingProvider((label) => label);
+    const steps = ['one', 'two', 'three'];
+    const Load = createRecordingComputation('load', provider, { steps });
+    const Transform = createRecordingComputation('transform', provider, { steps });
+    const Save = createRecordingComputation('save', provider, { steps });
+    const pipeline = [Load, Transform, Save];
+
+    const rerun = (runOptions, contextOptions = {}) =>
+      runTwice(provider, pipeline, {}, { options: contextOptions, runOptions });
+
+    afterEach(() => provider.mock.resetCalls());
+
+    it('should rerun from a computation onward', async () => {
+      await rerun({ rerunFrom: 'transform' });
+
+      assert.deepEqual(executed(), [
+        'transform.one',
+        'transform.two',
+        'transform.three',
+        'save.one',
+        'save.two',
+        'save.three',
+      ]);
+    });
+
+    it('should invalidate a step, the steps after it and the computations after it', async () => {
+      await rerun({ invalidate: [{ computation: Transform, step: 'two' }] });
+
+      assert.deepEqual(executed(), [
+        'transform.two',
+        'transform.three',
+        'save.one',
+        'save.two',
+        'save.three',
+      ]);
+    });
+
+    it('should rerun only the selected steps and computations', async () => {
+      await rerun({ only: [{ computation: 'load', step: 1 }, 'save'] });
+
+      assert.deepEqual(executed(), ['load.two', 'save.one', 'save.two', 'save.three']);
+    });
+
+    it('should take the defaults from the context options', async () => {
+      await rerun({}, { only: [{ computation: 'transform', step: 'three' }] });
+
+      assert.deepEqual(executed(), ['transform.three']);
+    });
+
+    it('should throw on unknown computations', async () => {
+      await assert.rejects(() => rerun({ rerunFrom: 'unknown' }), {
+        name: 'BaseComputationError',
+        message: 'Cannot rerun unknown: there is no such computation in the pipeline',
+      });
+    });
+  });
+
+  describe('Completed computations', () => {
+    const createComputation = (options = {}) => {
+      const run = mock.fn(async function () {
+        return this.step(() => 'value');
+      });
+
+      return class CompletedComputation extends PC {
+        static persistResult = options.persistResult;
+        static runMock = run;
+        run = run;
+      };
+    };
+
+    it('should skip computations completed by a previous run', async () => {
+      const Completed = createComputation();
+      const transport = memoryTransport();
+      await assert.rejects(() =>
+        new PCContext({ transport }).run([Completed, ThrowingComputation]),
+      );
+
+      const ctx = new PCContext({ transport });
+      await assert.rejects(() => ctx.run([Completed, ThrowingComputation]));
+
+      assert.equal(Completed.runMock.mock.calls.length, 1);
+      assert.deepEqual(ctx.getResult(Completed), {
+        id: 'CompletedComputation',
+        name: 'CompletedComputation',
+        value: 'value',
+      });
+      assert.deepEqual(ctx.recoveryData.results, {
+        CompletedComputation: { completed: true, value: 'value' },
+      });
+    });
+
+    it('should pass the stored result to the next computation', async () => {
+      const transport = mockTransport({
+        read: () =>
+          v8.serialize({
+            dependencies: {},
+            computations: {},
+            results: { First: { completed: true, value: 'stored' } },
+          }),
+      });
+      class First extends PC {
+        async run() {
+          throw new Error('Should not run');
+        }
+      }
+      class Second extends PC {
+        async run(input) {
+          return `${input} and passed`;
+        }
+      }
+      const ctx = new PCContext({ transport });
+      await ctx.run([First, Second]);
+
+      assert.equal(ctx.getLastResult().value, 'stored and passed');
+    });
+
+    it('should replay computations with `persistResult` set to false', async () => {
+      const Replayed = createComputation({ persistResult: false });
+      const transport = memoryTransport();
+      await assert.rejects(() => new PCContext({ transport }).run([Replayed, ThrowingComputation]));
+      await assert.rejects(() => new PCContext({ transport }).run([Replayed, ThrowingComputation]));
+
+      assert.equal(Replayed.runMock.mock.calls.length, 2);
+    });
+  });
+
+  describe('Graph pipelines', () => {
+    const createGraph = ({ failMerge = false } = {}) => {
+      const events = [];
+      const track = (name, value) => async () => {
+        events.push(`${name}:start`);
+        await nextTurn();
+        events.push(`${name}:end`);
+
+        return value;
+      };
+      class FetchA extends PC {
+        static runMock = mock.fn(track('a', 'A'));
+        run = FetchA.runMock;
+      }
+      class FetchB extends PC {
+        static runMock = mock.fn(track('b', 'B'));
+        run = FetchB.runMock;
+      }
+      class Merge extends PC {
+        static dependsOn = [FetchA, 'FetchB'];
+        static runMock = mock.fn(async ([a, b]) => {
+          if (failMerge) {
+            throw new Error('Merge failed');
+          }
+
+          return `${a}+${b}`;
+        });
+        run = Merge.runMock;
+      }
+
+      return { events, FetchA, FetchB, Merge };
+    };
+
+    it('should run independent computations concurrently and pass the upstream results', async () => {
+      const { events, FetchA, FetchB, Merge } = createGraph();
+      const ctx = new PCContext({ transport: transportWithData() });
+      const result = await ctx.run([Merge, FetchA, FetchB], 'input');
+
+      assert.deepEqual(events, ['a:start', 'b:start', 'a:end', 'b:end']);
+      assert.equal(FetchA.runMock.mock.calls[0].arguments[0], 'input');
+      assert.deepEqual(Merge.runMock.mock.calls[0].arguments[0], ['A', 'B']);
+      // the result of the last listed computation
+      assert.deepEqual(result, { id: 'FetchB', name: 'FetchB', value: 'B' });
+      assert.equal(ctx.getResult(Merge).value, 'A+B');
+    });
+
+    it('should only run the unfinished computations on recovery', async () => {
+      const transport = memoryTransport();
+      const failing = createGraph({ failMerge: true });
+      await assert.rejects(
+        () => new PCContext({ transport }).run([failing.FetchA, failing.FetchB, failing.Merge]),
+        { name: 'ComputationFailedError' },
+      );
+
+      const { FetchA, FetchB, Merge } = createGraph();
+      const ctx = new PCContext({ transport });
+      const result = await ctx.run([FetchA, FetchB, Merge]);
+
+      assert.equal(FetchA.runMock.mock.calls.length, 0);
+      assert.equal(FetchB.runMock.mock.calls.length, 0);
+      assert.deepEqual(Merge.runMock.mock.calls[0].arguments[0], ['A', 'B']);
+      assert.equal(result.value, 'A+B');
+    });
+
+    it('should not start the downstream computations of a failed one', async () => {
+      class Failing extends PC {
+        async run() {
+          throw new Error('Failed');
+        }
+      }
+      const downstream = mock.fn();
+      class Downstream extends PC {
+        static dependsOn = [Failing];
+        run = downstream;
+      }
+      const independent = mock.fn(async () => {
+        await nextTurn();
+        return 'independent';
+      });
+      class Independent extends PC {
+        run = independent;
+      }
+      const transport = memoryTransport();
+
+      await assert.rejects(
+        () => new PCContext({ transport }).run([Failing, Downstream, Independent]),
+        (error) => {
+          assert.equal(error.cause.message, 'Failed');
+
+          return true;
+        },
+      );
+      assert.equal(downstream.mock.calls.length, 0);
+      assert.equal(independent.mock.calls.length, 1);
+      const written = readRun(transport.write.mock.calls.at(-1).arguments[1]);
+      assert.deepEqual(written.results.Independent, { completed: true, value: 'independent' });
+    });
+
+    it('should rerun the computations depending on a rerun one', async () => {
+      const transport = memoryTransport();
+      const failing = createGraph({ failMerge: true });
+      await assert.rejects(() =>
+        new PCContext({ transport }).run([failing.FetchA, failing.FetchB, failing.Merge]),
+      );
+
+      const { FetchA, FetchB, Merge } = createGraph();
+      await new PCContext({ transport }).run([FetchA, FetchB, Merge], undefined, {
+        rerunFrom: FetchB,
+      });
+
+      assert.equal(FetchA.runMock.mock.calls.length, 0);
+      assert.equal(FetchB.runMock.mock.calls.length, 1);
+      assert.equal(Merge.runMock.mock.calls.length, 1);
+    });
+
+    it('should throw when an upstream is not in the pipeline', async () => {
+      const { FetchB, Merge } = createGraph();
+      const ctx = new PCContext({ transport: transportWithData() });
+
+      await assert.rejects(() => ctx.run([FetchB, Merge]), {
+        name: 'BaseComputationError',
+        message: 'Merge depends on FetchA, which is not in the pipeline',
+      });
+    });
+
+    it('should throw on cycles', async () => {
+      class First extends PC {
+        static dependsOn = ['Second'];
+      }
+      class Second extends PC {
+        static dependsOn = [First];
+      }
+      const ctx = new PCContext({ transport: transportWithData() });
+
+      await assert.rejects(() => ctx.run([OneStepComputation, First, Second]), {
+        name: 'BaseComputationError',
+        message: 'Computations First, Second depend on each other',
+      });
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 0);
+    });
+  });
+
+  describe('Runs', () => {
+    const storeWith = (...runs) =>
+      mockTransport({
+        read: () => v8.serialize({ runs: Object.fromEntries(runs.map((run) => [run.id, run])) }),
+      });
+    const storedRun = (id, status, startedAt, values = {}) => ({
+      id,
+      status,
+      startedAt: new Date(startedAt),
+      endedAt: status === RUN_STATUS.RUNNING ? undefined : new Date(startedAt + 1000),
+      computations: { OneStepComputation: [values.OneStepComputation ?? 'recovered'] },
+      results: {},
+      steps: {},
+      fingerprints: {},
+      dependencies: {},
+    });
+
+    it('should resume the most recent unfinished run', async () => {
+      const transport = memoryTransport();
+      const failing = new PCContext({ transport });
+      await assert.rejects(() => failing.run([OneStepComputation, ThrowingComputation]));
+
+      const failed = readRun(transport.files.get(failing.options.recoveryDataLocation));
+      assert.equal(failed.id, failing.runId);
+      assert.equal(failed.status, RUN_STATUS.FAILED);
+      assert.ok(failed.endedAt instanceof Date);
+
+      OneStepComputation.dataProvider.mock.resetCalls();
+      const ctx = new PCContext({ transport });
+      await assert.rejects(() => ctx.run([OneStepComputation, ThrowingComputation]));
+
+      assert.equal(ctx.runId, failing.runId);
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 0);
+    });
+
+    it('should archive completed runs, so they are not resumed', async () => {
+      const transport = memoryTransport();
+      const first = new PCContext({ transport, onSuccess: ON_SUCCESS.ARCHIVE });
+      await first.run([OneStepComputation]);
+
+      const archived = readRun(transport.write.mock.calls.at(-1).arguments[1], first.runId);
+      assert.equal(archived.status, RUN_STATUS.COMPLETED);
+      assert.deepEqual(archived.computations, {
+        OneStepComputation: [OneStepComputation.STEP_DATA],
+      });
+
+      const second = new PCContext({ transport, onSuccess: ON_SUCCESS.ARCHIVE });
+      await second.run([OneStepComputation]);
+
+      assert.notEqual(second.runId, first.runId);
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 2);
+      const { runs } = v8.deserialize(transport.write.mock.calls.at(-1).arguments[1]);
+      assert.deepEqual(Object.keys(runs).sort(), [first.runId, second.runId].sort());
+    });
+
+    it('should mark completed runs as completed with the default `onSuccess`', async () => {
+      class DoublingComputation extends PC {
+        async run(input) {
+          return this.step(() => input * 2);
+        }
+      }
+      const transport = memoryTransport();
+      const first = new PCContext({ transport, checkpoint: CHECKPOINT_POLICY.STEP });
+      await first.run([DoublingComputation], 1);
+
+      const kept = readRun(transport.write.mock.calls.at(-1).arguments[1], first.runId);
+      assert.equal(kept.status, RUN_STATUS.COMPLETED);
+
+      const second = new PCContext({ transport });
+      await second.run([DoublingComputation], 100);
+
+      assert.notEqual(second.runId, first.runId);
+      assert.equal(second.getLastResult().value, 200);
+    });
+
+    it('should rerun parts of the most recent run even if it completed', async () => {
+      const transport = memoryTransport();
+      const first = new PCContext({ transport, checkpoint: CHECKPOINT_POLICY.STEP });
+      await first.run([OneStepComputation, MultiStepComputation]);
+      OneStepComputation.dataProvider.mock.resetCalls();
+
+      const second = new PCContext({ transport });
+      await second.run([OneStepComputation, MultiStepComputation], null, {
+        rerunFrom: MultiStepComputation,
+      });
+
+      assert.equal(second.runId, first.runId);
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 0);
+    });
+
+    it('should resume a run by its id', async () => {
+      const transport = storeWith(
+        storedRun('nightly', RUN_STATUS.COMPLETED, 1000, { OneStepComputation: 'nightly' }),
+        storedRun('latest', RUN_STATUS.FAILED, 2000),
+      );
+      const ctx = new PCContext({ transport });
+      await ctx.run([OneStepComputation], null, { runId: 'nightly' });
+
+      assert.equal(ctx.runId, 'nightly');
+      assert.equal(ctx.getLastResult().value, 'nightly');
+    });
+
+    it('should start a run with the given id when there is no such run', async () => {
+      const ctx = new PCContext({ transport: storeWith(), runId: 'manual' });
+      await ctx.run([OneStepComputation]);
+
+      assert.equal(ctx.runId, 'manual');
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 1);
+    });
+
+    it('should resume the data of recovery files without runs', async () => {
+      const ctx = new PCContext({
+        transport: transportWithData({ OneStepComputation: ['legacy value'] }),
+      });
+      await ctx.run([OneStepComputation]);
+
+      assert.equal(ctx.runId, LEGACY_RUN_ID);
+      assert.equal(ctx.getLastResult().value, 'legacy value');
+    });
+
+    it('should clear the completed run and remove the file when no runs are left', async () => {
+      const transport = memoryTransport();
+      const options = { transport, onSuccess: ON_SUCCESS.CLEAR };
+      await assert.rejects(() =>
+        new PCContext(options).run([OneStepComputation, ThrowingComputation]),
+      );
+      assert.equal(transport.files.size, 1);
+
+      await new PCContext(options).run([OneStepComputation]);
+
+      assert.equal(transport.remove.mock.calls.length, 1);
+      assert.equal(transport.files.size, 0);
+    });
+
+    it('should keep the other runs when clearing the completed one', async () => {
+      const transport = storeWith(
+        storedRun('first', RUN_STATUS.FAILED, 1000),
+        storedRun('second', RUN_STATUS.FAILED, 2000),
+      );
+      await new PCContext({ transport, onSuccess: ON_SUCCESS.CLEAR }).run([OneStepComputation]);
+
+      const { runs } = v8.deserialize(transport.write.mock.calls.at(-1).arguments[1]);
+      assert.deepEqual(Object.keys(runs), ['first']);
+    });
+
+    for (const onSuccess of Object.values(ON_SUCCESS)) {
+      it(`should not resume a run started before a completed one with onSuccess ${onSuccess}`, async () => {
+        const transport = memoryTransport();
+        const failing = mock.fn(() => {
+          throw new Error('failed');
+        });
+        class A extends PC {
+          async run() {
+            return this.step(() => 'A-v1');
+          }
+        }
+        class B extends PC {
+          static dependsOn = [A];
+
+          async run() {
+            return this.step(() => failing());
+          }
+        }
+        await assert.rejects(() => new PCContext({ transport, onSuccess }).run([A, B]), {
+          message: /failed/,
+        });
+
+        failing.mock.mockImplementation(() => 'B');
+        A.prototype.run = async function () {
+          return this.step(() => 'A-v2');
+        };
+        await new PCContext({ transport, onSuccess, fromScratch: true }).run([A, B]);
+        failing.mock.resetCalls();
+
+        const ctx = new PCContext({ transport, onSuccess });
+        await ctx.run([A, B]);
+
+        assert.equal(ctx.getResultByName('A').value, 'A-v2');
+        assert.equal(failing.mock.calls.length, 1);
+      });
+    }
+
+    it('should mark the runs started before a completed one as superseded', async () => {
+      const transport = storeWith(
+        storedRun('failed', RUN_STATUS.FAILED, 1000),
+        storedRun('archived', RUN_STATUS.COMPLETED, 2000),
+      );
+      await new PCContext({ transport, fromScratch: true }).run([OneStepComputation]);
+
+      const { runs } = v8.deserialize(transport.write.mock.calls.at(-1).arguments[1]);
+      assert.equal(runs.failed.status, RUN_STATUS.SUPERSEDED);
+      assert.equal(runs.archived.status, RUN_STATUS.COMPLETED);
+    });
+
+    it('should remove old runs according to the retention policy', async () => {
+      const now = Date.now();
+      const transport = storeWith(
+        storedRun('expired', RUN_STATUS.FAILED, now - 120_000),
+        storedRun('older', RUN_STATUS.FAILED, now - 30_000),
+        storedRun('old', RUN_STATUS.COMPLETED, now - 20_000),
+        storedRun('recent', RUN_STATUS.COMPLETED, now - 10_000),
+      );
+      const ctx = new PCContext({
+        transport,
+        fromScratch: true,
+        onSuccess: ON_SUCCESS.ARCHIVE,
+        retention: { keepLast: 3, maxAge: 60_000 },
+      });
+      await ctx.run([OneStepComputation]);
+
+      const { runs } = v8.deserialize(transport.write.mock.calls.at(-1).arguments[1]);
+      assert.deepEqual(Object.keys(runs).sort(), [ctx.runId, 'old', 'recent'].sort());
+    });
+  });
+
+  describe('Recovery data format', () => {
+    const transportWithStore = (store) => mockTransport({ read: () => v8.serialize(store) });
+    const run = (id, fields = {}) => ({
+      id,
+      status: RUN_STATUS.FAILED,
+      startedAt: new Date(),
+      computations: {},
+      ...fields,
+    });
+
+    it('should write the format version', async () => {
+      const transport = memoryTransport();
+      await assert.rejects(() => new PCContext({ transport }).run([ThrowingComputation]));
+
+      const store = v8.deserialize(transport.write.mock.calls.at(-1).arguments[1]);
+      assert.equal(store.version, RECOVERY_DATA_VERSION);
+    });
+
+    it('should upgrade recovery files without runs to the current version', async () => {
+      const transport = memoryTransport();
+      const ctx = new PCContext({ transport, checkpoint: CHECKPOINT_POLICY.STEP });
+      const location = ctx.options.recoveryDataLocation;
+      transport.files.set(location, v8.serialize({ dependencies: {}, computations: { X: [1] } }));
+      await ctx.run([OneStepComputation]);
+
+      const store = v8.deserialize(transport.files.get(location));
+      assert.equal(store.version, RECOVERY_DATA_VERSION);
+      assert.deepEqual(store.runs[LEGACY_RUN_ID].computations.X, [1]);
+    });
+
+    it('should reject recovery data written in a newer version', async () => {
+      const ctx = new PCContext({
+        transport: transportWithStore({ version: RECOVERY_DATA_VERSION + 1, runs: {} }),
+      });
+
+      await assert.rejects(() => ctx.run([OneStepComputation]), {
+        name: 'InvalidRecoveryDataError',
+        message:
+          `Recovery data ${ctx.options.recoveryDataLocation} is invalid: ` +
+          `it was written in version ${RECOVERY_DATA_VERSION + 1} of the format, ` +
+          `while version ${RECOVERY_DATA_VERSION} is the latest supported one`,
+      });
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 0);
+    });
+
+    it('should reject recovery data that cannot be deserialized', async () => {
+      const ctx = new PCContext({
+        transport: mockTransport({ read: () => Buffer.from('garbage') }),
+      });
+
+      await assert.rejects(
+        () => ctx.run([OneStepComputation]),
+        (error) => {
+          assert.ok(error instanceof InvalidRecoveryDataError);
+          assert.match(error.reason, /^it cannot be deserialized: /);
+          assert.ok(error.cause instanceof Error);
+          return true;
+        },
+      );
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 0);
+    });
+
+    it('should reject malformed recovery data with a descriptive error', async () => {
+      const cases = [
+        ['recovery data', 'it is not an object'],
+        [{ version: '2', runs: {} }, 'its version 2 is invalid'],
+        [{ runs: [] }, '"runs" is not an object'],
+        [{ runs: { a: run('b') } }, 'run "a" has the id "b"'],
+        [{ runs: { a: run('a', { status: 'done' }) } }, 'run "a" has an unknown status "done"'],
+        [{ runs: { a: run('a', { startedAt: 1 }) } }, 'run "a": "startedAt" is not a date'],
+        [
+          { runs: { a: run('a', { computations: [] }) } },
+          'run "a": "computations" is not an object',
+        ],
+        [
+          { runs: { a: run('a', { computations: { X: 'value' } }) } },
+          'run "a": "computations" of "X" is not an array',
+        ],
+        [
+          { runs: { a: run('a', { steps: { X: {} } }) } },
+          'run "a": "steps" of "X" is not an array',
+        ],
+        [{ runs: { a: run('a', { results: 1 }) } }, 'run "a": "results" is not an object'],
+        [
+          { computations: { X: 1 } },
+          `run "${LEGACY_RUN_ID}": "computations" of "X" is not an array`,
+        ],
+      ];
+
+      for (const [store, reason] of cases) {
+        const ctx = new PCContext({ transport: transportWithStore(store) });
+
+        await assert.rejects(
+          () => ctx.run([OneStepComputation]),
+          (error) => {
+            assert.ok(error instanceof InvalidRecoveryDataError);
+            assert.equal(error.reason, reason);
+            return true;
+          },
+        );
+      }
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 0);
+    });
+
+    it('should not register two migrations from the same version', () => {
+      assert.throws(() => registerMigration(1, (data) => data), {
+        message: 'A migration from version 1 is already registered',
+      });
+    });
+  });
+
+  describe('Step cache', () => {
+    function createComputation({ cacheKey = 'rates', cacheTtl, fail = false } = {}) {
+      const fetchRates = mock.fn(() => ({ EUR: 1.1 }));
+      const fetchTotal = mock.fn(() => 42);
+      class RatesComputation extends PC {
+        async run() {
+          const rates = await this.step('rates', fetchRates, { cacheKey, cacheTtl });
+          const total = await this.step('total', fetchTotal, { cacheKey: 'total' });
+          if (fail) {
+            throw new Error('Failed after the steps');
+          }
+
+          return { rates, total };
+        }
+      }
+
+      return { fetchRates, fetchTotal, RatesComputation };
+    }
+
+    const createContext = (transport, cache = {}, dependencies = {}) =>
+      new PCContext({ transport, cache, onSuccess: ON_SUCCESS.ARCHIVE }, dependencies);
+    const readEntries = (transport, ctx) =>
+      v8.deserialize(transport.files.get(`${ctx.options.recoveryDataLocation}.cache`)).entries;
+
+    it('should reuse the results of the previous successful runs', async () => {
+      const transport = memoryTransport();
+      const { fetchRates, RatesComputation } = createComputation();
+      await createContext(transport).run([RatesComputation]);
+
+      const ctx = createContext(transport);
+      const cached = mock.fn();
+      ctx.on(EVENTS.STEP_CACHED, cached);
+      await ctx.run([RatesComputation]);
+
+      assert.equal(fetchRates.mock.calls.length, 1);
+      assert.deepEqual(ctx.getLastResult().value, { rates: { EUR: 1.1 }, total: 42 });
+      assert.equal(cached.mock.calls.length, 2);
+      assert.equal(cached.mock.calls[0].arguments[0].stepName, 'rates');
+      assert.deepEqual(cached.mock.calls[0].arguments[0].value, { EUR: 1.1 });
+    });
+
+    it('should run the step again when the cache key changes', async () => {
+      const transport = memoryTransport();
+      const { fetchRates, RatesComputation } = createComputation({ cacheKey: '2024-01-01' });
+      await createContext(transport).run([RatesComputation]);
+
+      const other = createComputation({ cacheKey: '2024-01-02' });
+      await createContext(transport).run([other.RatesComputation]);
+
+      assert.equal(fetchRates.mock.calls.length, 1);
+      assert.equal(other.fetchRates.mock.calls.length, 1);
+    });
+
+    it('should use the step key and dependencies when the cache key is true', async () => {
+      const transport = memoryTransport();
+      const fetchUser = mock.fn((id) => ({ id }));
+      class UserComputation extends PC {
+        async run(id) {
+          return this.step('user', () => fetchUser(id), {
+            key: id,
+            dependencies: ['api.version'],
+            cacheKey: true,
+          });
+        }
+      }
+      const run = (id, version) =>
+        createContext(transport, {}, { api: { version } }).run([UserComputation], id);
+
+      await run(1, 'v1');
+      await run(1, 'v1');
+      await run(2, 'v1');
+      await run(1, 'v2');
+
+      assert.deepEqual(
+        fetchUser.mock.calls.map(({ arguments: [id] }) => id),
+        [1, 2, 1],
+      );
+    });
+
+    it('should not cache the results of failed runs', async () => {
+      const transport = memoryTransport();
+      const failing = createComputation({ fail: true });
+      await assert.rejects(() => createContext(transport).run([failing.RatesComputation]));
+
+      const { fetchRates, RatesComputation } = createComputation();
+      await createContext(transport).run([RatesComputation], undefined, { runId: 'new' });
+
+      assert.equal(fetchRates.mock.calls.length, 1);
+    });
+
+    it('should drop the expired results', async () => {
+      const transport = memoryTransport();
+      const { fetchRates, fetchTotal, RatesComputation } = createComputation({ cacheTtl: 0 });
+      await createContext(transport, { ttl: 60_000 }).run([RatesComputation]);
+      const ctx = createContext(transport, { ttl: 60_000 });
+      await ctx.run([RatesComputation]);
+
+      assert.equal(fetchRates.mock.calls.length, 2);
+      assert.equal(fetchTotal.mock.calls.length, 1);
+      const entries = Object.values(readEntries(transport, ctx));
+      assert.equal(entries.length, 1);
+      assert.ok(entries[0].expiresAt > Date.now());
+    });
+
+    it('should keep the most recently used results within the limits', async () => {
+      const transport = memoryTransport();
+      const { fetchRates, fetchTotal, RatesComputation } = createComputation();
+      const ctx = createContext(transport, { maxEntries: 1 });
+      await ctx.run([RatesComputation]);
+      await createContext(transport, { maxEntries: 1 }).run([RatesComputation]);
+
+      assert.equal(Object.keys(readEntries(transport, ctx)).length, 1);
+      assert.equal(fetchRates.mock.calls.length + fetchTotal.mock.calls.length, 3);
+
+      await createContext(transport, { maxSize: 1 }).run([RatesComputation]);
+      assert.equal(Object.keys(readEntries(transport, ctx)).length, 0);
+    });
+
+    it('should store the cache with the given transport and location', async () => {
+      const cacheTransport = memoryTransport();
+      const { RatesComputation } = createComputation();
+      await createContext(memoryTransport(), {
+        transport: cacheTransport,
+        location: 'rates.cache',
+      }).run([RatesComputation]);
+
+      assert.deepEqual([...cacheTransport.files.keys()], [path.resolve('rates.cache')]);
+    });
+
+    it('should not cache the steps when the context has no cache', async () => {
+      const transport = memoryTransport();
+      const { fetchRates, RatesComputation } = createComputation();
+      const options = { transport, onSuccess: ON_SUCCESS.ARCHIVE };
+      await new PCContext(options).run([RatesComputation]);
+      await new PCContext(options).run([RatesComputation]);
+
+      assert.equal(fetchRates.mock.calls.length, 2);
+      assert.equal(transport.files.size, 1);
+    });
+
+    it('should reject structured cache transports', () => {
+      assert.throws(() => new PCContext({ cache: { transport: { structured: true } } }), {
+        name: 'TypeError',
+        message: 'The step cache requires a transport storing serialized data',
+      });
+    });
+  });
+
+  describe('Rollback', () => {
+    function createSaga({ failingCompensations = 0 } = {}) {
+      const compensated = [];
+      const insert = mock.fn(() => ({ row: 1 }));
+      const upload = mock.fn(() => ({ url: 'report.pdf' }));
+      const notify = mock.fn(() => {
+        throw new Error('Notification failed');
+      });
+      let failures = failingCompensations;
+      class InsertComputation extends PC {
+        async run() {
+          return this.step('insert', insert, {
+            compensate: (value) => compensated.push(['insert', value]),
+          });
+        }
+
+        async compensate(result) {
+          compensated.push(['InsertComputation', result]);
+        }
+      }
+      class UploadComputation extends PC {
+        async run() {
+          await this.step('upload', upload, {
+            compensate: (value) => {
+              if (failures > 0) {
+                failures -= 1;
+                throw new Error('Storage unavailable');
+              }
+              compensated.push(['upload', value]);
+            },
+          });
+          await this.step('notify', notify);
+        }
+      }
+
+      return {
+        compensated,
+        insert,
+        upload,
+        notify,
+        pipeline: [InsertComputation, UploadComputation],
+      };
+    }
+
+    it('should run the compensations in the reverse order', async () => {
+      const transport = memoryTransport();
+      const { compensated, pipeline } = createSaga();
+      const ctx = new PCContext({ transport });
+      await assert.rejects(() => ctx.run(pipeline));
+      assert.deepEqual(readRun(transport.write.mock.calls.at(-1).arguments[1]).compensations, [
+        { computationId: 'InsertComputation', stepIndex: 0, stepName: 'insert' },
+        { computationId: 'InsertComputation' },
+        { computationId: 'UploadComputation', stepIndex: 0, stepName: 'upload' },
+      ]);
+
+      const executed = mock.fn();
+      ctx.on(EVENTS.COMPENSATION_EXECUTED, executed);
+      await ctx.rollback(pipeline);
+
+      assert.deepEqual(compensated, [
+        ['upload', { url: 'report.pdf' }],
+        ['InsertComputation', { row: 1 }],
+        ['insert', { row: 1 }],
+      ]);
+      assert.equal(executed.mock.calls.length, 3);
+      const run = readRun(transport.write.mock.calls.at(-1).arguments[1]);
+      assert.equal(run.status, RUN_STATUS.ROLLED_BACK);
+      assert.deepEqual(run.compensations, []);
+    });
+
+    it('should not resume the rolled back runs', async () => {
+      const transport = memoryTransport();
+      const { insert, pipeline } = createSaga();
+      const ctx = new PCContext({ transport });
+      await assert.rejects(() => ctx.run(pipeline));
+      await ctx.rollback(pipeline);
+
+      const next = new PCContext({ transport });
+      await assert.rejects(() => next.run(pipeline));
+
+      assert.notEqual(next.runId, ctx.runId);
+      assert.equal(insert.mock.calls.length, 2);
+    });
+
+    it('should continue a failed rollback in another process', async () => {
+      const transport = memoryTransport();
+      const { compensated, insert, upload, notify, pipeline } = createSaga({
+        failingCompensations: 1,
+      });
+      const ctx = new PCContext({ transport });
+      await assert.rejects(() => ctx.run(pipeline));
+
+      const failed = mock.fn();
+      ctx.on(EVENTS.COMPENSATION_FAILED, failed);
+      await assert.rejects(() => ctx.rollback(pipeline), {
+        name: 'CompensationFailedError',
+        message:
+          'Compensation of step 0 of UploadComputation failed due to this error: Storage unavailable',
+      });
+      assert.equal(failed.mock.calls.length, 1);
+      assert.deepEqual(compensated, []);
+
+      await new PCContext({ transport }).rollback(pipeline);
+
+      assert.deepEqual(compensated, [
+        ['upload', { url: 'report.pdf' }],
+        ['InsertComputation', { row: 1 }],
+        ['insert', { row: 1 }],
+      ]);
+      // the replay returns the recorded values and stops before the steps that were not recorded
+      assert.equal(insert.mock.calls.length, 1);
+      assert.equal(upload.mock.calls.length, 1);
+      assert.equal(notify.mock.calls.length, 1);
+    });
+
+    it('should continue with the remaining compensations', async () => {
+      const transport = memoryTransport();
+      const { compensated, pipeline } = createSaga();
+      const ctx = new PCContext({ transport });
+      await assert.rejects(() => ctx.run(pipeline));
+      ctx.on(EVENTS.COMPENSATION_EXECUTED, () => {
+        throw new Error('Process crashed');
+      });
+      await assert.rejects(() => ctx.rollback(pipeline), { message: 'Process crashed' });
+      assert.equal(compensated.length, 1);
+
+      await new PCContext({ transport }).rollback(pipeline);
+
+      assert.deepEqual(
+        compensated.map(([name]) => name),
+        ['upload', 'upload', 'InsertComputation', 'insert'],
+      );
+    });
+
+    it('should fail when there is no run to roll back', async () => {
+      const { pipeline } = createSaga();
+
+      await assert.rejects(
+        () => new PCContext({ transport: memoryTransport() }).rollback(pipeline),
+        {
+          name: 'BaseComputationError',
+          message: `No run to roll back in ${path.resolve('.recovery')}`,
+        },
+      );
+      await assert.rejects(
+        () =>
+          new PCContext({ transport: memoryTransport() }).rollback(pipeline, undefined, {
+            runId: 'unknown',
+          }),
+        { message: `No run to roll back in ${path.resolve('.recovery')}: there is no run unknown` },
+      );
+    });
+
+    it('should fail when a step compensation cannot be replayed', async () => {
+      const transport = memoryTransport();
+      const { pipeline } = createSaga();
+      await assert.rejects(() => new PCContext({ transport }).run(pipeline));
+
+      await assert.rejects(
+        () => new PCContext({ transport }).rollback([pipeline[0]]),
+        (error) => {
+          assert.ok(error instanceof CompensationFailedError);
+          assert.equal(error.computationId, 'UploadComputation');
+          assert.equal(error.stepIndex, 0);
+          return true;
+        },
+      );
+    });
+  });
+
+  describe('Report', () => {
+    function createComputations({ fail = false } = {}) {
+      let failures = 1;
+      class FetchComputation extends PC {
+        async run() {
+          const users = await this.step('users', () => ['ada', 'alan'], {
+            retry: { attempts: 2, delay: 0 },
+          });
+          await this.step(
+            'flaky',
+            () => {
+              if (failures > 0) {
+                failures -= 1;
+                throw new Error('Flaky');
+              }
+              return users.length;
+            },
+            { retry: { attempts: 2, delay: 0 } },
+          );
+
+          return this.map('pages', users, (user) => `${user}.html`);
+        }
+      }
+      class SaveComputation extends PC {
+        async run(pages) {
+          await this.step('save', () => {
+            if (fail) {
+              throw new TypeError('Disk full');
+            }
+          });
+
+          return pages.length;
+        }
+      }
+
+      return [FetchComputation, SaveComputation];
+    }
+
+    it('should be undefined until a run starts', () => {
+      assert.equal(new PCContext({ transport: memoryTransport() }).getReport(), undefined);
+    });
+
+    it('should report the computations and the steps of the run', async () => {
+      const ctx = new PCContext({ transport: memoryTransport() });
+      await ctx.run(createComputations());
+
+      const report = ctx.getReport();
+      assert.deepEqual(JSON.parse(JSON.stringify(report)), report);
+      assert.equal(report.runId, ctx.runId);
+      assert.equal(report.status, RUN_STATUS.COMPLETED);
+      assert.ok(report.duration >= 0);
+      assert.ok(Date.parse(report.endedAt) >= Date.parse(report.startedAt));
+
+      const [fetch, save] = report.computations;
+      assert.deepEqual(
+        [fetch.id, fetch.status, fetch.resumed, save.id, save.status],
+        ['FetchComputation', 'completed', false, 'SaveComputation', 'completed'],
+      );
+      assert.equal(save.size, v8.serialize(2).length);
+      assert.deepEqual(
+        fetch.steps.map(({ index, name, status, attempts, retries, size }) => ({
+          index,
+          name,
+          status,
+          attempts,
+          retries,
+          size,
+        })),
+        [
+          {
+            index: 0,
+            name: 'users',
+            status: 'executed',
+            attempts: 1,
+            retries: 0,
+            size: v8.serialize(['ada', 'alan']).length,
+          },
+          {
+            index: 1,
+            name: 'flaky',
+            status: 'executed',
+            attempts: 2,
+            retries: 1,
+            size: v8.serialize(2).length,
+          },
+          {
+            index: 2,
+            name: 'pages',
+            status: 'executed',
+            attempts: undefined,
+            retries: 0,
+            size: undefined,
+          },
+        ],
+      );
+      assert.deepEqual(
+        fetch.steps[2].slots.map(({ slot, status, size }) => [slot, status, size]),
+        [
+          [0, 'executed', v8.serialize('ada.html').length],
+          [1, 'executed', v8.serialize('alan.html').length],
+        ],
+      );
+      assert.ok(fetch.steps.every(({ duration }, index) => index === 2 || duration >= 0));
+    });
+
+    it('should measure the results with the transformer when the report is requested', async () => {
+      const transformer = {
+        serialize: mock.fn((value) => Buffer.from(JSON.stringify(value))),
+        deserialize: v8Transformer.deserialize,
+      };
+      const ctx = new PCContext({ transport: mockTransport({ exists: false }), transformer });
+      await ctx.run([OneStepComputation]);
+      assert.equal(transformer.serialize.mock.callCount(), 0);
+
+      const [computation] = ctx.getReport().computations;
+
+      const size = JSON.stringify(OneStepComputation.STEP_DATA).length;
+      assert.equal(computation.size, size);
+      assert.equal(computation.steps[0].size, size);
+      assert.equal(transformer.serialize.mock.callCount(), 2);
+    });
+
+    it('should report the failures and the recovered steps', async () => {
+      const transport = memoryTransport();
+      const ctx = new PCContext({ transport });
+      await assert.rejects(() => ctx.run(createComputations({ fail: true })));
+
+      const failed = ctx.getReport();
+      assert.equal(failed.status, RUN_STATUS.FAILED);
+      assert.deepEqual(failed.error, {
+        name: 'ComputationFailedError',
+        message: 'Computation failed on step SaveComputation due to this error: Disk full',
+      });
+      const save = failed.computations[1];
+      assert.equal(save.status, 'failed');
+      assert.deepEqual(save.error, { name: 'TypeError', message: 'Disk full' });
+      assert.ok(save.duration >= 0);
+      assert.deepEqual(save.steps, [
+        {
+          index: 0,
+          name: 'save',
+          status: 'failed',
+          retries: 0,
+          attempts: 1,
+          error: { name: 'TypeError', message: 'Disk full' },
+        },
+      ]);
+
+      const next = new PCContext({ transport });
+      await next.run(createComputations());
+
+      const [fetch, saved] = next.getReport().computations;
+      assert.equal(fetch.status, 'recovered');
+      assert.equal(fetch.resumed, true);
+      assert.deepEqual(fetch.steps, []);
+      assert.equal(saved.status, 'completed');
+      assert.equal(saved.resumed, true);
+    });
+
+    it('should report the steps recovered by a resumed computation', async () => {
+      const transport = memoryTransport();
+      class PartialComputation extends PC {
+        static persistResult = false;
+
+        async run() {
+          await this.step('first', () => 1);
+          return this.step('second', () => 2);
+        }
+      }
+      await assert.rejects(() =>
+        new PCContext({ transport }).run([PartialComputation, ThrowingComputation]),
+      );
+
+      const ctx = new PCContext({ transport });
+      await assert.rejects(() => ctx.run([PartialComputation, ThrowingComputation]));
+
+      const [partial, throwing] = ctx.getReport().computations;
+      assert.deepEqual(
+        partial.steps.map(({ name, status }) => [name, status]),
+        [
+          ['first', 'recovered'],
+          ['second', 'recovered'],
+        ],
+      );
+      assert.equal(throwing.status, 'failed');
+    });
+  });
+
+  describe('Save', () => {
+    it('should save when a computation run throws', async () => {
+      const transport = transportWithData();
+      const ctx = new PCContext({ transport });
+
+      await assert.rejects(
+        () => ctx.run([ThrowingComputation]),
+        (error) => {
+          assert.equal(error.name, 'ComputationFailedError');
+          assert.equal(error.message.includes('ThrowingComputation'), true);
+          assert.equal(error.message.includes('ComputationErrorMessage'), true);
+
+          return true;
+        },
+      );
+
+      assert.deepEqual(transport.write.mock.calls.length, 1);
+    });
+  });
+
+  describe('Checkpoints', () => {
+    it('should not write recovery data on success with the default policy', async () => {
+      const transport = mockTransport({ exists: false });
+      const ctx = new PCContext({ transport });
+      await ctx.run([MultiStepComputation]);
+
+      assert.equal(transport.write.mock.calls.length, 0);
+    });
+
+    it('should write recovery data after every step with the `step` policy', async () => {
+      const transport = transportWithData();
+      const ctx = new PCContext({ transport, checkpoint: CHECKPOINT_POLICY.STEP });
+      await ctx.run([OneStepComputation, MultiStepComputation]);
+
+      // a write per step, then the completion of the run
+      assert.equal(transport.write.mock.calls.length, 4);
+      const written = readRun(transport.write.mock.calls[2].arguments[1]);
+      assert.deepEqual(written.computations, {
+        OneStepComputation: [OneStepComputation.STEP_DATA],
+        MultiStepComputation: MultiStepComputation.STEP_DATA,
+      });
+      assert.equal(
+        readRun(transport.write.mock.calls[3].arguments[1]).status,
+        RUN_STATUS.COMPLETED,
+      );
+    });
+
+    it('should write recovery data after every N steps', async () => {
+      const transport = transportWithData();
+      const ctx = new PCContext({ transport, checkpoint: { steps: 2 } });
+      await ctx.run([OneStepComputation, MultiStepComputation]);
+
+      // the checkpoint, then the completion of the run
+      assert.equal(transport.write.mock.calls.length, 2);
+      const written = readRun(transport.write.mock.calls[0].arguments[1]);
+      assert.deepEqual(written.computations, {
+        OneStepComputation: [OneStepComputation.STEP_DATA],
+        MultiStepComputation: [MultiStepComputation.STEP_DATA[0]],
+      });
+    });
+
+    it('should write recovery data when the interval has passed', async () => {
+      let transport = mockTransport({ exists: false });
+      let ctx = new PCContext({ transport, checkpoint: { interval: 0 } });
+      await ctx.run([MultiStepComputation]);
+
+      // a write per step, then the completion of the run
+      assert.equal(transport.write.mock.calls.length, 3);
+
+      transport = mockTransport({ exists: false });
+      ctx = new PCContext({ transport, checkpoint: { interval: 60_000 } });
+      await ctx.run([MultiStepComputation]);
+
+      assert.equal(transport.write.mock.calls.length, 0);
+    });
+
+    it('should throw on an unknown checkpoint policy', () => {
+      assert.throws(() => new PCContext({ checkpoint: 'sometimes' }), TypeError);
+    });
+  });
+
+  describe('Default FS transport', () => {
+    const recoveryDataLocation = '.test-recovery-data';
+    const recoveryFilePath = path.resolve(process.cwd(), recoveryDataLocation);
+
+    afterEach(() => {
+      if (fs.existsSync(recoveryFilePath)) {
+        fs.unlinkSync(recoveryFilePath);
+      }
+    });
+
+    it('should write recoveryData to a file and be able to recover from it', async () => {
+      const ctx = new PCContext({ recoveryDataLocation });
+
+      await assert.rejects(() => ctx.run([OneStepComputation, ThrowingComputation]));
+
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 1);
+      assert.deepEqual(ctx.getLastResult(), {
+        id: 'OneStepComputation',
+        name: 'OneStepComputation',
+        value: OneStepComputation.STEP_DATA,
+      });
+
+      OneStepComputation.dataProvider.mock.resetCalls();
+
+      await assert.rejects(() => ctx.run([OneStepComputation, ThrowingComputation]));
+
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 0);
+      assert.deepEqual(ctx.getLastResult(), {
+        id: 'OneStepComputation',
+        name: 'OneStepComputation',
+        value: OneStepComputation.STEP_DATA,
+      });
+    });
+
+    it('should replace the recovery file atomically', async () => {
+      const ctx = new PCContext({ recoveryDataLocation, checkpoint: CHECKPOINT_POLICY.STEP });
+      await ctx.run([MultiStepComputation]);
+
+      const leftovers = fs
+        .readdirSync(process.cwd())
+        .filter((fileName) => fileName.startsWith(`${recoveryDataLocation}.`));
+      assert.deepEqual(leftovers, []);
+      assert.deepEqual(readRun(fs.readFileSync(recoveryFilePath)).computations, {
+        MultiStepComputation: MultiStepComputation.STEP_DATA,
+      });
+    });
+  });
+
+  describe('Locking', () => {
+    let directory;
+    let recoveryDataLocation;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-lock-'));
+      recoveryDataLocation = path.join(directory, '.recovery');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true });
+    });
+
+    const writeLock = (owner) => {
+      fs.writeFileSync(
+        `${recoveryDataLocation}.lock`,
+        JSON.stringify({ time: new Date(0).toISOString(), token: 'other', ...owner }),
+      );
+    };
+
+    const startBlockedRun = async () => {
+      let resolve;
+      const promise = new Promise((resolvePromise) => {
+        resolve = resolvePromise;
+      });
+      class BlockedComputation extends PC {
+        async run() {
+          return this.step(() => promise);
+        }
+      }
+      const run = new PCContext({ recoveryDataLocation }).run([BlockedComputation]);
+      await nextTurn();
+
+      return { run, release: resolve };
+    };
+
+    it('should not run while another context holds the lock', async () => {
+      const blocked = await startBlockedRun();
+
+      await assert.rejects(
+        () => new PCContext({ recoveryDataLocation }).run([OneStepComputation]),
+        (error) => {
+          assert.equal(error.name, 'LockedError');
+          assert.equal(error.owner.pid, process.pid);
+          assert.equal(error.owner.hostname, os.hostname());
+
+          return true;
+        },
+      );
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 0);
+
+      blocked.release('done');
+      await blocked.run;
+      assert.equal(fs.existsSync(`${recoveryDataLocation}.lock`), false);
+    });
+
+    it('should wait for the lock for `lockWait` milliseconds', async () => {
+      const blocked = await startBlockedRun();
+      setTimeout(() => blocked.release('done'), 20);
+
+      await new PCContext({ recoveryDataLocation, lockWait: 5000 }).run([OneStepComputation]);
+
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 1);
+    });
+
+    it('should take over a lock left by a process that no longer runs', async () => {
+      const { pid } = childProcess.spawnSync(process.execPath, ['-e', '']);
+      writeLock({ pid, hostname: os.hostname() });
+
+      await new PCContext({ recoveryDataLocation }).run([OneStepComputation]);
+
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 1);
+      assert.equal(fs.existsSync(`${recoveryDataLocation}.lock`), false);
+    });
+
+    it('should take over a lock left by a previous process with the same pid', async () => {
+      // e.g. in a container, where the process has the same pid on every start
+      writeLock({ pid: process.pid, hostname: os.hostname() });
+
+      await new PCContext({ recoveryDataLocation }).run([OneStepComputation]);
+
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 1);
+    });
+
+    it('should take over a lock of another host when its lease expired', async () => {
+      const hostname = `not-${os.hostname()}`;
+      writeLock({ pid: 1, hostname, time: new Date().toISOString(), staleAfter: 60_000 });
+      await assert.rejects(
+        () => new PCContext({ recoveryDataLocation }).run([OneStepComputation]),
+        { name: 'LockedError' },
+      );
+
+      writeLock({
+        pid: 1,
+        hostname,
+        time: new Date(Date.now() - 1000).toISOString(),
+        staleAfter: 500,
+      });
+      await new PCContext({ recoveryDataLocation }).run([OneStepComputation]);
+
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 1);
+    });
+
+    it('should renew the lease of the lock while running', async () => {
+      let resolve;
+      class BlockedComputation extends PC {
+        async run() {
+          return this.step(() => new Promise((resolvePromise) => (resolve = resolvePromise)));
+        }
+      }
+      const run = new PCContext({ recoveryDataLocation, lockStaleAfter: 30 }).run([
+        BlockedComputation,
+      ]);
+      await nextTurn();
+      const readLock = () => JSON.parse(fs.readFileSync(`${recoveryDataLocation}.lock`, 'utf8'));
+      const { time, staleAfter } = readLock();
+      await sleep(50);
+
+      assert.equal(staleAfter, 30);
+      assert.ok(readLock().time > time);
+      resolve();
+      await run;
+    });
+
+    it('should not remove a lock taken over by another process in the meantime', () => {
+      writeLock({ pid: process.pid, hostname: os.hostname(), token: 'stale' });
+      const lockFileName = `${recoveryDataLocation}.lock`;
+      const { renameSync } = fs.default;
+      // another process takes over the stale lock between its read and its removal
+      mock.method(fs.default, 'renameSync', (from, to) => {
+        if (from === lockFileName) {
+          fs.default.renameSync.mock.restore();
+          syncBuiltinESMExports();
+          writeLock({ pid: process.ppid, hostname: os.hostname(), token: 'fresh' });
+        }
+        renameSync(from, to);
+      });
+      syncBuiltinESMExports();
+
+      const owner = { pid: process.pid, hostname: os.hostname(), token: 'mine' };
+      const result = acquireFileLock(recoveryDataLocation, owner);
+
+      assert.equal(result.acquired, false);
+      assert.equal(result.owner.token, 'fresh');
+      assert.equal(JSON.parse(fs.readFileSync(lockFileName, 'utf8')).token, 'fresh');
+      assert.deepEqual(fs.readdirSync(directory), ['.recovery.lock']);
+    });
+
+    it('should not take over a lock held on another host', async () => {
+      writeLock({ pid: 1, hostname: `not-${os.hostname()}` });
+
+      await assert.rejects(
+        () => new PCContext({ recoveryDataLocation }).run([OneStepComputation]),
+        {
+          name: 'LockedError',
+        },
+      );
+      assert.ok(fs.existsSync(`${recoveryDataLocation}.lock`));
+    });
+
+    it('should not lock when the `lock` option is off', async () => {
+      writeLock({ pid: process.pid, hostname: os.hostname() });
+
+      await new PCContext({ recoveryDataLocation, lock: false }).run([OneStepComputation]);
+
+      assert.equal(OneStepComputation.dataProvider.mock.calls.length, 1);
     });
   });
 
@@ -349,10 +3015,12 @@ describe('PersistentComputationContext', () => {
       await ctx.run([OneStepComputation, MultiStepComputation]);
 
       assert.deepEqual(ctx.getResult(OneStepComputation), {
+        id: 'OneStepComputation',
         name: 'OneStepComputation',
         value: OneStepComputation.STEP_DATA,
       });
       assert.deepEqual(ctx.getResult(MultiStepComputation), {
+        id: 'MultiStepComputation',
         name: 'MultiStepComputation',
         value: {
           stepOneData: MultiStepComputation.STEP_DATA[0],
@@ -0,0 +1,122 @@
+import { describe, it, mock } from 'node:test';
+import * as assert from 'node:assert';
+import { NonRetriableError } from '../src/index.js';
+import {
+  DEFAULT_RETRY_POLICY,
+  getRetryDelay,
+  normalizeRetryPolicy,
+  withRetry,
+} from '../src/retry.js';
+
+describe('Retry', () => {
+  describe('normalizeRetryPolicy', () => {
+    it('should not retry without a policy', () => {
+      assert.equal(normalizeRetryPolicy(undefined), null);
+    });
+
+    it('should treat a number as the maximum number of attempts', () => {
+      assert.deepEqual(normalizeRetryPolicy(3), { ...DEFAULT_RETRY_POLICY, attempts: 3 });
+    });
+
+    it('should fill in the defaults', () => {
+      assert.deepEqual(normalizeRetryPolicy({ delay: 5 }), { ...DEFAULT_RETRY_POLICY, delay: 5 });
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should grow exponentially up to `maxDelay`', () => {
+      const policy = normalizeRetryPolicy({ delay: 100, factor: 3, maxDelay: 500, jitter: 0 });
+
+      assert.deepEqual(
+        [1, 2, 3].map((attempt) => getRetryDelay(policy, attempt)),
+        [100, 300, 500],
+      );
+    });
+
+    it('should subtract a random part of the delay with jitter', () => {
+      const policy = normalizeRetryPolicy({ delay: 1000, jitter: 0.5 });
+      mock.method(Math, 'random', () => 1);
+
+      try {
+        assert.equal(getRetryDelay(policy, 1), 500);
+      } finally {
+        mock.restoreAll();
+      }
+    });
+  });
+
+  describe('withRetry', () => {
+    const failingTimes = (times, error = new Error('transient')) =>
+      mock.fn((attempt) => {
+        if (attempt <= times) {
+          throw error;
+        }
+
+        return attempt;
+      });
+
+    it('should retry until the function succeeds', async () => {
+      const fn = failingTimes(2);
+      const onRetry = mock.fn();
+
+      assert.equal(await withRetry(fn, { attempts: 3, delay: 0 }, { onRetry }), 3);
+      assert.equal(fn.mock.calls.length, 3);
+      assert.deepEqual(
+        onRetry.mock.calls.map((call) => call.arguments[1]),
+        [1, 2],
+      );
+    });
+
+    it('should rethrow the last error when attempts are exhausted', async () => {
+      const fn = failingTimes(5);
+
+      await assert.rejects(() => withRetry(fn, { attempts: 2, delay: 0 }), {
+        message: 'transient',
+      });
+      assert.equal(fn.mock.calls.length, 2);
+    });
+
+    it('should not retry without a policy', async () => {
+      const fn = failingTimes(1);
+
+      await assert.rejects(() => withRetry(fn, undefined));
+      assert.equal(fn.mock.calls.length, 1);
+    });
+
+    it('should not retry `NonRetriableError`', async () => {
+      const fn = failingTimes(1, new NonRetriableError('permanent'));
+
+      await assert.rejects(() => withRetry(fn, { attempts: 3, delay: 0 }), {
+        name: 'NonRetriableError',
+      });
+      assert.equal(fn.mock.calls.length, 1);
+    });
+
+    it('should stop retrying when the signal is aborted', async () => {
+      const controller = new AbortController();
+      const fn = failingTimes(5);
+      const onRetry = () => setImmediate(() => controller.abort(new Error('aborted')));
+
+      await assert.rejects(
+        () => withRetry(fn, { attempts: 5, delay: 60_000 }, { onRetry, signal: controller.signal }),
+        { message: 'aborted' },
+      );
+      assert.equal(fn.mock.calls.length, 1);
+    });
+
+    it('should keep the cause of `NonRetriableError`', () => {
+      const cause = new Error('cause');
+
+      assert.equal(new NonRetriableError('permanent', { cause }).cause, cause);
+    });
+
+    it('should not retry errors rejected by `retryIf`', async () => {
+      const fn = failingTimes(1, new TypeError('bug'));
+      const retryIf = mock.fn((error) => !(error instanceof TypeError));
+
+      await assert.rejects(() => withRetry(fn, { attempts: 3, delay: 0, retryIf }), TypeError);
+      assert.equal(fn.mock.calls.length, 1);
+      assert.equal(retryIf.mock.calls.length, 1);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import * as assert from 'node:assert';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { once } from 'node:events';
+import { Worker } from 'node:worker_threads';
+import {
+  EVENTS,
+  ON_SUCCESS,
+  PC,
+  PCContext,
+  RUN_STATUS,
+  sqliteTransport,
+  v8Transformer,
+} from '../src/index.js';
+import { OneStepComputation, ThrowingComputation } from './utils.js';
+
+const sqlite = await import('node:sqlite').catch(() => null);
+
+describe('SQLite transport', { skip: !sqlite && 'node:sqlite is not available' }, () => {
+  let directory;
+  let database;
+  let transport;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-sqlite-'));
+    database = path.join(directory, 'recovery.sqlite');
+    transport = sqliteTransport({ database });
+  });
+
+  afterEach(async () => {
+    await transport.close();
+    fs.rmSync(directory, { recursive: true });
+    OneStepComputation.dataProvider.mock.resetCalls();
+  });
+
+  function query(sql, ...params) {
+    const connection = new sqlite.DatabaseSync(database);
+    try {
+      return connection.prepare(sql).all(...params);
+    } finally {
+      connection.close();
+    }
+  }
+
+  it('should store the steps as rows and recover from them', async () => {
+    const stepTwo = mock.fn(() => ({ posts: new Map([['first', 1]]) }));
+    class TwoStepComputation extends PC {
+      async run() {
+        const users = await this.step('users', () => ['alice', 'bob']);
+        const { posts } = await this.step('posts', stepTwo);
+
+        return [users, posts];
+      }
+    }
+    await assert.rejects(() =>
+      new PCContext({ transport, recoveryDataLocation: 'pipeline' }).run([
+        TwoStepComputation,
+        ThrowingComputation,
+      ]),
+    );
+
+    const pipeline = 'pipeline';
+    const runs = query('SELECT run_id, status FROM runs WHERE pipeline = ?', pipeline);
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].status, RUN_STATUS.FAILED);
+    const steps = query(
+      'SELECT computation, step_index FROM steps WHERE pipeline = ? ORDER BY step_index',
+      pipeline,
+    );
+    assert.deepEqual(
+      steps.map(({ computation, step_index: index }) => [computation, index]),
+      [
+        ['TwoStepComputation', 0],
+        ['TwoStepComputation', 1],
+      ],
+    );
+
+    const ctx = new PCContext({ transport, recoveryDataLocation: 'pipeline' });
+    await ctx.run([TwoStepComputation]);
+
+    assert.equal(ctx.runId, runs[0].run_id);
+    assert.equal(stepTwo.mock.calls.length, 1);
+    assert.deepEqual(ctx.getLastResult().value, [['alice', 'bob'], new Map([['first', 1]])]);
+  });
+
+  it('should only write the rows that changed', async () => {
+    class CountingComputation extends PC {
+      async run() {
+        for (let index = 0; index < 3; index += 1) {
+          await this.step(() => index);
+        }
+      }
+    }
+    const ctx = new PCContext({ transport, checkpoint: 'step' });
+    const snapshots = [];
+    ctx.on(EVENTS.CHECKPOINT, () => {
+      snapshots.push(query('SELECT rowid, step_index FROM steps ORDER BY step_index'));
+    });
+    await ctx.run([CountingComputation]);
+
+    // replaced rows get a new rowid, the last checkpoint records the completion of the run
+    assert.equal(snapshots.length, 4);
+    assert.deepEqual(snapshots[3], snapshots[2]);
+    assert.deepEqual(snapshots[2].slice(0, 2), snapshots[1]);
+    assert.deepEqual(snapshots[1].slice(0, 1), snapshots[0]);
+  });
+
+  it('should only serialize the run and the steps saved since the last write', async () => {
+    const transformer = {
+      serialize: mock.fn(v8Transformer.serialize),
+      deserialize: v8Transformer.deserialize,
+    };
+    class CountingComputation extends PC {
+      async run() {
+        for (let index = 0; index < 10; index += 1) {
+          await this.step(() => index);
+        }
+      }
+    }
+    const ctx = new PCContext({ transport, transformer, checkpoint: 'step' });
+    const counts = [];
+    ctx.on(EVENTS.CHECKPOINT, () => {
+      counts.push(transformer.serialize.mock.callCount());
+      transformer.serialize.mock.resetCalls();
+    });
+    await ctx.run([CountingComputation]);
+
+    // the run record, then the value and the signature of the saved step
+    assert.deepEqual(counts.slice(0, 10), new Array(10).fill(3));
+  });
+
+  it('should store the results in their own rows and only write the new ones', async () => {
+    const pipeline = ['First', 'Second', 'Third'].map(
+      (id) =>
+        class extends PC {
+          static id = id;
+
+          async run() {
+            return this.step(() => Buffer.alloc(1024, id));
+          }
+        },
+    );
+    const ctx = new PCContext({ transport, checkpoint: 'step' });
+    const snapshots = [];
+    ctx.on(EVENTS.CHECKPOINT, () => {
+      snapshots.push(query('SELECT rowid, computation FROM results ORDER BY rowid'));
+    });
+    await ctx.run(pipeline);
+
+    const results = snapshots.at(-1);
+    assert.deepEqual(
+      results.map(({ computation }) => computation),
+      ['First', 'Second', 'Third'],
+    );
+    for (const snapshot of snapshots) {
+      assert.deepEqual(snapshot, results.slice(0, snapshot.length));
+    }
+    const [{ data }] = query('SELECT data FROM runs');
+    assert.ok(!Object.hasOwn(v8Transformer.deserialize(Buffer.from(data)), 'results'));
+
+    const recovered = new PCContext({ transport, runId: ctx.runId, rerunFrom: 'Third' });
+    await recovered.run(pipeline);
+    assert.deepEqual(recovered.getResultById('First').value, Buffer.alloc(1024, 'First'));
+  });
+
+  it('should delete the rows of invalidated steps', async () => {
+    let fail = false;
+    class FlakyComputation extends PC {
+      async run() {
+        await this.step('first', () => {
+          if (fail) {
+            throw new Error('Flaky');
+          }
+        });
+        await this.step('second', () => 2);
+      }
+    }
+    const options = { transport, recoveryDataLocation: 'pipeline' };
+    await assert.rejects(() => new PCContext(options).run([FlakyComputation, ThrowingComputation]));
+    assert.equal(query('SELECT * FROM steps').length, 2);
+
+    fail = true;
+    await assert.rejects(() =>
+      new PCContext(options).run([FlakyComputation, ThrowingComputation], undefined, {
+        invalidate: [{ computation: 'FlakyComputation', step: 'first' }],
+      }),
+    );
+
+    assert.equal(query('SELECT * FROM steps').length, 0);
+  });
+
+  it('should keep the runs of several pipelines in one database', async () => {
+    const options = { transport, onSuccess: ON_SUCCESS.ARCHIVE };
+    await new PCContext({ ...options, recoveryDataLocation: 'first' }).run([OneStepComputation]);
+    await new PCContext({ ...options, recoveryDataLocation: 'second' }).run([OneStepComputation]);
+
+    const pipelines = query('SELECT DISTINCT pipeline FROM runs ORDER BY pipeline');
+    // the pipelines are not paths, so they don't depend on the working directory
+    assert.deepEqual(
+      pipelines.map(({ pipeline }) => pipeline),
+      ['first', 'second'],
+    );
+  });
+
+  it('should delete the rows of removed steps and runs', async () => {
+    await assert.rejects(() =>
+      new PCContext({ transport }).run([OneStepComputation, ThrowingComputation]),
+    );
+    assert.equal(query('SELECT * FROM steps').length, 1);
+    assert.equal(query('SELECT * FROM results').length, 1);
+
+    await new PCContext({ transport, onSuccess: ON_SUCCESS.CLEAR }).run([OneStepComputation]);
+
+    assert.equal(query('SELECT * FROM runs').length, 0);
+    assert.equal(query('SELECT * FROM steps').length, 0);
+    assert.equal(query('SELECT * FROM results').length, 0);
+  });
+
+  it('should lock the pipeline', async () => {
+    const owner = { pid: process.ppid, hostname: os.hostname(), token: 'other' };
+    const pipeline = 'pipeline';
+    assert.deepEqual(await transport.acquireLock(pipeline, owner), { acquired: true });
+
+    await assert.rejects(
+      () =>
+        new PCContext({ transport, recoveryDataLocation: 'pipeline' }).run([OneStepComputation]),
+      { name: 'LockedError' },
+    );
+
+    owner.time = new Date().toISOString();
+    assert.equal(await transport.renewLock(pipeline, owner), true);
+    assert.equal(JSON.parse(query('SELECT owner FROM locks')[0].owner).time, owner.time);
+    assert.equal(await transport.renewLock(pipeline, { ...owner, token: 'another' }), false);
+
+    await transport.releaseLock(pipeline, owner);
+    await new PCContext({ transport, recoveryDataLocation: 'pipeline' }).run([OneStepComputation]);
+  });
+
+  it('should wait for the database lock held by another connection', async () => {
+    await transport.exists('pipeline');
+    // the worker holds the lock while the statements of the transport block the main thread
+    const worker = new Worker(
+      `
+        const { parentPort, workerData } = require('node:worker_threads');
+        const { DatabaseSync } = require('node:sqlite');
+        const connection = new DatabaseSync(workerData);
+        connection.exec('BEGIN IMMEDIATE');
+        parentPort.postMessage('locked');
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 200);
+        connection.exec('COMMIT');
+        connection.close();
+      `,
+      { eval: true, workerData: database },
+    );
+    await once(worker, 'message');
+
+    const owner = { pid: process.pid, hostname: os.hostname(), token: 'token' };
+    assert.deepEqual(await transport.acquireLock('pipeline', owner), { acquired: true });
+    await once(worker, 'exit');
+
+    const impatient = sqliteTransport({ database, busyTimeout: 10 });
+    const connection = new sqlite.DatabaseSync(database);
+    connection.exec('BEGIN IMMEDIATE');
+    try {
+      await assert.rejects(() => impatient.acquireLock('other', owner), /database is locked/);
+    } finally {
+      connection.exec('ROLLBACK');
+      connection.close();
+      await impatient.close();
+    }
+  });
+
+  it('should open the database again after a failed open', async () => {
+    const missing = path.join(directory, 'missing', 'recovery.sqlite');
+    const reopening = sqliteTransport({ database: missing });
+
+    await assert.rejects(() => reopening.exists('pipeline'));
+    fs.mkdirSync(path.dirname(missing));
+
+    assert.equal(await reopening.exists('pipeline'), false);
+    await reopening.close();
+  });
+});
@@ -0,0 +1,400 @@
+import { describe, it, mock } from 'node:test';
+import * as assert from 'node:assert';
+import { randomBytes } from 'node:crypto';
+import * as zlib from 'node:zlib';
+import {
+  jsonTransformer,
+  PC,
+  PCContext,
+  TamperedDataError,
+  v8Transformer,
+  withCompression,
+  withEncryption,
+} from '../src/index.js';
+import { memoryTransport } from './utils.js';
+
+const VALUE = { text: 'customer data '.repeat(100), list: [1, 2, 3], date: new Date(0) };
+
+describe('Transformers', () => {
+  describe('Compression', () => {
+    for (const algorithm of ['gzip', 'deflate', 'brotli', 'zstd']) {
+      it(
+        `Should round trip the value with ${algorithm}`,
+        {
+          skip: algorithm === 'zstd' && !zlib.zstdCompressSync && 'zstd is not supported',
+        },
+        () => {
+          const transformer = withCompression(v8Transformer, { algorithm, level: 5 });
+          const data = transformer.serialize(VALUE);
+
+          assert.ok(data.length < v8Transformer.serialize(VALUE).length);
+          assert.deepStrictEqual(transformer.deserialize(data), VALUE);
+        },
+      );
+    }
+
+    it('Should read data written with another algorithm or without compression', () => {
+      const transformer = withCompression(v8Transformer, { algorithm: 'brotli' });
+
+      const gzipped = withCompression(v8Transformer).serialize(VALUE);
+      assert.deepStrictEqual(transformer.deserialize(gzipped), VALUE);
+      assert.deepStrictEqual(transformer.deserialize(v8Transformer.serialize(VALUE)), VALUE);
+    });
+
+    it('Should throw TamperedDataError for corrupted data', () => {
+      const transformer = withCompression(v8Transformer);
+      const data = transformer.serialize(VALUE);
+
+      assert.throws(
+        () => transformer.deserialize(data.subarray(0, data.length - 10)),
+        TamperedDataError,
+      );
+    });
+
+    it('Should reject unknown algorithms', () => {
+      assert.throws(() => withCompression(v8Transformer, { algorithm: 'lzma' }), TypeError);
+    });
+  });
+
+  describe('Encryption', () => {
+    const oldKey = randomBytes(32);
+    const newKey = randomBytes(32);
+
+    it('Should round trip the value without exposing it', () => {
+      const transformer = withEncryption(v8Transformer, {
+        keys: { k1: oldKey },
+        currentKeyId: 'k1',
+      });
+      const data = transformer.serialize(VALUE);
+
+      assert.ok(!data.includes('customer data'));
+      assert.deepStrictEqual(transformer.deserialize(data), VALUE);
+    });
+
+    it('Should read the data written with a rotated key', () => {
+      const before = withEncryption(v8Transformer, { keys: { k1: oldKey }, currentKeyId: 'k1' });
+      const getKey = mock.fn((keyId) => ({ k1: oldKey, k2: newKey })[keyId]);
+      const after = withEncryption(v8Transformer, { keys: getKey, currentKeyId: 'k2' });
+
+      assert.deepStrictEqual(after.deserialize(before.serialize(VALUE)), VALUE);
+      assert.deepStrictEqual(getKey.mock.calls.at(-1).arguments, ['k1']);
+
+      const rotated = after.serialize(VALUE);
+      assert.throws(() => before.deserialize(rotated), {
+        name: 'TamperedDataError',
+        message: 'Recovery data cannot be read: the data was encrypted with an unknown key "k2"',
+      });
+    });
+
+    it('Should throw TamperedDataError for changed, truncated or plain data', () => {
+      const transformer = withEncryption(v8Transformer, {
+        keys: { k1: oldKey },
+        currentKeyId: 'k1',
+      });
+      const data = transformer.serialize(VALUE);
+      const changed = Buffer.from(data);
+      changed[changed.length - 1] ^= 1;
+
+      assert.throws(() => transformer.deserialize(changed), {
+        name: 'TamperedDataError',
+        message:
+          'Recovery data cannot be read: the data was changed or does not match the key "k1"',
+      });
+      assert.throws(() => transformer.deserialize(data.subarray(0, 20)), TamperedDataError);
+      assert.throws(
+        () => transformer.deserialize(v8Transformer.serialize(VALUE)),
+        TamperedDataError,
+      );
+    });
+
+    it('Should detect data encrypted with another key under the same id', () => {
+      const writer = withEncryption(v8Transformer, { keys: { k1: oldKey }, currentKeyId: 'k1' });
+      const reader = withEncryption(v8Transformer, { keys: { k1: newKey }, currentKeyId: 'k1' });
+
+      assert.throws(() => reader.deserialize(writer.serialize(VALUE)), TamperedDataError);
+    });
+
+    it('Should validate the current key', () => {
+      assert.throws(
+        () => withEncryption(v8Transformer, { keys: { k1: randomBytes(16) }, currentKeyId: 'k1' }),
+        { name: 'TypeError', message: 'Encryption key "k1" must be a 32 bytes Buffer' },
+      );
+      assert.throws(
+        () => withEncryption(v8Transformer, { keys: {}, currentKeyId: 'k1' }),
+        TypeError,
+      );
+    });
+
+    it('Should compose with compression', () => {
+      const transformer = withEncryption(withCompression(v8Transformer), {
+        keys: { k1: oldKey },
+        currentKeyId: 'k1',
+      });
+      const data = transformer.serialize(VALUE);
+
+      assert.ok(data.length < v8Transformer.serialize(VALUE).length);
+      assert.deepStrictEqual(transformer.deserialize(data), VALUE);
+    });
+  });
+
+  describe('JSON transformer', () => {
+    class Money {
+      constructor(amount, currency) {
+        this.amount = amount;
+        this.currency = currency;
+      }
+
+      toJSON() {
+        return `${this.amount} ${this.currency}`;
+      }
+
+      static fromJSON(json) {
+        const [amount, currency] = json.split(' ');
+        return new Money(Number(amount), currency);
+      }
+    }
+
+    class Point {
+      x = 0;
+      y = 0;
+
+      get length() {
+        return Math.hypot(this.x, this.y);
+      }
+    }
+
+    class HttpError extends Error {
+      constructor(status) {
+        super(`Request failed with status ${status}`);
+        this.name = 'HttpError';
+        this.status = status;
+      }
+    }
+
+    const roundTrip = (transformer, value) => transformer.deserialize(transformer.serialize(value));
+
+    it('Should store the data as JSON', () => {
+      const data = jsonTransformer().serialize({ list: [1, 'two', null], nested: { flag: true } });
+
+      assert.deepStrictEqual(JSON.parse(data.toString()), {
+        list: [1, 'two', null],
+        nested: { flag: true },
+      });
+    });
+
+    it('Should round trip the built-in types', () => {
+      const value = {
+        missing: undefined,
+        numbers: [NaN, Infinity, -Infinity, 1.5],
+        big: 2n ** 70n,
+        symbol: Symbol.for('pc'),
+        date: new Date(0),
+        regexp: /a+b/gi,
+        map: new Map([[{ key: 1 }, new Set(['a'])]]),
+        buffer: Buffer.from('buffer'),
+        floats: new Float64Array([0.5, 2]),
+        escaped: { $type: 'Date', value: 'not a date' },
+      };
+
+      assert.deepStrictEqual(roundTrip(jsonTransformer(), value), value);
+    });
+
+    it('Should keep the holes of sparse arrays', () => {
+      const sparse = Object.assign(new Array(5), { 1: 'b', 2: undefined, 4: 'e' });
+      const value = roundTrip(jsonTransformer(), sparse);
+
+      assert.deepStrictEqual(Object.keys(value), ['1', '2', '4']);
+      assert.strictEqual(value.length, 5);
+      assert.strictEqual(value[2], undefined);
+    });
+
+    it('Should restore the registered classes', () => {
+      const transformer = jsonTransformer({ classes: [Money] }).registerClass(Point, 'geo.Point');
+      const point = Object.assign(new Point(), { x: 3, y: 4 });
+
+      const value = roundTrip(transformer, { price: new Money(10, 'EUR'), point });
+
+      assert.ok(value.price instanceof Money);
+      assert.deepStrictEqual(value.price, new Money(10, 'EUR'));
+      assert.ok(value.point instanceof Point);
+      assert.strictEqual(value.point.length, 5);
+    });
+
+    it('Should store the unregistered class instances as plain objects', () => {
+      const point = Object.assign(new Point(), { x: 3, y: 4 });
+
+      const value = roundTrip(jsonTransformer(), { point, price: new Money(10, 'EUR') });
+
+      assert.deepStrictEqual(value, { point: { x: 3, y: 4 }, price: '10 EUR' });
+      assert.throws(
+        () => jsonTransformer().deserialize(jsonTransformer({ classes: [Point] }).serialize(point)),
+        { name: 'TypeError', message: 'Class "Point" is not registered in the JSON transformer' },
+      );
+    });
+
+    it('Should restore the errors', () => {
+      const transformer = jsonTransformer({ classes: [HttpError] });
+      const error = new HttpError(503);
+      error.cause = new TypeError('fetch failed');
+
+      const value = roundTrip(transformer, error);
+
+      assert.ok(value instanceof HttpError);
+      assert.strictEqual(value.message, error.message);
+      assert.strictEqual(value.stack, error.stack);
+      assert.strictEqual(value.status, 503);
+      assert.ok(value.cause instanceof TypeError);
+      assert.strictEqual(value.cause.message, 'fetch failed');
+
+      const unregistered = roundTrip(jsonTransformer(), error);
+      assert.ok(unregistered instanceof Error);
+      assert.strictEqual(unregistered.name, 'HttpError');
+      assert.strictEqual(unregistered.status, 503);
+    });
+
+    it('Should use the custom codecs before the built-in ones', () => {
+      const urlCodec = {
+        type: 'URL',
+        test: (value) => value instanceof URL,
+        encode: (value) => value.href,
+        decode: (json) => new URL(json),
+      };
+      const dateCodec = {
+        type: 'Date',
+        test: (value) => value instanceof Date,
+        encode: mock.fn((value) => value.getTime()),
+        decode: (json) => new Date(json),
+      };
+      const transformer = jsonTransformer({ codecs: [urlCodec] }).registerCodec(dateCodec);
+      const value = { url: new URL('https://example.com/a'), date: new Date(1000) };
+
+      const data = transformer.serialize(value);
+
+      assert.deepStrictEqual(JSON.parse(data.toString()).date, { $type: 'Date', value: 1000 });
+      assert.deepStrictEqual(transformer.deserialize(data), value);
+      assert.strictEqual(dateCodec.encode.mock.callCount(), 1);
+    });
+
+    it('Should throw for the values it cannot store', () => {
+      const circular = { list: [] };
+      circular.list.push(circular);
+
+      assert.throws(() => jsonTransformer().serialize({ fn: () => {} }), {
+        name: 'TypeError',
+        message: 'Cannot serialize the function at $.fn',
+      });
+      assert.throws(() => jsonTransformer().serialize([Symbol('local')]), {
+        message: 'Cannot serialize the symbol at $[0]',
+      });
+      assert.throws(() => jsonTransformer().serialize(circular), {
+        message: 'Cannot serialize the circular reference at $.list[0]',
+      });
+    });
+
+    it('Should recover the step values as class instances', async () => {
+      const transport = memoryTransport();
+      const transformer = jsonTransformer({ classes: [Money] });
+      const provider = mock.fn(() => new Money(10, 'EUR'));
+      let fail = true;
+      class PricingComputation extends PC {
+        async run() {
+          const price = await this.step('price', provider);
+          if (fail) {
+            fail = false;
+            throw new HttpError(503);
+          }
+
+          return price;
+        }
+      }
+
+      await assert.rejects(new PCContext({ transport, transformer }).run([PricingComputation]));
+      const result = await new PCContext({ transport, transformer }).run([PricingComputation]);
+
+      assert.ok(result.value instanceof Money);
+      assert.strictEqual(provider.mock.callCount(), 1);
+    });
+
+    it('Should only rerun the unfinished callbacks of a parallel step', async () => {
+      const transport = memoryTransport();
+      const transformer = jsonTransformer();
+      let fail = true;
+      const first = mock.fn(() => {
+        if (fail) {
+          fail = false;
+          throw new HttpError(503);
+        }
+
+        return 'a';
+      });
+      const second = mock.fn(() => 'b');
+      class ParallelComputation extends PC {
+        async run() {
+          return this.parallel('both', [first, second]);
+        }
+      }
+
+      await assert.rejects(new PCContext({ transport, transformer }).run([ParallelComputation]));
+      const result = await new PCContext({ transport, transformer }).run([ParallelComputation]);
+
+      assert.deepStrictEqual(result.value, ['a', 'b']);
+      assert.strictEqual(first.mock.callCount(), 2);
+      assert.strictEqual(second.mock.callCount(), 1);
+    });
+  });
+
+  describe('Recovery', () => {
+    const transformer = withEncryption(withCompression(v8Transformer), {
+      keys: { k1: randomBytes(32) },
+      currentKeyId: 'k1',
+    });
+
+    function createComputation() {
+      const provider = mock.fn(() => VALUE);
+      let fail = true;
+      class SecretComputation extends PC {
+        async run() {
+          const value = await this.step('secret', provider);
+          if (fail) {
+            fail = false;
+            throw new Error('Failed after the step');
+          }
+
+          return value;
+        }
+      }
+
+      return { provider, SecretComputation };
+    }
+
+    it('Should recover the steps from the encrypted recovery data', async () => {
+      const transport = memoryTransport();
+      const { provider, SecretComputation } = createComputation();
+
+      await assert.rejects(new PCContext({ transport, transformer }).run([SecretComputation]));
+      const data = transport.write.mock.calls.at(-1).arguments[1];
+      assert.ok(!data.includes('customer data'));
+
+      const result = await new PCContext({ transport, transformer }).run([SecretComputation]);
+      assert.deepStrictEqual(result.value, VALUE);
+      assert.strictEqual(provider.mock.callCount(), 1);
+    });
+
+    it('Should fail the run instead of recovering tampered data', async () => {
+      const transport = memoryTransport();
+      const { provider, SecretComputation } = createComputation();
+
+      await assert.rejects(new PCContext({ transport, transformer }).run([SecretComputation]));
+      const [location, data] = transport.write.mock.calls.at(-1).arguments;
+      const changed = Buffer.from(data);
+      changed[changed.length - 1] ^= 1;
+      transport.files.set(location, changed);
+
+      await assert.rejects(
+        new PCContext({ transport, transformer }).run([SecretComputation]),
+        TamperedDataError,
+      );
+      assert.strictEqual(provider.mock.callCount(), 1);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import { mock } from 'node:test';
 import * as v8 from 'node:v8';
 import { PersistentComputation as PC } from '../src/persistent-computation.js';
+import { PersistentComputationContext as PCContext } from '../src/persistent-computation-context.js';
 import { BaseComputationError } from '../src/errors.js';
 
 export class OneStepComputation extends PC {
@@ -28,6 +29,25 @@ export class MultiStepComputation extends PC {
   }
 }
 
+export class NamedStepComputation extends PC {
+  static stepNames = ['first', 'second'];
+  static key = undefined;
+  static dataProvider = mock.fn(NOOP, (name) => `${name} data`);
+
+  async run() {
+    const results = [];
+    for (const name of NamedStepComputation.stepNames) {
+      results.push(
+        await this.step(name, () => NamedStepComputation.dataProvider(name), {
+          key: NamedStepComputation.key,
+        }),
+      );
+    }
+
+    return results;
+  }
+}
+
 export class ThrowingComputation extends PC {
   async run() {
     throw new BaseComputationError('ComputationErrorMessage');
@@ -55,12 +75,158 @@ export class ConfigurableComputation extends PC {
   }
 }
 
-export function transportWithData(computations = {}) {
+export function transportWithData(computations = {}, steps = undefined) {
   return mockTransport({
-    read: () => v8.serialize({ dependencies: {}, computations }),
+    read: () => v8.serialize({ dependencies: {}, computations, steps }),
   });
 }
 
+/**
+ * Keeps the written data in memory, so it can be read back by the next context
+ */
+export function memoryTransport() {
+  const files = new Map();
+
+  return {
+    files,
+    exists: mock.fn((fileName) => files.has(fileName)),
+    read: mock.fn((fileName) => files.get(fileName)),
+    write: mock.fn((fileName, data) => {
+      files.set(fileName, data);
+    }),
+    remove: mock.fn((fileName) => {
+      files.delete(fileName);
+    }),
+  };
+}
+
+/**
+ * @param {Buffer} data a serialized recovery file
+ * @param {string} [runId] the most recently started run by default
+ */
+export function readRun(data, runId) {
+  const { runs } = v8.deserialize(data);
+  if (runId !== undefined) {
+    return runs[runId];
+  }
+
+  return Object.values(runs).sort((a, b) => b.startedAt - a.startedAt)[0];
+}
+
+/**
+ * A tracer with the shape of the OpenTelemetry API, which keeps the ended spans in memory
+ * like the in-memory exporter of the OpenTelemetry SDK. The contexts hold the current span.
+ */
+export function inMemoryTracing() {
+  const now = () => performance.timeOrigin + performance.now();
+  const spans = [];
+  const root = { span: undefined };
+  const tracer = {
+    startSpan(name, { attributes = {}, startTime = now() } = {}, context = root) {
+      const span = {
+        name,
+        attributes: { ...attributes },
+        parent: context.span,
+        startTime,
+        endTime: undefined,
+        status: { code: 0 },
+        events: [],
+        setAttribute(key, value) {
+          span.attributes[key] = value;
+        },
+        addEvent(eventName, eventAttributes = {}, time = now()) {
+          span.events.push({ name: eventName, attributes: eventAttributes, time });
+        },
+        recordException(exception, time = now()) {
+          span.events.push({ name: 'exception', exception, time });
+        },
+        setStatus(status) {
+          span.status = status;
+        },
+        end(endTime = now()) {
+          span.endTime = endTime;
+          spans.push(span);
+        },
+      };
+
+      return span;
+    },
+  };
+  const api = {
+    trace: {
+      getTracer: mock.fn(() => tracer),
+      setSpan: (context, span) => ({ ...context, span }),
+    },
+    context: {
+      active: () => root,
+    },
+  };
+
+  return { api, tracer, spans };
+}
+
+/**
+ * A mock provider of the step values, `executed()` lists the first argument of its calls
+ * @param {(label: string, input?: unknown) => unknown} implementation
+ */
+export function recordingProvider(implementation) {
+  const provider = mock.fn(implementation);
+
+  return { provider, executed: () => provider.mock.calls.map((call) => call.arguments[0]) };
+}
+
+/**
+ * A computation whose steps get their values from `provider`, called with the label of the step
+ * and the computation input. Without `steps`, it has a single unnamed step labelled with the id,
+ * otherwise a step per name, labelled `<id>.<name>`, and returns the array of their values.
+ * @param {string} id
+ * @param {ReturnType<typeof recordingProvider>['provider']} provider
+ * @param {{ steps?: string[], dependencies?: string[] }} [options]
+ * @return {typeof PC}
+ */
+export function createRecordingComputation(id, provider, { steps, dependencies } = {}) {
+  return class extends PC {
+    static id = id;
+    static dependencies = dependencies;
+
+    async run(input) {
+      if (!steps) {
+        return this.step(() => provider(id, input));
+      }
+
+      const values = [];
+      for (const name of steps) {
+        values.push(await this.step(name, () => provider(`${id}.${name}`, input)));
+      }
+
+      return values;
+    }
+  };
+}
+
+/**
+ * Runs the pipeline in a context writing the recovery data after every step, then in another context
+ * reading it. The calls of `provider` are reset in between, so they are the calls of the second run.
+ * @param {ReturnType<typeof recordingProvider>['provider']} provider
+ * @param {unknown[]} pipeline
+ * @param {{ options?: object, dependencies?: object, input?: unknown }} [first]
+ * @param {{ options?: object, dependencies?: object, input?: unknown, runOptions?: object }} [second]
+ * @return {Promise<PCContext>} the context of the second run
+ */
+export async function runTwice(provider, pipeline, first = {}, second = {}) {
+  const transport = memoryTransport();
+  await new PCContext({ transport, checkpoint: 'step', ...first.options }, first.dependencies).run(
+    pipeline,
+    first.input,
+  );
+  provider.mock.resetCalls();
+
+  const ctx = new PCContext({ transport, ...second.options }, second.dependencies);
+  await ctx.run(pipeline, second.input, second.runOptions);
+
+  return ctx;
+}
+
 export function NOOP() {}
 
 export class TestTransformer {